@@ -1,42 +1,23 @@
 (function () {
   'use strict';
 
-  /**
-   * ボードごとのシリアル通信プロファイル
-   * @type {Object.<string, {baudRate: number, crcPoly: number}>}
-   */
-  const BOARD_PROFILES = {
-    kani: { baudRate: 19200, crcPoly: 0x31 },
-    rboard: { baudRate: 19200, crcPoly: 0x31 },
-    esp32: { baudRate: 115200, crcPoly: 0x31 }
-  };
+  // 共通モジュール mrbwrite.js（kaniburner-vscode2/src/ から make deploy でコピー）
+  const {
+    BOARD_PROFILES, DEFAULT_PROFILE, resolveBoardProfiles, matchBoardProfiles, detectBoardProfile, usbFilters,
+    SerialComm, MrbwriteProtocol, MultiDeviceSession, SessionRecorder, parseSession, describeSessionEvent,
+    ReplayTransport, WebSerialTransport
+  } = Mrbwrite;
 
-  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+  // 共通モジュール compiler.js / plotter.js / rite.js / sim.js（同上）
+  const { mrbcFlags, describeSize, parseDiagnostics } = Compiler;
+  const { PlotData, PlotChart } = Plotter;
+  const { RiteInspector, checkRite, parseRite, formatDisassembly, toCSource } = Rite;
+  const { SIM_BOARDS, simBoardFor, shimSource, SharedText, SimState, SimPanel } = Sim;
 
-  /**
-   * バイト列を16進ダンプ文字列に変換する
-   * @param {Uint8Array} data - バイト列
-   * @returns {string} スペース区切りの16進文字列
-   */
-  const hexDump = (data) => Array.from(data).map(b => b.toString(16).padStart(2, '0')).join(' ');
+  /** 組み込み＋ユーザー定義のボードプロファイル */
+  let boardProfiles = BOARD_PROFILES;
 
-  /**
-   * CRC-8 を計算する
-   * @param {Uint8Array} data - バイト列
-   * @param {number} poly - CRC 多項式
-   * @returns {number} CRC-8 値（0-255）
-   */
-  const calculateCrc8 = (data, poly) => {
-    let crc = 0xff;
-    for (let j = 0; j < data.length; j++) {
-      crc ^= data[j];
-      for (let i = 8; i > 0; --i) {
-        crc = (crc & 0x80) ? ((crc << 1) ^ poly) : (crc << 1);
-        crc &= 0xff;
-      }
-    }
-    return crc;
-  };
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
   /**
    * mrbc WASM コンパイラ
@@ -46,13 +27,20 @@
   const WasmCompiler = {
     wasmReady: false,
     module: null,
+    _stderrLines: [],
+    _quiet: false,
+    /** @type {Array<Object>} 直前のコンパイルで mrbc が出力したエラー・警告 */
+    diagnostics: [],
 
     /** MrbcModule ファクトリを呼び出して WASM インスタンスを初期化する */
     init() {
       MrbcModule({
         noInitialRun: true,
         print: (text) => { UI.logRaw(text); },
-        printErr: (text) => { UI.logError(text); }
+        printErr: (text) => {
+          WasmCompiler._stderrLines.push(text);
+          if (!WasmCompiler._quiet) UI.logError(text);
+        }
       }).then(instance => {
         WasmCompiler.module = instance;
         WasmCompiler.wasmReady = true;
@@ -64,431 +52,163 @@
     /**
      * Ruby ソースコードをバイトコードにコンパイルする
      * @param {string} source - Ruby ソースコード
+     * @param {Object} [params]
+     * @param {Object.<string, boolean>} [params.options] - コンパイルオプション（compiler.js の COMPILE_OPTIONS のキー）
+     * @param {boolean} [params.quiet=false] - ログに出さず、diagnostics も変えない（逆アセンブル表示やサイズ比較用）
      * @returns {Uint8Array|null} コンパイル済みバイトコード、失敗時は null
      */
-    compile(source) {
-      if (!this.wasmReady) {
-        UI.logError('WASM not ready.');
+    compile(source, { options = {}, quiet = false } = {}) {
+      const fail = (msg) => {
+        if (!quiet) UI.logError(msg);
         return null;
-      }
-      if (!source.trim()) {
-        UI.logError('Source code is empty.');
-        return null;
-      }
+      };
+      this._stderrLines = [];
+      if (!quiet) this.diagnostics = [];
+      if (!this.wasmReady) return fail('WASM not ready.');
+      if (!source.trim()) return fail('Source code is empty.');
 
       this.module.FS.writeFile('/input.rb', source);
       try { this.module.FS.unlink('/output.mrb'); } catch (e) { /* ignore */ }
 
+      const args = mrbcFlags(options).concat(['-o', '/output.mrb', '/input.rb']);
+      this._quiet = quiet;
       try {
-        const rc = this.module.callMain(['-o', '/output.mrb', '/input.rb']);
-        if (rc !== 0) {
-          UI.logError('Compile failed (exit code ' + rc + ').');
-          return null;
-        }
+        const rc = this.module.callMain(args);
+        if (rc !== 0) return fail('Compile failed (exit code ' + rc + ').');
         return this.module.FS.readFile('/output.mrb');
       } catch (e) {
-        UI.logError('Compile error: ' + e.message);
-        return null;
+        return fail('Compile error: ' + e.message);
+      } finally {
+        this._quiet = false;
+        if (!quiet) this.diagnostics = parseDiagnostics(this._stderrLines);
       }
     }
   };
 
   /**
    * mruby WASM ランタイム
-   * MrubyModule ファクトリ（MODULAR=1）でインスタンスを生成し、
-   * コンパイル済みバイトコードを実行する。
+   * mruby-worker.js の Web Worker でコンパイル済みバイトコードを実行し、出力を 1 行ずつログに出す。
+   * 制限時間を過ぎたときや停止したときはワーカーを terminate() し、次の実行のために作り直す。
+   * 周辺機器をシミュレートするときは、シムが書いた行を sim.onLine に渡す。
    */
   const MrubyRunner = {
     mrubyReady: false,
-    module: null,
+    worker: null,
     running: false,
-    _stdoutBuf: '',
-    _stderrBuf: '',
+    _timer: null,
+    _startedAt: 0,
+    _onSimLine: null,
 
-    /** MrubyModule ファクトリを呼び出して WASM インスタンスを初期化する */
+    /** ワーカーを生成し、WASM インスタンスの準備ができたら実行できるようにする */
     init() {
-      MrubyModule({
-        noInitialRun: true,
-        print: (text) => { MrubyRunner._stdoutBuf += text + '\n'; },
-        printErr: (text) => { MrubyRunner._stderrBuf += text + '\n'; }
-      }).then(instance => {
-        MrubyRunner.module = instance;
-        MrubyRunner.mrubyReady = true;
+      this.mrubyReady = false;
+      this.worker = new Worker('mruby-worker.js');
+      this.worker.onmessage = (e) => this._handleMessage(e.data);
+      this.worker.onerror = (e) => {
+        e.preventDefault();
+        UI.logError('mruby worker: ' + e.message);
+        this._finish();
+      };
+    },
+
+    /**
+     * ワーカーからのメッセージを処理する
+     * @param {Object} msg - { type: 'ready' } / { type: 'output', stream, text } / { type: 'sim', line } / { type: 'done', rc }
+     */
+    _handleMessage(msg) {
+      if (msg.type === 'ready') {
+        this.mrubyReady = true;
         UI.logInfo('mruby WASM ready.');
         UI.updateButtons();
-      });
+      } else if (msg.type === 'output') {
+        UI.logRaw(msg.text, msg.stream === 'stderr' ? 'log-stderr' : 'log-raw');
+      } else if (msg.type === 'sim') {
+        if (this._onSimLine) this._onSimLine(msg.line);
+      } else if (msg.type === 'done') {
+        UI.logInfo('mruby exited with status ' + msg.rc + ' in ' + this._elapsed() + ' s.');
+        this._finish();
+      }
     },
 
     /**
      * バイトコードを mruby で実行し、結果をログに出力する
      * @param {Uint8Array} bytecode - コンパイル済みバイトコード
+     * @param {number} [timeout] - 制限時間（秒）。0 なら制限しない
+     * @param {Object} [sim] - 周辺機器のシミュレーション（UI.prepareSimulation の結果）
      */
-    run(bytecode) {
+    run(bytecode, timeout = 0, sim = null) {
       if (!this.mrubyReady) { UI.logError('mruby WASM not ready.'); return; }
       if (!bytecode) { UI.logError('No compiled bytecode.'); return; }
-      UI.logInfo('Running on mruby...');
+      if (this.running) { UI.logError('mruby is already running.'); return; }
+      UI.logInfo('Running on mruby...' + (timeout > 0 ? ' (timeout ' + timeout + ' s)' : ''));
       this.running = true;
       UI.updateButtons();
 
-      this._stdoutBuf = '';
-      this._stderrBuf = '';
-      this.module.FS.writeFile('/output.mrb', new Uint8Array(bytecode));
-      try {
-        this.module.callMain(['-b', '/output.mrb']);
-      } catch (err) {
-        this._stderrBuf += err.message + '\n';
-      }
-
-      if (this._stdoutBuf) UI.logRaw(this._stdoutBuf);
-      if (this._stderrBuf) UI.logError(this._stderrBuf.trimEnd());
-      this.running = false;
-      UI.logInfo('mruby execution finished.');
-      UI.updateButtons();
-    }
-  };
-
-  /**
-   * Web Serial API によるシリアル通信管理
-   * ポートの接続・切断、データの読み書き、行単位のバッファリングを行う。
-   */
-  const encoder = new TextEncoder();
-  const decoder = new TextDecoder();
-
-  const SerialComm = {
-    port: null,
-    connected: false,
-    reader: null,
-    keepReading: false,
-    readingPromise: null,
-    serialLineBuffer: '',
-
-    /** @type {function(string):void|null} 完全な1行を受信したときのコールバック */
-    onLineReceived: null,
-    /** @type {function(string):void|null} 生データを受信したときのコールバック */
-    onRawData: null,
-    /** @type {function():void|null} 切断時のコールバック */
-    onDisconnect: null,
-
-    /**
-     * シリアルポートを開いて接続する
-     * @param {{baudRate: number}} profile - ボードプロファイル
-     */
-    async connect(profile, port) {
-      try {
-        this.port = port || await navigator.serial.requestPort();
-        await this.port.open({ baudRate: profile.baudRate });
-        this.connected = true;
-        this.keepReading = true;
-        this.serialLineBuffer = '';
-        this.readingPromise = this.readLoop();
-      } catch (e) {
-        UI.logError('Connection failed: ' + e.message);
-        this.port = null;
-        throw e;
-      }
-    },
-
-    /** シリアルポートからの受信ループ */
-    async readLoop() {
-      while (this.port?.readable && this.keepReading) {
-        try {
-          this.reader = this.port.readable.getReader();
-          while (true) {
-            const { value, done } = await this.reader.read();
-            if (done) break;
-            this.processSerialData(decoder.decode(value, { stream: true }));
-          }
-        } catch (e) {
-          if (!this.keepReading) break;
-          console.warn('Read error:', e);
-          break;
-        } finally {
-          if (this.reader) {
-            try { this.reader.releaseLock(); } catch (e) { /* ignore */ }
-            this.reader = null;
-          }
-        }
+      if (timeout > 0) {
+        this._timer = setTimeout(() => this.stop('mruby execution timed out after ' + timeout + ' s.'), timeout * 1000);
       }
+      this._startedAt = performance.now();
+      this._onSimLine = sim ? sim.onLine : null;
+      this.worker.postMessage({
+        type: 'run',
+        bytecode: new Uint8Array(bytecode),
+        sim: sim ? { shim: sim.shim, inputs: sim.inputs, text: sim.text } : null
+      });
     },
 
     /**
-     * 受信データを行単位に分割してコールバックへ渡す
-     * @param {string} rawText - 受信した生テキスト
+     * 実行中のプログラムを止める。ワーカーごと破棄して作り直す
+     * @param {string} [reason] - 止めた理由（タイムアウトのときはエラーとして出す）
      */
-    processSerialData(rawText) {
-      if (this.onRawData) this.onRawData(rawText);
-
-      const combined = this.serialLineBuffer + rawText;
-      const parts = combined.split('\r\n');
-      this.serialLineBuffer = parts.pop() || '';
-
-      for (const line of parts) {
-        if (this.onLineReceived) this.onLineReceived(line);
-      }
-
-      if (this.serialLineBuffer) {
-        MrbwriteProtocol.checkCommandModePatterns(this.serialLineBuffer);
-      }
-    },
-
-    /** シリアルポートを閉じて切断する */
-    async disconnect() {
-      this.connected = false;
-      this.keepReading = false;
-      if (this.reader) {
-        try { await this.reader.cancel(); } catch (e) { /* ignore */ }
-      }
-      if (this.readingPromise) {
-        try { await this.readingPromise; } catch (e) { /* ignore */ }
-        this.readingPromise = null;
-      }
-      const remaining = decoder.decode();
-      if (remaining) this.processSerialData(remaining);
-      if (this.port) {
-        try { await this.port.close(); } catch (e) { /* ignore */ }
-        this.port = null;
-      }
-      this.serialLineBuffer = '';
-      if (this.onDisconnect) this.onDisconnect();
+    stop(reason) {
+      if (!this.running) return;
+      this.worker.terminate();
+      if (reason) UI.logError(reason);
+      else UI.logInfo('mruby execution stopped after ' + this._elapsed() + ' s.');
+      this._finish();
+      this.init();
     },
 
     /**
-     * シリアルポートにバイナリデータを書き込む
-     * @param {Uint8Array} data - 送信データ
+     * 実行を始めてからの経過時間
+     * @returns {string} 秒（小数 2 桁）
      */
-    async writeToPort(data) {
-      if (!this.port?.writable) return;
-      const writer = this.port.writable.getWriter();
-      try {
-        await writer.ready;
-        await writer.write(data);
-      } finally {
-        writer.releaseLock();
-      }
+    _elapsed() {
+      return ((performance.now() - this._startedAt) / 1000).toFixed(2);
     },
 
-    /**
-     * テキストをエンコードして送信する
-     * @param {string} text - 送信テキスト
-     */
-    async sendText(text) {
-      await this.writeToPort(encoder.encode(text));
-    },
-
-    /**
-     * バイナリデータをそのまま送信する
-     * @param {Uint8Array} data - 送信データ
-     */
-    async sendBinary(data) {
-      await this.writeToPort(data);
+    /** 実行終了の後始末 */
+    _finish() {
+      clearTimeout(this._timer);
+      this._timer = null;
+      this._onSimLine = null;
+      this.running = false;
+      UI.updateButtons();
     }
   };
 
-  /**
-   * mrbwrite プロトコル実装
-   * コマンドモードの検出、コマンド送受信、バイトコード書き込みを行う。
-   */
-  const MrbwriteProtocol = {
-    commandMode: false,
-    responseResolve: null,
-    lastCommand: null,
-
-    /**
-     * 受信テキストからコマンドモードの開始・終了を検出する
-     * @param {string} text - 受信テキスト（行または部分バッファ）
-     */
-    checkCommandModePatterns(text) {
-      if (!MrbwriteProtocol.commandMode && text.includes('+OK mruby/c')) {
-        MrbwriteProtocol.commandMode = true;
-        UI.logInfo('Command mode entered.');
-        UI.updateButtons();
-      } else if (MrbwriteProtocol.commandMode && MrbwriteProtocol.lastCommand === 'execute'
-          && text.startsWith('+OK')
-          && !text.includes('+OK mruby/c')) {
-        MrbwriteProtocol.commandMode = false;
-        MrbwriteProtocol.lastCommand = null;
-        UI.logInfo('Command mode exited.');
-        UI.updateButtons();
-      }
-    },
-
-    /**
-     * 完全な1行を受信したときの処理（コマンドモード検出＋レスポンス解決）
-     * @param {string} line - 受信した1行
-     */
-    handleLineReceived(line) {
-      MrbwriteProtocol.checkCommandModePatterns(line);
-
-      if (MrbwriteProtocol.responseResolve
-          && (line.startsWith('+OK') || line.startsWith('-ERR') || line.startsWith('+DONE'))) {
-        MrbwriteProtocol.responseResolve(line);
-        MrbwriteProtocol.responseResolve = null;
-      }
-    },
-
-    /** 切断時にプロトコル状態をリセットする */
-    handleDisconnect() {
-      this.commandMode = false;
-      if (this.responseResolve) {
-        this.responseResolve(null);
-        this.responseResolve = null;
-      }
-      this.lastCommand = null;
-    },
-
-    /**
-     * ボードからのレスポンスを待機する
-     * @param {number} [timeout=5000] - タイムアウト（ミリ秒）
-     * @returns {Promise<string|null>} レスポンス行、タイムアウト時は null
-     */
-    waitForResponse(timeout) {
-      timeout = timeout || 5000;
-      return new Promise(resolve => {
-        const timer = setTimeout(() => {
-          MrbwriteProtocol.responseResolve = null;
-          resolve(null);
-        }, timeout);
-        MrbwriteProtocol.responseResolve = function (line) {
-          clearTimeout(timer);
-          resolve(line);
-        };
-      });
-    },
-
-    /**
-     * コマンドを送信してレスポンスを待つ
-     * @param {string} cmd - 送信するコマンド文字列
-     * @param {Object} [options] - オプション
-     * @param {boolean} [options.force] - コマンドモード外でも強制送信する
-     * @param {boolean} [options.ignoreResponse] - レスポンスを待たない
-     * @param {number} [options.timeout] - タイムアウト（ミリ秒）
-     * @returns {Promise<string|null>} レスポンス行
-     */
-    async sendCommand(cmd, options) {
-      options = options || {};
-      if (!SerialComm.connected) {
-        UI.logError('Not connected.');
-        return null;
-      }
-      if (!options.force && !this.commandMode) {
-        UI.logError('Not in command mode.');
-        return null;
-      }
-      UI.logInfo('> ' + cmd);
-
-      if (options.ignoreResponse) {
-        await SerialComm.sendText(cmd + '\r\n');
-        return null;
-      }
-
-      const responsePromise = this.waitForResponse(options.timeout);
-      await SerialComm.sendText(cmd + '\r\n');
-      return await responsePromise;
-    },
-
-    /**
-     * コマンドモードに遷移する（最大30秒リトライ）
-     * @returns {Promise<boolean>} 遷移成功なら true
-     */
-    async ensureCommandMode() {
-      if (this.commandMode) return true;
-      if (!SerialComm.connected) return false;
-      UI.logInfo('Entering command mode...');
-
-      for (let i = 0; i < 30; i++) {
-        try {
-          await SerialComm.sendText('\r\n');
-        } catch (e) {
-          UI.logError('Send error during command mode transition: ' + e.message);
-          return false;
-        }
-        await sleep(1000);
-        if (this.commandMode) return true;
-        if (!SerialComm.connected) return false;
-      }
-
-      UI.logError('Command mode transition timed out (30s).');
-      return false;
-    },
-
-    /**
-     * バイトコードをボードに書き込む（clear → write → バイナリ送信）
-     * @param {Uint8Array} binary - 書き込むバイトコード
-     */
-    async writeBytecode(binary) {
-      if (!SerialComm.connected || !this.commandMode) {
-        UI.logError('Not connected or not in command mode.');
-        return;
-      }
-
-      // clear
-      UI.logInfo('> clear');
-      const clearResp = await (async () => {
-        const p = this.waitForResponse();
-        await SerialComm.sendText('clear\r\n');
-        return await p;
-      })();
-      if (!clearResp || !clearResp.startsWith('+OK')) {
-        UI.logError('clear command failed: ' + clearResp);
-        return;
-      }
-
-      // write <size>
-      const writeCmd = 'write ' + binary.length;
-      UI.logInfo('> ' + writeCmd);
-      const writeResp = await (async () => {
-        const p = this.waitForResponse();
-        await SerialComm.sendText(writeCmd + '\r\n');
-        return await p;
-      })();
-      if (!writeResp || !writeResp.startsWith('+OK Write bytecode')) {
-        UI.logError('write command failed: ' + writeResp);
-        return;
-      }
-
-      // バイナリデータ送信
-      UI.logInfo('Sending bytecode (' + binary.length + ' bytes)...');
-      const binaryResp = this.waitForResponse(10000);
-      await SerialComm.sendBinary(binary);
-      const result = await binaryResp;
-      if (result && result.startsWith('+DONE')) {
-        UI.logInfo('Write completed.');
-      } else if (result && result.startsWith('-ERR')) {
-        UI.logError('Write failed: ' + result);
-      } else {
-        UI.logError('Write response timeout or unexpected: ' + result);
-      }
-    },
-
-    /**
-     * ボード上のバイトコードを CRC-8 で検証する
-     * @param {Uint8Array} binary - コンパイル済みバイトコード（ローカル計算用）
-     * @param {number} crcPoly - ボードプロファイルの CRC 多項式
-     */
-    async verifyBytecode(binary, crcPoly) {
-      const resp = await this.sendCommand('verify');
-      if (!resp) { UI.logError('verify: no response.'); return; }
-      if (resp.startsWith('-ERR')) { UI.logError('verify: ' + resp); return; }
-
-      const match = resp.match(/([0-9a-fA-F]{2,})\s*$/);
-      if (!match) { UI.logError('verify: unexpected response: ' + resp); return; }
-
-      const boardCrc = parseInt(match[1], 16);
-      const localCrc = calculateCrc8(binary, crcPoly);
-      if (localCrc === boardCrc) {
-        UI.logInfo('Verify succeeded. (CRC8: 0x' + localCrc.toString(16).padStart(2, '0') + ')');
-      } else {
-        UI.logError('Verify failed. expected=0x' + localCrc.toString(16).padStart(2, '0')
-          + ' got=0x' + boardCrc.toString(16).padStart(2, '0'));
-      }
-    },
-
-    /** ボード上のプログラムを実行する */
-    async executeProgram() {
-      if (!await this.ensureCommandMode()) return;
-      this.lastCommand = 'execute';
-      await this.sendCommand('execute', { ignoreResponse: true });
-    }
+  /** シリアル通信（Web Serial API） */
+  const serial = new SerialComm();
+
+  /** mrbwrite プロトコル */
+  const protocol = new MrbwriteProtocol(serial, {
+    info: (msg) => UI.logInfo(msg),
+    error: (msg) => UI.logError(msg)
+  }, {
+    onCommandModeChange: () => UI.updateButtons(),
+    onBusyChange: () => UI.updateButtons()
+  });
+
+  /** 一括書き込みのボードの状態の表示名 */
+  const DEVICE_STATES = {
+    idle: '待機中',
+    connecting: '接続中',
+    writing: '書き込み中',
+    executing: '実行中',
+    done: '完了',
+    failed: '失敗',
+    cancelled: '中止',
+    disconnected: '切断'
   };
 
   /**
@@ -499,17 +219,45 @@
     els: {},
     compiledBinary: null,
     serialApiSupported: false,
+    /** @type {MultiDeviceSession|null} 選択したボードへの一括書き込み（切断まで保持） */
+    multiSession: null,
+    /** 一括書き込みの実行中か */
+    multiRunning: false,
+    /** @type {Set<SerialPort>} 一括書き込みに選んだポート */
+    selectedPorts: new Set(),
+    /** @type {Map<SerialPort, HTMLElement>} デバイス一覧の状態表示 */
+    deviceStateEls: new Map(),
+    /** @type {SessionRecorder|null} 記録中、または最後に記録したセッション */
+    recorder: null,
+    /** @type {RiteInspector|null} コンパイル結果のバイトコードの表示 */
+    riteInspector: null,
+    /** @type {PlotData|null} シリアルプロッタの値 */
+    plotData: null,
+    /** @type {PlotChart|null} シリアルプロッタのグラフ */
+    plotChart: null,
 
     /** DOM要素の取得、WASM初期化、イベントリスナー登録を行う */
     init() {
       this.els = {
         codeEditor: document.getElementById('codeEditor'),
+        compileOptions: document.getElementById('compileOptions'),
+        editorErrors: document.getElementById('editorErrors'),
         logArea: document.getElementById('logArea'),
         boardSelect: document.getElementById('boardSelect'),
+        btnLoadProfiles: document.getElementById('btnLoadProfiles'),
+        profileFile: document.getElementById('profileFile'),
         commandInput: document.getElementById('commandInput'),
         btnCompile: document.getElementById('btnCompile'),
         btnRunMruby: document.getElementById('btnRunMruby'),
+        btnStopMruby: document.getElementById('btnStopMruby'),
+        mrubyTimeout: document.getElementById('mrubyTimeout'),
+        simEnabled: document.getElementById('simEnabled'),
+        simSection: document.getElementById('simSection'),
+        simPanel: document.getElementById('simPanel'),
+        simNote: document.getElementById('simNote'),
         btnWrite: document.getElementById('btnWrite'),
+        btnWriteMrb: document.getElementById('btnWriteMrb'),
+        mrbFile: document.getElementById('mrbFile'),
         btnVerify: document.getElementById('btnVerify'),
         btnExecute: document.getElementById('btnExecute'),
         btnClearLog: document.getElementById('btnClearLog'),
@@ -517,7 +265,32 @@
         btnDisconnect: document.getElementById('btnDisconnect'),
         btnSend: document.getElementById('btnSend'),
         btnBreak: document.getElementById('btnBreak'),
-        deviceList: document.getElementById('deviceList')
+        btnCancel: document.getElementById('btnCancel'),
+        writeProgress: document.getElementById('writeProgress'),
+        writeProgressBar: document.getElementById('writeProgressBar'),
+        writeProgressText: document.getElementById('writeProgressText'),
+        deviceList: document.getElementById('deviceList'),
+        btnWriteDevices: document.getElementById('btnWriteDevices'),
+        btnRecord: document.getElementById('btnRecord'),
+        btnSaveSession: document.getElementById('btnSaveSession'),
+        btnReplay: document.getElementById('btnReplay'),
+        sessionFile: document.getElementById('sessionFile'),
+        bytecodeSection: document.getElementById('bytecodeSection'),
+        riteInspector: document.getElementById('riteInspector'),
+        disassembly: document.getElementById('disassembly'),
+        btnSaveMrb: document.getElementById('btnSaveMrb'),
+        cSymbol: document.getElementById('cSymbol'),
+        btnExportC: document.getElementById('btnExportC'),
+        tabStructure: document.getElementById('tabStructure'),
+        tabDisassembly: document.getElementById('tabDisassembly'),
+        plotCanvas: document.getElementById('plotCanvas'),
+        plotStatus: document.getElementById('plotStatus'),
+        btnPlotPause: document.getElementById('btnPlotPause'),
+        btnPlotZoomIn: document.getElementById('btnPlotZoomIn'),
+        btnPlotZoomOut: document.getElementById('btnPlotZoomOut'),
+        btnPlotReset: document.getElementById('btnPlotReset'),
+        btnPlotClear: document.getElementById('btnPlotClear'),
+        btnPlotExport: document.getElementById('btnPlotExport')
       };
 
       this.serialApiSupported = !!navigator.serial;
@@ -528,26 +301,82 @@
       WasmCompiler.init();
       MrubyRunner.init();
 
-      SerialComm.onLineReceived = (line) => MrbwriteProtocol.handleLineReceived(line);
-      SerialComm.onRawData = (text) => this.logRaw(text);
-      SerialComm.onDisconnect = () => {
-        MrbwriteProtocol.handleDisconnect();
+      this.riteInspector = new RiteInspector(this.els.riteInspector);
+      this.els.tabStructure.addEventListener('click', () => this.showBytecodeTab(false));
+      this.els.tabDisassembly.addEventListener('click', () => this.showBytecodeTab(true));
+      this.els.btnSaveMrb.addEventListener('click', () => this.handleSaveMrb());
+      this.els.btnExportC.addEventListener('click', () => this.handleExportC());
+
+      this.plotData = new PlotData({
+        onChange: () => {
+          this.plotChart.update();
+          this.updatePlotter();
+        }
+      });
+      this.plotChart = new PlotChart(this.els.plotCanvas, this.plotData, { onViewChange: () => this.updatePlotter() });
+
+      serial.onLineReceived = (line, partial) => {
+        // コマンドの応答待ちでない行はプログラムの出力としてプロッタに渡す
+        if (!partial && !protocol.awaitingResponse) this.plotData.addLine(line);
+        protocol.handleLineReceived(line, partial);
+      };
+      serial.onRawData = (text) => this.logRaw(text);
+      serial.onDisconnect = () => {
+        protocol.handleDisconnect();
         this.logInfo('Disconnected.');
         this.updateButtons();
       };
 
+      try {
+        this.applyCustomProfiles(JSON.parse(localStorage.getItem('boardProfiles') || '{}'));
+      } catch (e) {
+        this.logError('Saved board profiles are broken: ' + e.message);
+      }
+      this.els.btnLoadProfiles.addEventListener('click', () => this.els.profileFile.click());
+      this.els.profileFile.addEventListener('change', () => this.handleLoadProfiles());
+
       const savedBoard = localStorage.getItem('target');
       if (savedBoard && this.els.boardSelect.querySelector('option[value="' + savedBoard + '"]')) {
         this.els.boardSelect.value = savedBoard;
       }
+      this.initSimulator();
       this.els.boardSelect.addEventListener('change', () => {
         localStorage.setItem('target', this.els.boardSelect.value);
+        if (!MrubyRunner.running) this.simState.setBoard(this.getSimBoard());
         this.updateButtons();
       });
 
       this.els.btnCompile.addEventListener('click', () => this.handleCompile());
+      this.restoreCompileOptions();
       this.els.btnRunMruby.addEventListener('click', () => this.handleRunMruby());
+      this.els.btnStopMruby.addEventListener('click', () => MrubyRunner.stop());
+      const savedTimeout = localStorage.getItem('mrubyTimeout');
+      if (savedTimeout !== null) this.els.mrubyTimeout.value = savedTimeout;
+      this.els.mrubyTimeout.addEventListener('change', () => {
+        localStorage.setItem('mrubyTimeout', this.els.mrubyTimeout.value);
+      });
       this.els.btnWrite.addEventListener('click', () => this.handleWrite());
+      this.els.btnWriteMrb.addEventListener('click', () => this.els.mrbFile.click());
+      this.els.mrbFile.addEventListener('change', () => {
+        const files = Array.from(this.els.mrbFile.files);
+        this.els.mrbFile.value = '';
+        this.handleMrbFiles(files);
+      });
+      // .mrb ファイルはページのどこにドロップしてもよい
+      document.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        document.body.classList.add('dragging');
+      });
+      document.addEventListener('dragleave', (e) => {
+        if (!e.relatedTarget) document.body.classList.remove('dragging');
+      });
+      document.addEventListener('drop', (e) => {
+        document.body.classList.remove('dragging');
+        if (e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        this.handleMrbFiles(Array.from(e.dataTransfer.files));
+      });
       this.els.btnVerify.addEventListener('click', () => this.handleVerify());
       this.els.btnExecute.addEventListener('click', () => this.handleExecute());
       this.els.btnClearLog.addEventListener('click', () => this.handleClearLog());
@@ -555,11 +384,24 @@
       this.els.btnDisconnect.addEventListener('click', () => this.handleDisconnect());
       this.els.btnSend.addEventListener('click', () => this.handleSend());
       this.els.btnBreak.addEventListener('click', () => this.handleBreak());
+      this.els.btnCancel.addEventListener('click', () => this.handleCancel());
+      this.els.btnWriteDevices.addEventListener('click', () => this.handleWriteDevices());
+      this.els.btnRecord.addEventListener('click', () => this.handleRecord());
+      this.els.btnSaveSession.addEventListener('click', () => this.handleSaveSession());
+      this.els.btnReplay.addEventListener('click', () => this.els.sessionFile.click());
+      this.els.sessionFile.addEventListener('change', () => this.handleReplay());
+      this.els.btnPlotPause.addEventListener('click', () => this.plotChart.setPaused(!this.plotChart.paused));
+      this.els.btnPlotZoomIn.addEventListener('click', () => this.plotChart.zoom(0.5));
+      this.els.btnPlotZoomOut.addEventListener('click', () => this.plotChart.zoom(2));
+      this.els.btnPlotReset.addEventListener('click', () => this.plotChart.resetView());
+      this.els.btnPlotClear.addEventListener('click', () => this.plotData.clear());
+      this.els.btnPlotExport.addEventListener('click', () => this.handleExportPlot());
       this.els.commandInput.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') this.els.btnSend.click();
       });
 
       this.updateButtons();
+      this.updatePlotter();
 
       if (this.serialApiSupported) {
         navigator.serial.addEventListener('connect', (e) => this.handleSerialConnect(e));
@@ -571,20 +413,27 @@
     /** WASM準備状態・接続状態に応じてボタンの有効/無効を切り替える */
     updateButtons() {
       const ready = WasmCompiler.wasmReady;
-      const conn = SerialComm.connected;
-      const serial = this.serialApiSupported;
-      const board = !!this.els.boardSelect.value;
+      const conn = serial.connected;
+      const apiSupported = this.serialApiSupported;
 
       this.els.boardSelect.disabled = conn;
       this.els.btnCompile.disabled = !ready;
       this.els.btnRunMruby.disabled = !(MrubyRunner.mrubyReady && this.compiledBinary && !MrubyRunner.running);
-      this.els.btnConnect.disabled = !(serial && ready && !conn && board);
-      this.els.btnDisconnect.disabled = !conn;
+      this.els.btnStopMruby.disabled = !MrubyRunner.running;
+      this.els.btnConnect.disabled = !(apiSupported && ready && !conn && !this.multiRunning);
+      this.els.btnDisconnect.disabled = !(conn || (this.multiSession && !this.multiRunning));
       this.els.btnWrite.disabled = !(conn && this.compiledBinary);
+      this.els.btnWriteMrb.disabled = !conn;
       this.els.btnVerify.disabled = !(conn && this.compiledBinary);
       this.els.btnExecute.disabled = !conn;
       this.els.btnBreak.disabled = !conn;
       this.els.btnSend.disabled = !conn;
+      this.els.btnCancel.disabled = !(protocol.busy || this.multiRunning);
+      this.els.btnWriteDevices.disabled = !(apiSupported && this.compiledBinary && !conn && !this.multiRunning);
+      this.els.btnRecord.textContent = serial.recorder ? '記録停止' : '記録開始';
+      this.els.btnSaveSession.disabled = !this.recorder;
+      this.els.btnReplay.disabled = conn || this.multiRunning;
+      this.els.btnCancel.title = protocol.busy ? protocol.busyLabel : '';
     },
 
     /**
@@ -614,31 +463,230 @@
     /**
      * 生テキストをログエリアに出力する（改行コード正規化あり）
      * @param {string} text - テキスト
+     * @param {string} [className] - 表示のクラス（mruby の標準エラー出力は 'log-stderr'）
      */
-    logRaw(text) {
+    logRaw(text, className = 'log-raw') {
       const span = document.createElement('span');
-      span.className = 'log-raw';
+      span.className = className;
       span.textContent = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
       this.els.logArea.appendChild(span);
       this.els.logArea.scrollTop = this.els.logArea.scrollHeight;
     },
 
+    /**
+     * コンパイルエラー・警告をエディタ下に表示し、最初のエラー行を選択する
+     * @param {Array<Object>} diagnostics - parseDiagnostics の結果
+     */
+    showEditorErrors(diagnostics) {
+      const list = this.els.editorErrors;
+      list.innerHTML = '';
+      const hasError = diagnostics.some(d => d.severity === 'error');
+      this.els.codeEditor.classList.toggle('has-error', hasError);
+      diagnostics.forEach(d => {
+        const div = document.createElement('div');
+        div.className = 'editor-' + d.severity;
+        div.textContent = d.line + ':' + d.column + ': ' + d.message;
+        div.addEventListener('click', () => this.selectEditorLine(d.line));
+        list.appendChild(div);
+      });
+      const first = diagnostics.find(d => d.severity === 'error');
+      if (first) this.selectEditorLine(first.line);
+    },
+
+    /**
+     * エディタの指定行（1始まり）を選択してスクロールする
+     * @param {number} line - 行番号
+     */
+    selectEditorLine(line) {
+      const editor = this.els.codeEditor;
+      const lines = editor.value.split('\n');
+      const index = Math.min(Math.max(line - 1, 0), lines.length - 1);
+      let start = 0;
+      for (let i = 0; i < index; i++) start += lines[i].length + 1;
+      editor.focus();
+      editor.setSelectionRange(start, start + lines[index].length);
+      const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 16;
+      editor.scrollTop = Math.max(0, (index - 2) * lineHeight);
+    },
+
     /** コンパイルボタンのハンドラ */
     handleCompile() {
       const source = this.els.codeEditor.value;
-      this.logInfo('Compiling...');
-      const binary = WasmCompiler.compile(source);
+      const options = this.getCompileOptions();
+      const flags = mrbcFlags(options);
+      this.logInfo('Compiling...' + (flags.length > 0 ? ' (' + flags.join(' ') + ')' : ''));
+      const binary = WasmCompiler.compile(source, { options });
+      this.showEditorErrors(WasmCompiler.diagnostics);
       if (binary) {
         this.compiledBinary = binary;
-        this.logInfo('Compile succeeded. (' + binary.length + ' bytes)');
-        this.logRaw(hexDump(binary) + '\n');
+        this.logInfo('Compile succeeded. (' + this.describeSize(binary, source, options) + ')');
+        this.showBytecode(binary, source, options);
         this.updateButtons();
       }
     },
 
+    /**
+     * バイトコードの構造（ヘッダ・IREP・シンボル・プールなど）と 16 進表示、逆アセンブル結果を出す
+     * 逆アセンブル結果に行番号を出すため、デバッグ情報をつけて別にコンパイルする
+     * .mrb ファイルを読み込んだときはソースがないので、そのまま逆アセンブルする
+     * @param {Uint8Array} binary - コンパイル済みバイトコード
+     * @param {string} [source] - コンパイルした Ruby ソースコード
+     * @param {Object.<string, boolean>} [options] - コンパイルオプション
+     */
+    showBytecode(binary, source, options) {
+      const rite = this.riteInspector.show(binary);
+      this.els.bytecodeSection.hidden = false;
+      for (const msg of rite.errors) this.logError('Bytecode: ' + msg);
+      if (source === undefined) {
+        this.els.disassembly.textContent = formatDisassembly(rite, []);
+        return;
+      }
+      const debugBinary = WasmCompiler.compile(source, { options: Object.assign({}, options, { debug: true }), quiet: true });
+      this.els.disassembly.textContent = formatDisassembly(parseRite(debugBinary || binary), source.split(/\r?\n/));
+    },
+
+    /**
+     * コンパイルオプション欄のチェック状態
+     * @returns {Object.<string, boolean>} { debug, removeLv, noOptimize, noExtOps }
+     */
+    getCompileOptions() {
+      const options = {};
+      for (const box of this.els.compileOptions.querySelectorAll('input[data-option]')) {
+        options[box.dataset.option] = box.checked;
+      }
+      return options;
+    },
+
+    /** 保存したコンパイルオプションを欄に戻し、変更を保存するようにする */
+    restoreCompileOptions() {
+      let saved = {};
+      try {
+        saved = JSON.parse(localStorage.getItem('compileOptions') || '{}');
+      } catch (e) { /* ignore */ }
+      for (const box of this.els.compileOptions.querySelectorAll('input[data-option]')) {
+        box.checked = saved[box.dataset.option] === true;
+        box.addEventListener('change', () => {
+          localStorage.setItem('compileOptions', JSON.stringify(this.getCompileOptions()));
+        });
+      }
+    },
+
+    /**
+     * ログ用のサイズ表記。オプションがあれば、オプションなしでコンパイルしたときとの差も出す
+     * @param {Uint8Array} binary - コンパイル済みバイトコード
+     * @param {string} source - Ruby ソースコード
+     * @param {Object.<string, boolean>} options - コンパイルオプション
+     * @returns {string} 例: "812 bytes, -120 with --remove-lv"
+     */
+    describeSize(binary, source, options) {
+      if (mrbcFlags(options).length === 0) return describeSize(binary.length, null, options);
+      const base = WasmCompiler.compile(source, { quiet: true });
+      return describeSize(binary.length, base ? base.length : null, options);
+    },
+
+    /**
+     * ファイルとしてダウンロードさせる
+     * @param {string} name - ファイル名
+     * @param {string|Uint8Array} content - 中身
+     * @param {string} type - MIME タイプ
+     */
+    download(name, content, type) {
+      const url = URL.createObjectURL(new Blob([content], { type }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = name;
+      a.click();
+      URL.revokeObjectURL(url);
+    },
+
+    /** .mrb保存ボタンのハンドラ（コンパイル済みバイトコードをダウンロードする） */
+    handleSaveMrb() {
+      if (!this.compiledBinary) return;
+      this.download('program.mrb', this.compiledBinary, 'application/octet-stream');
+      this.logInfo('Saved program.mrb (' + this.compiledBinary.length + ' bytes)');
+    },
+
+    /** Cソース保存ボタンのハンドラ（バイトコードを配列名の uint8_t 配列にした C ソースをダウンロードする） */
+    handleExportC() {
+      if (!this.compiledBinary) return;
+      const symbol = this.els.cSymbol.value.trim();
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(symbol)) {
+        this.logError('Invalid C symbol: "' + symbol + '"');
+        return;
+      }
+      this.download(symbol + '.c', toCSource(this.compiledBinary, symbol), 'text/x-csrc');
+      this.logInfo('Saved ' + symbol + '.c (' + this.compiledBinary.length + ' bytes)');
+    },
+
+    /**
+     * バイトコード表示のタブを切り替える
+     * @param {boolean} disassembly - true で逆アセンブル、false で構造
+     */
+    showBytecodeTab(disassembly) {
+      this.els.riteInspector.hidden = disassembly;
+      this.els.disassembly.hidden = !disassembly;
+      this.els.tabStructure.classList.toggle('active', !disassembly);
+      this.els.tabDisassembly.classList.toggle('active', disassembly);
+    },
+
     /** mruby実行ボタンのハンドラ */
     handleRunMruby() {
-      MrubyRunner.run(this.compiledBinary);
+      const timeout = Number(this.els.mrubyTimeout.value);
+      MrubyRunner.run(this.compiledBinary, timeout > 0 ? timeout : 0, this.prepareSimulation());
+    },
+
+    /**
+     * ボードシミュレータを用意する。入力は SharedArrayBuffer が使えれば実行中も共有する
+     * （ページがクロスオリジン分離されていなければ実行開始時の値を渡す）
+     */
+    initSimulator() {
+      this.simInputs = self.crossOriginIsolated ? new SharedText() : null;
+      /** @type {Map<Object, Uint8Array>} コンパイルしたシム（SIM_BOARDS の値ごと） */
+      this.simShims = new Map();
+      this.simState = new SimState(this.getSimBoard(), {
+        onChange: () => { if (this.simView) this.simView.update(); },
+        onInput: (text) => { if (this.simInputs) this.simInputs.write(text); }
+      });
+      this.simView = new SimPanel(this.els.simPanel, this.simState);
+      this.els.simNote.hidden = this.simInputs !== null;
+      this.els.simEnabled.checked = localStorage.getItem('simEnabled') === 'true';
+      this.els.simSection.hidden = !this.els.simEnabled.checked;
+      this.els.simEnabled.addEventListener('change', () => {
+        localStorage.setItem('simEnabled', String(this.els.simEnabled.checked));
+        this.els.simSection.hidden = !this.els.simEnabled.checked;
+      });
+    },
+
+    /**
+     * 選択中のボードプロファイルでシミュレートするボード
+     * @returns {Object} SIM_BOARDS の値（自動検出や sim が未知のときは generic）
+     */
+    getSimBoard() {
+      return simBoardFor(this.getProfile()) || SIM_BOARDS.generic;
+    },
+
+    /**
+     * mruby で実行するときの周辺機器のシミュレーション。シミュレートしないとき・シムをコンパイルできないときは null
+     * @returns {Object|null} { shim, inputs, text, onLine } - MrubyRunner.run の sim
+     */
+    prepareSimulation() {
+      if (!this.els.simEnabled.checked) return null;
+      const board = this.getSimBoard();
+      if (!this.simShims.has(board)) {
+        const shim = WasmCompiler.compile(shimSource(board), { quiet: true });
+        if (!shim) {
+          this.logError('Cannot compile the ' + board.label + ' simulation.');
+          return null;
+        }
+        this.simShims.set(board, shim);
+      }
+      this.simState.setBoard(board);
+      return {
+        shim: this.simShims.get(board),
+        inputs: this.simInputs ? this.simInputs.buffer : null,
+        text: this.simState.inputsText(),
+        onLine: (line) => this.simState.apply(line)
+      };
     },
 
     /** 書き込みボタンのハンドラ */
@@ -647,8 +695,123 @@
         this.logError('No compiled bytecode.');
         return;
       }
-      if (!await MrbwriteProtocol.ensureCommandMode()) return;
-      await MrbwriteProtocol.writeBytecode(this.compiledBinary);
+      if (!await protocol.ensureCommandMode()) return;
+      await protocol.flashPlan([this.compiledBinary], [], {
+        onProgress: (p) => this.showProgress(p)
+      });
+      this.hideProgress();
+    },
+
+    /**
+     * .mrb ファイルをコンパイルせずに書き込む（.mrbを書き込みボタン・ドロップ）。
+     * RITE のヘッダを確かめ、1 つならコンパイル結果の代わりに表示する。
+     * 接続中なら選んだ順にスロットへ書き込み、未接続なら読み込むだけにする
+     * @param {File[]} files - 選んだ・ドロップしたファイル
+     */
+    async handleMrbFiles(files) {
+      files = files.filter((f) => f.name.endsWith('.mrb'));
+      if (files.length === 0) {
+        this.logError('Not a .mrb file.');
+        return;
+      }
+      const bytecodes = [];
+      for (const file of files) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const problem = checkRite(bytes);
+        if (problem) {
+          this.logError(file.name + ': ' + problem);
+          return;
+        }
+        this.logInfo('Loaded ' + file.name + ' (' + bytes.length + ' bytes)');
+        bytecodes.push(bytes);
+      }
+      if (bytecodes.length === 1) {
+        this.compiledBinary = bytecodes[0];
+        this.showBytecode(bytecodes[0]);
+        this.updateButtons();
+      }
+      if (!serial.connected) {
+        this.logInfo('Not connected. Connect to the board to write it.');
+        return;
+      }
+      if (!await protocol.ensureCommandMode()) return;
+      await protocol.flashPlan(bytecodes, files.map((f) => f.name), {
+        onProgress: (p) => this.showProgress(p)
+      });
+      this.hideProgress();
+    },
+
+    /**
+     * 書き込みの進み具合をプログレスバーに表示する
+     * @param {Object} p - flashPlan の onProgress に渡される進捗
+     */
+    showProgress(p) {
+      this.els.writeProgress.hidden = false;
+      this.els.writeProgressBar.value = Math.floor(p.totalSent * 100 / p.total);
+      this.els.writeProgressText.textContent =
+        'Slot ' + p.slot + (p.label ? ' (' + p.label + ')' : '') + ': ' + p.sent + ' / ' + p.size + ' bytes';
+    },
+
+    /** プログレスバーを隠す */
+    hideProgress() {
+      this.els.writeProgress.hidden = true;
+    },
+
+    /**
+     * 選択中のボードプロファイルを返す
+     * @returns {Object|null} プロファイル、未選択なら null
+     */
+    getProfile() {
+      return boardProfiles[this.els.boardSelect.value] || null;
+    },
+
+    /**
+     * ポートの VID / PID からボードプロファイルを決め、ボード選択に反映する
+     * 選択中のボードが一致しないとき、一致するプロファイルが 1 つだけならそれに切り替える
+     * @param {SerialPort} port - ポート
+     * @returns {Object|null} プロファイル、未選択のまま判別できなければ null
+     */
+    selectProfileForPort(port) {
+      const info = port.getInfo();
+      const current = this.els.boardSelect.value;
+      const key = detectBoardProfile(boardProfiles, info.usbVendorId, info.usbProductId, current);
+      if (key && key !== current) {
+        this.els.boardSelect.value = key;
+        localStorage.setItem('target', key);
+        this.logInfo('Detected board: ' + boardProfiles[key].label + ' (' + key + ').');
+      }
+      return this.getProfile();
+    },
+
+    /**
+     * ユーザー定義のプロファイルを組み込みのものに加え、ボード選択の「カスタム」に並べる
+     * @param {Object.<string, Object>} custom - { 名前: プロファイル }
+     */
+    applyCustomProfiles(custom) {
+      const result = resolveBoardProfiles(custom);
+      result.errors.forEach((msg) => this.logError(msg));
+      boardProfiles = result.profiles;
+
+      const select = this.els.boardSelect;
+      const selected = select.value || localStorage.getItem('target');
+      let group = select.querySelector('optgroup.custom-boards');
+      if (group) group.remove();
+      const names = Object.keys(custom || {}).filter((name) => boardProfiles[name]);
+      if (names.length > 0) {
+        group = document.createElement('optgroup');
+        group.className = 'custom-boards';
+        group.label = 'カスタム';
+        for (const name of names) {
+          select.querySelector('option[value="' + CSS.escape(name) + '"]')?.remove();
+          const option = document.createElement('option');
+          option.value = name;
+          option.textContent = boardProfiles[name].label;
+          group.appendChild(option);
+        }
+        select.appendChild(group);
+      }
+      select.value = boardProfiles[selected] ? selected : '';
+      this.updateButtons();
     },
 
     /** 検証ボタンのハンドラ */
@@ -657,14 +820,13 @@
         this.logError('No compiled bytecode.');
         return;
       }
-      if (!await MrbwriteProtocol.ensureCommandMode()) return;
-      const profile = BOARD_PROFILES[this.els.boardSelect.value];
-      await MrbwriteProtocol.verifyBytecode(this.compiledBinary, profile.crcPoly);
+      if (!await protocol.ensureCommandMode()) return;
+      await protocol.verifyBytecode(this.compiledBinary);
     },
 
     /** 実行ボタンのハンドラ */
     async handleExecute() {
-      await MrbwriteProtocol.executeProgram();
+      await protocol.executeProgram();
     },
 
     /** ログクリアボタンのハンドラ */
@@ -672,52 +834,140 @@
       this.els.logArea.innerHTML = '';
     },
 
-    /** 接続ボタンのハンドラ */
+    /**
+     * プロファイル読込ボタンで選んだ JSON ファイルを読み込む
+     * kaniburner.json と同じ { "boards": { 名前: プロファイル } } 形式
+     */
+    async handleLoadProfiles() {
+      const file = this.els.profileFile.files[0];
+      this.els.profileFile.value = '';
+      if (!file) return;
+      try {
+        const json = JSON.parse(await file.text());
+        const custom = json.boards || {};
+        localStorage.setItem('boardProfiles', JSON.stringify(custom));
+        this.applyCustomProfiles(custom);
+        this.logInfo('Loaded ' + Object.keys(custom).length + ' board profile(s) from ' + file.name + '.');
+      } catch (e) {
+        this.logError(file.name + ': ' + e.message);
+      }
+    },
+
+    /**
+     * 接続ボタンのハンドラ
+     * ボード未選択なら、VID / PID を登録したボードのポートだけを選択肢に出し、選んだポートからボードを判別する
+     */
     async handleConnect() {
-      const profileKey = this.els.boardSelect.value;
-      const profile = BOARD_PROFILES[profileKey];
-      this.logInfo('Connecting (' + profileKey + ', ' + profile.baudRate + ' baud)...');
+      await this.closeDevices();
+      const filters = this.getProfile() ? [] : usbFilters(Object.values(boardProfiles));
       try {
-        await SerialComm.connect(profile);
+        const port = await navigator.serial.requestPort(filters.length > 0 ? { filters } : {});
+        const profile = this.selectProfileForPort(port);
+        if (!profile) {
+          this.logError('Could not detect the board. Select it from the list.');
+          return;
+        }
+        this.logInfo('Connecting (' + this.els.boardSelect.value + ', ' + profile.baudRate + ' baud)...');
+        protocol.setProfile(profile);
+        await serial.connect(new WebSerialTransport(port, profile));
         this.logInfo('Connected.');
         this.updateButtons();
         this.refreshDeviceList();
-        await MrbwriteProtocol.ensureCommandMode();
+        await protocol.ensureCommandMode();
       } catch (e) {
+        this.logError('Connection failed: ' + e.message);
         this.updateButtons();
       }
     },
 
+    /** 記録ボタンのハンドラ（送受信の記録を開始・停止する） */
+    handleRecord() {
+      if (serial.recorder) {
+        serial.recorder = null;
+        this.logInfo('Recording stopped (' + this.recorder.events.length + ' events).');
+      } else {
+        this.recorder = new SessionRecorder();
+        serial.recorder = this.recorder;
+        this.logInfo('Recording serial session...');
+      }
+      this.updateButtons();
+    },
+
+    /** 記録保存ボタンのハンドラ（記録をセッションファイルとしてダウンロードする） */
+    handleSaveSession() {
+      const name = 'session-' + this.recorder.startedAt.toISOString().replace(/[:.]/g, '-') + '.json';
+      this.download(name, this.recorder.serialize(), 'application/json');
+      this.logInfo('Session saved: ' + name + ' (' + this.recorder.events.length + ' events)');
+    },
+
+    /** シリアルプロッタの一時停止ボタンと件数の表示を更新する */
+    updatePlotter() {
+      this.els.btnPlotPause.textContent = this.plotChart.paused ? '再開' : '一時停止';
+      this.els.plotStatus.textContent = this.plotData.rows.length + ' 件';
+      this.els.btnPlotExport.disabled = this.plotData.rows.length === 0;
+    },
+
+    /** CSV保存ボタンのハンドラ（プロッタの値を CSV としてダウンロードする） */
+    handleExportPlot() {
+      const name = 'plot-' + new Date().toISOString().replace(/[:.]/g, '-') + '.csv';
+      this.download(name, this.plotData.toCSV(), 'text/csv');
+      this.logInfo('Plot saved: ' + name + ' (' + this.plotData.rows.length + ' samples)');
+    },
+
+    /**
+     * 再生ボタンで選んだセッションファイルを、ボードの代わりに接続する
+     * 記録時と同じ操作をすると記録した応答が返る
+     */
+    async handleReplay() {
+      const file = this.els.sessionFile.files[0];
+      this.els.sessionFile.value = '';
+      if (!file) return;
+      let session;
+      try {
+        session = parseSession(await file.text());
+      } catch (e) {
+        this.logError(file.name + ': ' + e.message);
+        return;
+      }
+      await this.closeDevices();
+      protocol.setProfile(Object.assign({}, DEFAULT_PROFILE, session.profile || this.getProfile()));
+      await serial.connect(new ReplayTransport(session, {
+        onMismatch: (expected, sent) => this.logError('Replay: sent ' + describeSessionEvent(sent)
+          + ', recorded ' + describeSessionEvent(expected) + '.'),
+        onEnd: () => this.logInfo('Replay finished.')
+      }));
+      this.logInfo('Replaying ' + file.name + ' (recorded ' + session.startedAt + '). Repeat the recorded operations.');
+      this.updateButtons();
+    },
+
     /** 切断ボタンのハンドラ */
     async handleDisconnect() {
       this.logInfo('Disconnecting...');
-      await SerialComm.disconnect();
+      await this.closeDevices();
+      await serial.disconnect();
     },
 
     /** Breakボタンのハンドラ */
     async handleBreak() {
-      if (!SerialComm.connected) {
+      if (!serial.connected) {
         this.logError('Not connected.');
         return;
       }
-      this.logInfo('Sending break signal...');
-      try {
-        await SerialComm.port.setSignals({ break: true });
-        await sleep(100);
-        await SerialComm.port.setSignals({ break: false });
-        this.logInfo('Break signal sent.');
-      } catch (e) {
-        console.warn('Break signal error:', e);
-        this.logError('Break signal failed: ' + e.message);
-      }
+      await protocol.sendBreak();
+    },
+
+    /** 中止ボタンのハンドラ（実行中・待機中のボード操作を取り消す） */
+    handleCancel() {
+      protocol.cancel();
+      if (this.multiRunning) this.multiSession.cancel();
     },
 
     /** コマンド送信ボタンのハンドラ */
     async handleSend() {
       const cmd = this.els.commandInput.value.trim();
       if (!cmd) return;
-      if (!await MrbwriteProtocol.ensureCommandMode()) return;
-      await MrbwriteProtocol.sendCommand(cmd);
+      if (!await protocol.ensureCommandMode()) return;
+      await protocol.sendCommand(cmd);
       this.els.commandInput.value = '';
     },
 
@@ -725,6 +975,7 @@
     async refreshDeviceList() {
       const list = this.els.deviceList;
       list.innerHTML = '';
+      this.deviceStateEls.clear();
       if (!this.serialApiSupported) return;
       const ports = await navigator.serial.getPorts();
       if (ports.length === 0) {
@@ -732,29 +983,171 @@
         return;
       }
       ports.forEach((port, i) => {
-        const info = port.getInfo();
         const div = document.createElement('div');
         div.className = 'device-item';
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.checked = this.selectedPorts.has(port);
+        check.title = '一括書き込みの対象';
+        check.addEventListener('change', () => {
+          if (check.checked) this.selectedPorts.add(port);
+          else this.selectedPorts.delete(port);
+        });
         const span = document.createElement('span');
-        span.textContent = 'Port ' + i + (info.usbVendorId != null
-          ? ' (VID:' + info.usbVendorId.toString(16).padStart(4, '0')
-          + ' PID:' + info.usbProductId.toString(16).padStart(4, '0') + ')'
-          : '');
+        span.textContent = this.portName(port, i);
+        const state = document.createElement('span');
+        state.className = 'device-state';
+        this.deviceStateEls.set(port, state);
         const btn = document.createElement('button');
         btn.textContent = '削除';
         btn.addEventListener('click', () => this.handleForgetDevice(port));
+        div.appendChild(check);
         div.appendChild(span);
+        div.appendChild(state);
         div.appendChild(btn);
         list.appendChild(div);
       });
+      for (const device of this.multiSession ? this.multiSession.devices : []) this.showDeviceState(device);
+    },
+
+    /**
+     * デバイス一覧・ログに出すポート名（判別できたボード名と VID / PID 付き）
+     * @param {SerialPort} port - ポート
+     * @param {number} index - getPorts() での順番
+     * @returns {string}
+     */
+    portName(port, index) {
+      const info = port.getInfo();
+      const boards = matchBoardProfiles(boardProfiles, info.usbVendorId, info.usbProductId);
+      return 'Port ' + index
+        + (boards.length > 0 ? ' ' + boardProfiles[boards[0]].label : '')
+        + (info.usbVendorId != null
+          ? ' (VID:' + info.usbVendorId.toString(16).padStart(4, '0')
+          + ' PID:' + info.usbProductId.toString(16).padStart(4, '0') + ')'
+          : '');
+    },
+
+    /**
+     * 一括書き込みのボードの状態をデバイス一覧に表示する
+     * @param {Object} device - MultiDeviceSession のデバイス
+     */
+    showDeviceState(device) {
+      const el = this.deviceStateEls.get(device.port);
+      if (!el) return;
+      let text = DEVICE_STATES[device.state];
+      if (device.state === 'writing' && device.progress) {
+        text += ' ' + Math.floor(device.progress.totalSent * 100 / device.progress.total) + '%';
+      }
+      if (device.state === 'failed') text += ': ' + device.message;
+      el.textContent = text;
+      el.classList.toggle('failed', device.state === 'failed');
+    },
+
+    /**
+     * Break のリセットで切断された一括書き込みのボードをつなぎ直す（最大 30 秒待つ）。
+     * USB が再列挙されるボード（RP2040 など）は別の SerialPort として戻るので、
+     * 同じ USB VID / PID で、ほかのボードが使っていないポートを探す
+     * @param {MultiDeviceSession} session - 一括書き込みのセッション
+     * @param {Object} device - MultiDeviceSession のデバイス
+     * @param {Object} profile - ボードプロファイル
+     * @returns {Promise<boolean>} 接続できていれば true
+     */
+    async reconnectDevice(session, device, profile) {
+      const { usbVendorId, usbProductId } = device.port.getInfo();
+      for (let i = 0; i < 30; i++) {
+        await sleep(1000);
+        if (device.serial.connected) return true;
+        const used = session.devices.filter((d) => d !== device).map((d) => d.port);
+        const ports = await navigator.serial.getPorts();
+        const port = ports.includes(device.port) ? device.port : ports.find((p) => {
+          const info = p.getInfo();
+          return !used.includes(p) && usbVendorId !== undefined
+            && info.usbVendorId === usbVendorId && info.usbProductId === usbProductId;
+        });
+        if (!port) continue;
+        try {
+          await device.serial.connect(new WebSerialTransport(port, profile));
+        } catch (e) {
+          continue; // 再列挙の直後は開けないことがある
+        }
+        if (port !== device.port) {
+          if (this.selectedPorts.delete(device.port)) this.selectedPorts.add(port);
+          device.port = port;
+          await this.refreshDeviceList();
+        }
+        device.protocol.logger.info('Reconnected.');
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * 一括書き込みボタンのハンドラ
+     * チェックしたボードに同じバイトコードを並行して書き込んで実行し、ボードごとの結果をログに出す
+     */
+    async handleWriteDevices() {
+      const all = await navigator.serial.getPorts();
+      const ports = all.filter((port) => this.selectedPorts.has(port));
+      if (ports.length === 0) {
+        this.logError('No device selected.');
+        return;
+      }
+      await this.closeDevices();
+      const session = new MultiDeviceSession({
+        info: (msg) => this.logInfo(msg),
+        error: (msg) => this.logError(msg)
+      }, {
+        onStateChange: (device) => this.showDeviceState(device)
+      });
+      const selected = this.els.boardSelect.value;
+      for (const port of ports) {
+        const name = 'Port ' + all.indexOf(port);
+        const info = port.getInfo();
+        const profile = boardProfiles[detectBoardProfile(boardProfiles, info.usbVendorId, info.usbProductId, selected)
+          || selected];
+        if (!profile) {
+          this.logError(name + ': Could not detect the board. Select it from the list.');
+          return;
+        }
+        session.add(name, new WebSerialTransport(port, profile), profile, {
+          reconnect: (device) => this.reconnectDevice(session, device, profile)
+        }).port = port;
+      }
+
+      this.multiSession = session;
+      this.multiRunning = true;
+      this.updateButtons();
+      this.logInfo('Writing to ' + ports.length + ' device(s)...');
+      try {
+        const report = await session.run([this.compiledBinary], [], { execute: true });
+        const failed = report.filter((r) => !r.ok);
+        this.logInfo('Result: ' + (report.length - failed.length) + ' ok, ' + failed.length + ' failed.');
+        for (const r of report) {
+          if (r.ok) this.logInfo('  ' + r.name + ': ' + r.message);
+          else this.logError('  ' + r.name + ': ' + r.message);
+        }
+      } finally {
+        this.multiRunning = false;
+        this.updateButtons();
+      }
+    },
+
+    /** 一括書き込みしたボードをすべて切断する */
+    async closeDevices() {
+      if (!this.multiSession) return;
+      const session = this.multiSession;
+      this.multiSession = null;
+      await session.close();
+      this.updateButtons();
     },
 
     /** デバイス削除（forget）ハンドラ */
     async handleForgetDevice(port) {
-      if (SerialComm.port === port && SerialComm.connected) {
+      if (serial.transport?.port === port) {
         this.logInfo('Disconnecting...');
-        await SerialComm.disconnect();
+        await serial.disconnect();
       }
+      this.selectedPorts.delete(port);
       await port.forget();
       this.logInfo('Device forgotten.');
       await this.refreshDeviceList();
@@ -763,24 +1156,27 @@
     /** navigator.serial connect イベントハンドラ（自動接続） */
     async handleSerialConnect(event) {
       await this.refreshDeviceList();
-      if (SerialComm.connected) return;
-      if (!this.els.boardSelect.value) return;
-      const profile = BOARD_PROFILES[this.els.boardSelect.value];
+      if (serial.connected || this.multiSession) return;
+      const profile = this.selectProfileForPort(event.target);
+      if (!profile) return;
       try {
-        await SerialComm.connect(profile, event.target);
+        protocol.setProfile(profile);
+        await serial.connect(new WebSerialTransport(event.target, profile));
         this.logInfo('Auto-connected.');
         this.updateButtons();
         await this.refreshDeviceList();
-        await MrbwriteProtocol.ensureCommandMode();
-      } catch (e) { /* 自動接続失敗 */ }
+        await protocol.ensureCommandMode();
+      } catch (e) {
+        this.logError('Connection failed: ' + e.message);
+      }
     },
 
     /** navigator.serial disconnect イベントハンドラ */
     async handleSerialDisconnect(event) {
       const port = event.target;
-      if (SerialComm.port === port && SerialComm.connected) {
+      if (serial.transport?.port === port) {
         this.logInfo('Device physically disconnected.');
-        await SerialComm.disconnect();
+        await serial.disconnect();
       }
       await this.refreshDeviceList();
     }
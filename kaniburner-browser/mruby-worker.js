@@ -0,0 +1,55 @@
+/**
+ * mruby WASM 実行ワーカー
+ * バイトコードの実行でメインスレッド（画面）を止めないよう、mruby をこのワーカーで動かす。
+ * 出力は 1 行ずつすぐに送る。終わらないプログラムはメインスレッド側が terminate() し、新しいワーカーを作り直す。
+ * sim を渡すと周辺機器のシム（sim.js）をプログラムより先に読み込む。
+ *
+ * 受信: { type: 'run', bytecode: Uint8Array, sim: { shim: Uint8Array, inputs: SharedArrayBuffer|null, text } | null }
+ * 送信: { type: 'ready' } / { type: 'output', stream: 'stdout'|'stderr', text } / { type: 'sim', line } / { type: 'done', rc }
+ */
+importScripts('mruby', 'sim.js');
+
+/** 実行中のシミュレーションの入力を返す関数 */
+let readInputs = () => '';
+
+const ready = MrubyModule({
+  noInitialRun: true,
+  print: (text) => postMessage({ type: 'output', stream: 'stdout', text: text + '\n' }),
+  printErr: (text) => postMessage({ type: 'output', stream: 'stderr', text: text + '\n' })
+});
+
+ready.then((module) => {
+  Sim.installSimDevice(module.FS, {
+    onLine: (line) => postMessage({ type: 'sim', line }),
+    readInputs: () => readInputs()
+  });
+  postMessage({ type: 'ready' });
+});
+
+self.onmessage = async (e) => {
+  if (e.data.type !== 'run') return;
+  const module = await ready;
+  module.FS.writeFile('/output.mrb', e.data.bytecode);
+  const args = ['-b', '/output.mrb'];
+  const sim = e.data.sim;
+  readInputs = () => '';
+  if (sim) {
+    // シムは -r でプログラムより先に読み込む。SharedArrayBuffer がなければ実行開始時の入力を使う
+    module.FS.writeFile('/sim.mrb', sim.shim);
+    if (sim.inputs) {
+      const inputs = new Sim.SharedText(sim.inputs);
+      readInputs = () => inputs.read();
+    } else {
+      readInputs = () => sim.text;
+    }
+    args.unshift('-r', '/sim.mrb');
+  }
+  let rc;
+  try {
+    rc = module.callMain(args);
+  } catch (err) {
+    postMessage({ type: 'output', stream: 'stderr', text: err.message + '\n' });
+    rc = 1;
+  }
+  postMessage({ type: 'done', rc });
+};
@@ -14,6 +14,97 @@ const wsClients = new Set();
 /** @type {string | null} 最後にrunされた.rbファイルの内容 */
 let documentContent = null;
 
+/**
+ * 書き込み後に CRC-8 検証を行う設定かどうか
+ * @returns {boolean}
+ */
+const verifyAfterWrite = () =>
+  vscode.workspace.getConfiguration("kaniburner").get("verifyAfterWrite") || false;
+
+/**
+ * ボードの CRC-8 が一致すれば書き込みを省略する設定かどうか
+ * @returns {boolean}
+ */
+const flashOnlyIfChanged = () =>
+  vscode.workspace.getConfiguration("kaniburner").get("flashOnlyIfChanged") || false;
+
+/**
+ * 設定のユーザー定義ボードプロファイル
+ * @returns {object} { 名前: プロファイル }
+ */
+const boardProfiles = () =>
+  vscode.workspace.getConfiguration("kaniburner").get("boardProfiles") || {};
+
+/** @type {{resolve: Function, progress: vscode.Progress | null, reported: number, last: object | null} | null} 書き込み中の進捗通知 */
+let writeProgress = null;
+
+/**
+ * Web版から届いた書き込みの進み具合を通知に表示する
+ * キャンセルされたら Web版に cancel を送る
+ * @param {object} msg progress メッセージ（done: true で終了）
+ */
+const handleProgress = (msg) => {
+  if (msg.done) {
+    if (writeProgress) writeProgress.resolve();
+    writeProgress = null;
+    return;
+  }
+  if (!writeProgress) {
+    const state = { resolve: null, progress: null, reported: 0, last: null };
+    const done = new Promise((resolve) => { state.resolve = resolve; });
+    writeProgress = state;
+    vscode.window.withProgress(
+      { location: vscode.ProgressLocation.Notification, title: "Kaniburner: Writing", cancellable: true },
+      (progress, token) => {
+        token.onCancellationRequested(() => broadcast({ type: "cancel" }));
+        state.progress = progress;
+        if (state.last) reportProgress(state, state.last);
+        return done;
+      }
+    );
+  }
+  writeProgress.last = msg;
+  if (writeProgress.progress) reportProgress(writeProgress, msg);
+};
+
+/**
+ * 進捗通知を更新する
+ * @param {object} state writeProgress
+ * @param {object} msg progress メッセージ
+ */
+const reportProgress = (state, msg) => {
+  const percent = Math.floor((msg.totalSent * 100) / msg.total);
+  state.progress.report({
+    increment: percent - state.reported,
+    message: `slot ${msg.slot}: ${msg.sent}/${msg.size} bytes`,
+  });
+  state.reported = percent;
+};
+
+/**
+ * Web版で記録したシリアルセッションをワークスペースの kaniburner-sessions/ に保存する
+ * ワークスペースが開かれていなければ保存先を尋ねる
+ * @param {string} name ファイル名
+ * @param {string} content セッションファイルの内容（JSON）
+ */
+const saveSession = async (name, content) => {
+  const folder = (vscode.workspace.workspaceFolders || [])[0];
+  let uri;
+  if (folder) {
+    const dir = vscode.Uri.joinPath(folder.uri, "kaniburner-sessions");
+    await vscode.workspace.fs.createDirectory(dir);
+    uri = vscode.Uri.joinPath(dir, path.basename(name));
+  } else {
+    uri = await vscode.window.showSaveDialog({ filters: { "Kaniburner session": ["json"] } });
+    if (!uri) return;
+  }
+  await vscode.workspace.fs.writeFile(uri, Buffer.from(content, "utf8"));
+  outputChannel.appendLine(`Session saved: ${uri.fsPath}`);
+  vscode.window.showInformationMessage(
+    `Kaniburner: セッションを保存しました → ${vscode.workspace.asRelativePath(uri)}`
+  );
+};
+
 /**
  * 全WSクライアントにメッセージをブロードキャストする
  * @param {object} data 送信するJSON
@@ -84,6 +175,7 @@ const activate = (context) => {
             if (documentContent) {
               ws.send(JSON.stringify({ type: "edit", content: documentContent }));
             }
+            ws.send(JSON.stringify({ type: "profiles", boards: boardProfiles() }));
           },
           onMessage(event, ws) {
             try {
@@ -91,11 +183,20 @@ const activate = (context) => {
               if (msg.type === "log" && outputChannel) {
                 if (msg.level === "raw") {
                   outputChannel.append(msg.text);
+                } else if (msg.level === "stderr") {
+                  outputChannel.append(msg.text.replace(/^(?=.)/gm, "[stderr] "));
                 } else {
                   outputChannel.append(msg.text + "\n");
                 }
+              } else if (msg.type === "progress") {
+                handleProgress(msg);
+              } else if (msg.type === "session") {
+                saveSession(msg.name, msg.content).catch((e) =>
+                  vscode.window.showErrorMessage(`Kaniburner: セッションを保存できません: ${e.message}`)
+                );
               } else if (msg.type === "state") {
                 vscode.commands.executeCommand("setContext", "kaniburner.deviceConnected", !!msg.deviceConnected);
+                vscode.commands.executeCommand("setContext", "kaniburner.busy", !!msg.busy);
               }
             } catch (e) { /* ignore */ }
           },
@@ -104,6 +205,8 @@ const activate = (context) => {
             if (wsClients.size === 0) {
               vscode.commands.executeCommand("setContext", "kaniburner.wsConnected", false);
               vscode.commands.executeCommand("setContext", "kaniburner.deviceConnected", false);
+              vscode.commands.executeCommand("setContext", "kaniburner.busy", false);
+              handleProgress({ done: true });
             }
           },
         }))
@@ -126,6 +229,14 @@ const activate = (context) => {
 
   context.subscriptions.push(disposable);
 
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeConfiguration((e) => {
+      if (e.affectsConfiguration("kaniburner.boardProfiles")) {
+        broadcast({ type: "profiles", boards: boardProfiles() });
+      }
+    })
+  );
+
   context.subscriptions.push(
     vscode.commands.registerCommand("kaniburner.serve", () => {
       vscode.commands.executeCommand("kaniburner.edit");
@@ -154,7 +265,12 @@ const activate = (context) => {
         return;
       }
       documentContent = editor.document.getText();
-      broadcast({ type: "executeAll", content: documentContent });
+      broadcast({
+        type: "executeAll",
+        content: documentContent,
+        verify: verifyAfterWrite(),
+        skipIfUnchanged: flashOnlyIfChanged(),
+      });
     })
   );
 
@@ -172,7 +288,13 @@ const activate = (context) => {
 
   context.subscriptions.push(
     vscode.commands.registerCommand("kaniburner.write", () => {
-      broadcast({ type: "write" });
+      broadcast({ type: "write", verify: verifyAfterWrite(), skipIfUnchanged: flashOnlyIfChanged() });
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("kaniburner.verify", () => {
+      broadcast({ type: "verify" });
     })
   );
 
@@ -187,6 +309,12 @@ const activate = (context) => {
       broadcast({ type: "break" });
     })
   );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("kaniburner.cancel", () => {
+      broadcast({ type: "cancel" });
+    })
+  );
 };
 
 /**
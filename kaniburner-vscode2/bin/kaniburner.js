@@ -0,0 +1,438 @@
+#!/usr/bin/env node
+// Kaniburner CLI: VS Code なしでコンパイル・書き込み・実行を行う．
+// 拡張と同じ WasmCompiler / MrubyRunner / SerialComm / MrbwriteProtocol を使う．
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const {
+  SerialComm, MrbwriteProtocol, NodeSerialTransport, SessionRecorder, BOARD_PROFILES, resolveBoardProfiles,
+  detectBoardProfile, listBoardPorts, breakAndReconnect
+} = require('../src/serial');
+const { WasmCompiler, MrubyRunner, mrubyVersionForRite } = require('../src/wasm');
+const { normalizeCompileOptions, describeSize } = require('../src/compiler');
+const { checkRite } = require('../src/rite');
+const { simBoardFor, shimSource, SharedText, SimState } = require('../src/sim');
+
+const MEDIA_DIR = path.join(__dirname, '..', 'media');
+// カレントディレクトリのプロジェクト定義（拡張と同じ形式．"boards" のプロファイルを --board で，
+// "compileOptions" をコンパイルオプションの既定として使う）
+const MANIFEST_FILE = 'kaniburner.json';
+
+// 終了コード
+const EXIT = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  COMPILE: 3,
+  CONNECT: 4,
+  WRITE: 5,
+  VERIFY: 6
+};
+
+const USAGE = `Usage: kaniburner <command> [options] [files...]
+
+Commands:
+  compile <file.rb...>   Compile to .mrb (next to each source, or -o for a single file)
+  run <file.rb>          Compile and run on the local mruby, with the --board peripherals simulated
+  flash <file.rb...>     Compile and write to the board, one slot per file (.mrb files are written as is)
+  verify <file.rb...>    Compile and compare the board's CRC-8 with the bytecode (or .mrb files)
+  execute                Execute the program on the board
+  monitor                Print board output (stdin is sent to the board)
+  ports                  List serial ports
+
+Options:
+  -b, --board <name>          Board profile: ${Object.keys(BOARD_PROFILES).join(', ')},
+                              or a name from "boards" in ./${MANIFEST_FILE}
+                              (default: detected from the port's USB VID/PID, else rboard)
+  -p, --port <path>           Serial port (default: the only port matching a board, or the only port found)
+  -m, --mruby-version <ver>   mruby version: 3.4, 4.0 (default: 3.4)
+  -o, --output <file.mrb>     Output file for compile
+  -B, --symbol <name>         compile: write C source defining <name> instead of .mrb (single file)
+  -g, --debug                 Produce debug info (mrbc -g)
+      --remove-lv             Remove local variable names
+      --no-optimize           Disable peephole optimization
+      --no-ext-ops            Do not use OP_EXT instructions
+  -t, --timeout <sec>         run: stop the program after <sec> seconds (default: 0, no limit)
+      --verify                Verify after flash
+      --skip-unchanged        Skip flash when the board CRC-8 already matches
+  -x, --execute               Execute after flash
+      --record <file.json>    Record the serial session to a file (for bug reports)
+  -q, --quiet                 Print errors only
+  -h, --help                  Show this help
+
+Exit codes: 0 ok, 1 failure, 2 usage, 3 compile, 4 connect, 5 write, 6 verify`;
+
+class CliError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      board:            { type: 'string', short: 'b' },
+      port:             { type: 'string', short: 'p' },
+      'mruby-version':  { type: 'string', short: 'm', default: '3.4' },
+      output:           { type: 'string', short: 'o' },
+      symbol:           { type: 'string', short: 'B' },
+      debug:            { type: 'boolean', short: 'g' },
+      'remove-lv':      { type: 'boolean' },
+      'no-optimize':    { type: 'boolean' },
+      'no-ext-ops':     { type: 'boolean' },
+      timeout:          { type: 'string', short: 't', default: '0' },
+      verify:           { type: 'boolean', default: false },
+      'skip-unchanged': { type: 'boolean', default: false },
+      execute:          { type: 'boolean', short: 'x', default: false },
+      record:           { type: 'string' },
+      quiet:            { type: 'boolean', short: 'q', default: false },
+      help:             { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  const [command, ...files] = positionals;
+  return { command, files, opts: values };
+}
+
+// ./kaniburner.json．無ければ null
+function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw new CliError(`${MANIFEST_FILE}: ${e.message}`, EXIT.USAGE);
+  }
+}
+
+// 組み込み + ./kaniburner.json の "boards"
+function loadBoardProfiles() {
+  const json = readManifest();
+  if (!json) return BOARD_PROFILES;
+  const { profiles, errors } = resolveBoardProfiles(json.boards);
+  if (errors.length > 0) throw new CliError(errors.join('\n'), EXIT.USAGE);
+  return profiles;
+}
+
+function createOutput(quiet) {
+  return {
+    appendLine: (line) => {
+      if (quiet && line.startsWith('[info]')) return;
+      process.stderr.write(line + '\n');
+    },
+    append: (text) => process.stdout.write(text)
+  };
+}
+
+function requireFiles(files, ext, max = Infinity) {
+  if (files.length === 0) throw new CliError(`No ${ext} file given.`, EXIT.USAGE);
+  if (files.length > max) throw new CliError(`Too many files (max ${max}).`, EXIT.USAGE);
+  for (const f of files) {
+    if (!f.endsWith(ext)) throw new CliError(`Not a ${ext} file: ${f}`, EXIT.USAGE);
+  }
+}
+
+function checkMrubyVersion(version) {
+  if (!fs.existsSync(path.join(MEDIA_DIR, `mruby-${version}`))) {
+    throw new CliError(`mruby ${version} is not built (media/mruby-${version}/ not found).`, EXIT.USAGE);
+  }
+}
+
+// ファイルのコンパイルオプション: kaniburner.json の "compileOptions"，"files" のそのファイルの
+// "compileOptions"，コマンドラインの順に重ねる
+function compileOptionsFor(file, ctx) {
+  const json = readManifest();
+  const options = {};
+  try {
+    if (json) {
+      Object.assign(options, normalizeCompileOptions(json.compileOptions, `${MANIFEST_FILE}: compileOptions`));
+      const entry = Array.isArray(json.files) && json.files.find((f) => f && typeof f === 'object'
+        && typeof f.path === 'string' && path.resolve(f.path) === path.resolve(file));
+      if (entry) Object.assign(options, normalizeCompileOptions(entry.compileOptions, `${MANIFEST_FILE}: ${entry.path}`));
+    }
+  } catch (e) {
+    throw new CliError(e.message, EXIT.USAGE);
+  }
+  const flags = { debug: 'debug', removeLv: 'remove-lv', noOptimize: 'no-optimize', noExtOps: 'no-ext-ops' };
+  for (const key of Object.keys(flags)) {
+    if (ctx.opts[flags[key]] !== undefined) options[key] = ctx.opts[flags[key]];
+  }
+  return options;
+}
+
+// symbol を渡すと -B<symbol> の C ソースを返す
+async function compileFiles(files, ctx, { symbol = null } = {}) {
+  checkMrubyVersion(ctx.opts['mruby-version']);
+  const compiler = new WasmCompiler(MEDIA_DIR, ctx.output, ctx.opts['mruby-version']);
+  const bytecodes = [];
+  const failed = [];
+  for (const file of files) {
+    let src;
+    try {
+      src = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      ctx.error(`${file}: ${e.message}`);
+      failed.push(file);
+      continue;
+    }
+    ctx.info(`Compiling ${file} (mruby ${compiler.version})...`);
+    const options = compileOptionsFor(file, ctx);
+    const bc = await compiler.compile(src, { options, symbol });
+    for (const d of compiler.diagnostics) {
+      ctx.output.appendLine(`${file}:${d.line}:${d.column}: ${d.severity}: ${d.message}`);
+    }
+    if (!bc) {
+      failed.push(file);
+      continue;
+    }
+    const size = symbol ? `${bc.length} bytes of C source` : describeSize(bc.length, await compiler.baseSize(src, options), options);
+    ctx.info(`${file}: ${size}.`);
+    bytecodes.push(bc);
+  }
+  if (failed.length > 0) throw new CliError(`Compile failed: ${failed.join(', ')}`, EXIT.COMPILE);
+  return bytecodes;
+}
+
+// run で読み込む周辺機器のシミュレーション (MrubyRunner.run の sim)．--board（省略時は generic）の sim を使う．
+// 入力はボードのスイッチを離した状態のまま．シムが書いた行は [sim] として出す
+async function prepareSimulation(ctx) {
+  const profiles = loadBoardProfiles();
+  if (ctx.opts.board && !profiles[ctx.opts.board]) throw new CliError(`Unknown board: ${ctx.opts.board}`, EXIT.USAGE);
+  const profile = ctx.opts.board ? profiles[ctx.opts.board] : null;
+  const board = simBoardFor(profile);
+  if (!board) throw new CliError(`Board profile "${ctx.opts.board}": unknown simulated board "${profile.sim}".`, EXIT.USAGE);
+  const compiler = new WasmCompiler(MEDIA_DIR, ctx.output, ctx.opts['mruby-version']);
+  const shim = await compiler.compile(shimSource(board), { quiet: true });
+  if (!shim) throw new CliError(`Cannot compile the ${board.label} simulation.`, EXIT.COMPILE);
+  const inputs = new SharedText();
+  inputs.write(new SimState(board).inputsText());
+  return { shim, inputs, onLine: (line) => ctx.output.appendLine(`[sim]   ${line}`) };
+}
+
+// flash / verify の入力．.mrb ならヘッダを確かめてそのまま使い，.rb ならコンパイルする（混在は不可）
+async function loadBytecodes(files, ctx) {
+  if (files.length === 0 || !files.every((f) => f.endsWith('.mrb'))) {
+    requireFiles(files, '.rb');
+    return compileFiles(files, ctx);
+  }
+  return files.map((file) => {
+    let bc;
+    try {
+      bc = fs.readFileSync(file);
+    } catch (e) {
+      throw new CliError(`${file}: ${e.message}`, EXIT.USAGE);
+    }
+    const problem = checkRite(bc);
+    if (problem) throw new CliError(`${file}: ${problem}`, EXIT.USAGE);
+    ctx.info(`${file}: ${bc.length} bytes.`);
+    return bc;
+  });
+}
+
+// --port がなければ，ボードプロファイルの VID / PID に一致するポート（--board があればそのボードのもの）が
+// 1 つだけならそれを，ポートが 1 つだけならそれを使う
+async function resolvePort(ctx, profiles) {
+  const ports = await listBoardPorts(profiles);
+  if (ctx.opts.port) return ports.find((p) => p.path === ctx.opts.port) || { path: ctx.opts.port };
+  const matched = ports.filter((p) => ctx.opts.board ? p.boards.includes(ctx.opts.board) : p.boards.length > 0);
+  if (matched.length === 1) return matched[0];
+  if (ports.length === 1) return ports[0];
+  if (ports.length === 0) throw new CliError('No serial ports found.', EXIT.CONNECT);
+  throw new CliError(`Several ports found, use --port: ${ports.map((p) => p.path).join(', ')}`, EXIT.USAGE);
+}
+
+async function connect(ctx) {
+  const profiles = loadBoardProfiles();
+  if (ctx.opts.board && !profiles[ctx.opts.board]) throw new CliError(`Unknown board: ${ctx.opts.board}`, EXIT.USAGE);
+  const port = await resolvePort(ctx, profiles);
+  const portPath = port.path;
+  if (!ctx.opts.board) {
+    ctx.opts.board = detectBoardProfile(profiles, port.vendorId, port.productId) || 'rboard';
+  }
+  const profile = profiles[ctx.opts.board];
+  let protocol;
+  const serial = new SerialComm({
+    onRawData: (text) => { if (ctx.echo) process.stdout.write(text); },
+    onLineReceived: (line, partial) => protocol.handleLineReceived(line, partial),
+    onDisconnect: () => protocol.handleDisconnect()
+  });
+  protocol = new MrbwriteProtocol(serial, { info: ctx.info, error: ctx.error }, {
+    profile,
+    onIncompatibleBytecode: ({ firmware }) => {
+      const version = mrubyVersionForRite(firmware.rite);
+      if (version) ctx.error(`Compile with --mruby-version ${version} for this firmware.`);
+    }
+  });
+  if (ctx.opts.record) serial.recorder = new SessionRecorder();
+  ctx.info(`Connecting (${ctx.opts.board}, ${profile.baudRate} baud, ${portPath})...`);
+  try {
+    await serial.connect(new NodeSerialTransport(portPath, profile));
+  } catch (e) {
+    throw new CliError(`Connect failed: ${e.message}`, EXIT.CONNECT);
+  }
+  ctx.serial = serial;
+  return { serial, protocol, portPath, profile };
+}
+
+const commands = {
+  async compile(ctx) {
+    requireFiles(ctx.files, '.rb');
+    if (ctx.opts.output && ctx.files.length > 1) {
+      throw new CliError('--output needs a single input file.', EXIT.USAGE);
+    }
+    if (ctx.opts.symbol && ctx.files.length > 1) {
+      throw new CliError('--symbol needs a single input file.', EXIT.USAGE);
+    }
+    const symbol = ctx.opts.symbol || null;
+    const bytecodes = await compileFiles(ctx.files, ctx, { symbol });
+    ctx.files.forEach((file, i) => {
+      const out = ctx.opts.output || file.replace(/\.rb$/, symbol ? '.c' : '.mrb');
+      fs.writeFileSync(out, bytecodes[i]);
+      ctx.info(`Wrote ${out}`);
+    });
+    return EXIT.OK;
+  },
+
+  async run(ctx) {
+    requireFiles(ctx.files, '.rb', 1);
+    const [bc] = await compileFiles(ctx.files, ctx);
+    const sim = await prepareSimulation(ctx);
+    const timeout = Number(ctx.opts.timeout);
+    if (!(timeout >= 0)) throw new CliError(`Invalid --timeout: ${ctx.opts.timeout}`, EXIT.USAGE);
+    const runner = new MrubyRunner(MEDIA_DIR, ctx.output, ctx.opts['mruby-version']);
+    // Ctrl+C はプログラムを止めてから終わる
+    const onSigint = () => runner.stop();
+    process.once('SIGINT', onSigint);
+    try {
+      const rc = await runner.run(bc, { timeout, sim });
+      return rc === 0 ? EXIT.OK : EXIT.FAILURE;
+    } finally {
+      process.off('SIGINT', onSigint);
+      runner.dispose();
+    }
+  },
+
+  async flash(ctx) {
+    const bytecodes = await loadBytecodes(ctx.files, ctx);
+    const { protocol, portPath, profile } = await connect(ctx);
+    if (!(await breakAndReconnect(protocol, portPath, profile))) {
+      throw new CliError('Could not enter command mode.', EXIT.CONNECT);
+    }
+    // Ctrl+C は書き込みを中止してボードをコマンドモードに戻してから終わる
+    const onSigint = () => protocol.cancel();
+    process.once('SIGINT', onSigint);
+    let ok;
+    try {
+      ok = await protocol.flashPlan(bytecodes, ctx.files, {
+        skipIfUnchanged: ctx.opts['skip-unchanged'],
+        onProgress: ctx.progress
+      });
+    } finally {
+      process.off('SIGINT', onSigint);
+    }
+    if (!ok) return EXIT.WRITE;
+    if (ctx.opts.verify
+        && !(await protocol.verifyBytecode(Buffer.concat(bytecodes)))) {
+      return EXIT.VERIFY;
+    }
+    if (ctx.opts.execute && !(await protocol.executeProgram())) return EXIT.FAILURE;
+    return EXIT.OK;
+  },
+
+  async verify(ctx) {
+    const bytecodes = await loadBytecodes(ctx.files, ctx);
+    const { protocol } = await connect(ctx);
+    if (!(await protocol.ensureCommandMode())) {
+      throw new CliError('Could not enter command mode.', EXIT.CONNECT);
+    }
+    const ok = await protocol.verifyBytecode(Buffer.concat(bytecodes));
+    return ok ? EXIT.OK : EXIT.VERIFY;
+  },
+
+  async execute(ctx) {
+    const { protocol } = await connect(ctx);
+    if (!(await protocol.ensureCommandMode())) {
+      throw new CliError('Could not enter command mode.', EXIT.CONNECT);
+    }
+    return (await protocol.executeProgram()) ? EXIT.OK : EXIT.FAILURE;
+  },
+
+  async monitor(ctx) {
+    ctx.echo = true;
+    const { serial, profile } = await connect(ctx);
+    ctx.info('Monitoring. Press Ctrl+C to exit.');
+    process.stdin.on('data', (buf) => {
+      serial.sendText(buf.toString('utf8').replace(/\r?\n/g, profile.lineTerminator)).catch(() => {});
+    });
+    await new Promise((resolve) => {
+      process.once('SIGINT', resolve);
+      const onDisconnect = serial.onDisconnect;
+      serial.onDisconnect = () => { onDisconnect(); resolve(); };
+    });
+    process.stdin.pause();
+    return EXIT.OK;
+  },
+
+  async ports() {
+    const profiles = loadBoardProfiles();
+    const ports = await listBoardPorts(profiles);
+    for (const p of ports) {
+      const meta = [p.manufacturer, p.vendorId && `VID:${p.vendorId}`, p.productId && `PID:${p.productId}`,
+        p.boards.length > 0 && `[${p.boards.map((key) => profiles[key].label).join(', ')}]`]
+        .filter(Boolean).join(' ');
+      process.stdout.write(meta ? `${p.path}\t${meta}\n` : `${p.path}\n`);
+    }
+    return EXIT.OK;
+  }
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseCli(argv);
+  } catch (e) {
+    process.stderr.write(`${e.message}\nRun 'kaniburner --help' for usage.\n`);
+    return EXIT.USAGE;
+  }
+  const { command, files, opts } = parsed;
+  if (opts.help || !command) {
+    process.stdout.write(USAGE + '\n');
+    return opts.help ? EXIT.OK : EXIT.USAGE;
+  }
+  const handler = Object.prototype.hasOwnProperty.call(commands, command) && commands[command];
+  if (!handler) {
+    process.stderr.write(`Unknown command: ${command}\nRun 'kaniburner --help' for usage.\n`);
+    return EXIT.USAGE;
+  }
+
+  const output = createOutput(opts.quiet);
+  const ctx = {
+    files,
+    opts,
+    output,
+    echo: false,
+    serial: null,
+    // 端末なら送信バイト数を1行で更新表示する
+    progress: !opts.quiet && process.stderr.isTTY
+      ? (p) => process.stderr.write(`\r[info]  slot ${p.slot} ${p.label}: ${p.sent}/${p.size} bytes\x1b[K`
+        + (p.sent === p.size ? '\n' : ''))
+      : null,
+    info: (msg) => output.appendLine(`[info]  ${msg}`),
+    error: (msg) => output.appendLine(`[error] ${msg}`)
+  };
+  try {
+    return await handler(ctx);
+  } catch (e) {
+    ctx.error(e.message);
+    return e instanceof CliError ? e.code : EXIT.FAILURE;
+  } finally {
+    if (ctx.serial) await ctx.serial.disconnect();
+    if (ctx.serial && ctx.serial.recorder) {
+      fs.writeFileSync(opts.record, ctx.serial.recorder.serialize());
+      ctx.info(`Session recorded to ${opts.record}.`);
+    }
+  }
+}
+
+main(process.argv.slice(2)).then((code) => { process.exitCode = code; });
@@ -0,0 +1,101 @@
+/**
+ * mrbc のオプション・出力解析共通モジュール
+ * ブラウザ版・VSCode 拡張（media/ の Web 版と vscode2 の WasmCompiler・CLI）で共有する。
+ * ブラウザでは <script> で読み込むと window.Compiler に、Node.js では require() で公開される。
+ *
+ * コンパイルオプションは { debug, removeLv, noOptimize, noExtOps } の真偽値で表し、
+ * mrbcFlags() で mrbc の引数にする。mrbc のエラー出力は parseDiagnostics() で位置つきのエラー・警告にする。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Compiler = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * コンパイルオプション（vscode2 の設定 kaniburner.compileOptions・kaniburner.json の "compileOptions" のキー、
+   * ブラウザ版のコンパイルオプション欄の data-option）と対応する mrbc の引数。どれも 3.4 / 4.0 の mrbc にそのまま渡す
+   * @type {Object.<string, string>}
+   */
+  const COMPILE_OPTIONS = {
+    debug: '-g',                // 行番号などのデバッグ情報をつける
+    removeLv: '--remove-lv',    // ローカル変数名を除く
+    noOptimize: '--no-optimize', // のぞき穴最適化をしない
+    noExtOps: '--no-ext-ops'    // OP_EXT 命令を使わない
+  };
+
+  /**
+   * コンパイルオプションを検証する
+   * @param {*} raw - 設定などに書かれたコンパイルオプション
+   * @param {string} [where] - エラーメッセージに出す場所
+   * @returns {Object.<string, boolean>} 省略（undefined / null）なら空
+   * @throws {Error} 未知のキーや真偽値でない値があるとき
+   */
+  const normalizeCompileOptions = (raw, where = 'compileOptions') => {
+    if (raw === undefined || raw === null) return {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error(where + ' must be an object.');
+    const options = {};
+    for (const key of Object.keys(raw)) {
+      if (!Object.prototype.hasOwnProperty.call(COMPILE_OPTIONS, key)) {
+        throw new Error(where + ': unknown option "' + key + '" (' + Object.keys(COMPILE_OPTIONS).join(', ') + ').');
+      }
+      if (typeof raw[key] !== 'boolean') throw new Error(where + '.' + key + ' must be true or false.');
+      options[key] = raw[key];
+    }
+    return options;
+  };
+
+  /**
+   * コンパイルオプションを mrbc の引数にする
+   * @param {Object.<string, boolean>} [options] - コンパイルオプション
+   * @returns {string[]}
+   */
+  const mrbcFlags = (options = {}) =>
+    Object.keys(COMPILE_OPTIONS).filter((key) => options[key]).map((key) => COMPILE_OPTIONS[key]);
+
+  /**
+   * ログ用のサイズ表記。オプションなしでコンパイルしたときのサイズがあれば差も出す
+   * @param {number} size - バイトコードのバイト数
+   * @param {?number} baseSize - オプションなしでコンパイルしたときのバイト数（わからなければ null）
+   * @param {Object.<string, boolean>} [options] - コンパイルオプション
+   * @returns {string} 例: "812 bytes, -120 with --remove-lv"
+   */
+  const describeSize = (size, baseSize, options) => {
+    const flags = mrbcFlags(options);
+    if (baseSize === null || baseSize === undefined || flags.length === 0) return size + ' bytes';
+    const diff = size - baseSize;
+    return size + ' bytes, ' + (diff > 0 ? '+' : '') + diff + ' with ' + flags.join(' ');
+  };
+
+  /** mrbc のエラー出力の形式: "<file>:<line>:<column>: [warning: ]<message>" */
+  const DIAGNOSTIC_PATTERN = /^(.+?):(\d+):(\d+): (warning: )?(.*)$/;
+
+  /**
+   * mrbc のエラー出力を解析する
+   * @param {string[]} lines - mrbc の stderr 出力行
+   * @returns {Array<{file: string, line: number, column: number, severity: string, message: string}>}
+   */
+  const parseDiagnostics = (lines) => {
+    const result = [];
+    for (const text of lines) {
+      const m = DIAGNOSTIC_PATTERN.exec(text);
+      if (!m) continue;
+      result.push({
+        file: m[1],
+        line: Number(m[2]),
+        column: Number(m[3]),
+        severity: m[4] ? 'warning' : 'error',
+        message: m[5]
+      });
+    }
+    return result;
+  };
+
+  return {
+    COMPILE_OPTIONS,
+    normalizeCompileOptions,
+    mrbcFlags,
+    describeSize,
+    parseDiagnostics
+  };
+});
@@ -0,0 +1,49 @@
+const vscode = require('vscode');
+
+const STATE_ICONS = {
+  idle: 'circle-large-outline',
+  connecting: 'sync~spin',
+  writing: 'sync~spin',
+  executing: 'sync~spin',
+  done: 'pass',
+  failed: 'error',
+  cancelled: 'circle-slash',
+  disconnected: 'debug-disconnect'
+};
+
+// 一括書き込み (MultiDeviceSession) のボードと状態の一覧．Explorer の Kaniburner Devices ビューに出す．
+class DeviceTreeProvider {
+  constructor() {
+    this._changeEmitter = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._changeEmitter.event;
+    this.devices = [];
+  }
+
+  setDevices(devices) {
+    this.devices = devices;
+    this._changeEmitter.fire();
+  }
+
+  refresh(device) {
+    this._changeEmitter.fire(device);
+  }
+
+  getChildren(element) {
+    return element ? [] : this.devices;
+  }
+
+  getTreeItem(device) {
+    const item = new vscode.TreeItem(device.name);
+    let state = device.state;
+    if (state === 'writing' && device.progress) {
+      state += ` ${Math.floor(device.progress.totalSent * 100 / device.progress.total)}%`;
+    }
+    item.description = [device.board, state].filter(Boolean).join(' · ');
+    item.tooltip = device.message ? `${device.name}: ${device.message}` : device.name;
+    item.iconPath = new vscode.ThemeIcon(STATE_ICONS[device.state],
+      device.state === 'failed' ? new vscode.ThemeColor('errorForeground') : undefined);
+    return item;
+  }
+}
+
+module.exports = { DeviceTreeProvider };
@@ -0,0 +1,98 @@
+const vscode = require('vscode');
+const path = require('node:path');
+const { parseRite, formatDisassembly, isRiteSupported } = require('./rite');
+
+const SCHEME = 'kaniburner-disasm';
+const IREP_LINE = /^irep #\d+ (.+?) \(/;
+const SOURCE_LINE = /^ {2}; line (\d+)/;
+// mrbc -v のコードダンプの IREP の見出し ("irep 0x... nregs=...")
+const DUMP_IREP_LINE = /^irep (0x[0-9a-f]+) /;
+
+// mrbc -v の出力からバージョン表示とパースツリーを除き，コードダンプだけにする
+function codedump(text) {
+  const i = text.search(/^irep /m);
+  return i < 0 ? text : text.slice(i);
+}
+
+// 逆アセンブル結果を読み取り専用のテキストとして出す (TextDocumentContentProvider)．
+// URI のクエリにソースの URI を持ち，開くたび・refresh() のたびにデバッグ情報つきでコンパイルし直す．
+// IREP ごとの見出しはアウトラインに，"; line N" はソースのその行へのリンクになる．
+// parseRite() が読めない RITE バージョン (mruby 4.0 の RITE0400 など) では，代わりに mrbc -v のコードダンプを出す．
+class DisassemblyProvider {
+  // compile(source, sourceUri) => Promise<{ bytecode: Buffer|null, error: string|null }>
+  // dump(source, sourceUri) => Promise<string|null>  mrbc -v の出力
+  constructor(compile, dump) {
+    this.compile = compile;
+    this.dump = dump;
+    this._changeEmitter = new vscode.EventEmitter();
+    this.onDidChange = this._changeEmitter.event;
+  }
+
+  static uriFor(sourceUri) {
+    return vscode.Uri.from({ scheme: SCHEME, path: `/${path.basename(sourceUri.path)}.disasm`, query: sourceUri.toString() });
+  }
+
+  register() {
+    const selector = { scheme: SCHEME };
+    return vscode.Disposable.from(
+      vscode.workspace.registerTextDocumentContentProvider(SCHEME, this),
+      vscode.languages.registerDocumentSymbolProvider(selector, this),
+      vscode.languages.registerDocumentLinkProvider(selector, this)
+    );
+  }
+
+  async provideTextDocumentContent(uri) {
+    const sourceUri = vscode.Uri.parse(uri.query);
+    const source = (await vscode.workspace.openTextDocument(sourceUri)).getText();
+    const name = vscode.workspace.asRelativePath(sourceUri);
+    const { bytecode, error } = await this.compile(source, sourceUri);
+    if (!bytecode) return `; ${name}: compile failed.\n; ${(error || '').split('\n').join('\n; ')}\n`;
+    const rite = parseRite(bytecode);
+    if (rite.header && !isRiteSupported(rite.header.version)) {
+      const text = await this.dump(source, sourceUri);
+      if (text !== null) return `; ${name}\n; RITE${rite.header.version} is not decoded here; showing the mrbc -v code dump instead.\n` + codedump(text);
+    }
+    return `; ${name}\n` + formatDisassembly(rite, source.split(/\r?\n/));
+  }
+
+  provideDocumentSymbols(doc) {
+    const symbols = [];
+    for (let i = 0; i < doc.lineCount; i++) {
+      const m = IREP_LINE.exec(doc.lineAt(i).text) || DUMP_IREP_LINE.exec(doc.lineAt(i).text);
+      if (!m) continue;
+      if (symbols.length > 0) {
+        const prev = symbols[symbols.length - 1];
+        prev.range = new vscode.Range(prev.range.start, doc.lineAt(Math.max(i - 1, 0)).range.end);
+      }
+      const range = doc.lineAt(i).range;
+      symbols.push(new vscode.DocumentSymbol(m[1], doc.lineAt(i).text.slice(m[0].length - 1).trim(), vscode.SymbolKind.Method, range, range));
+    }
+    if (symbols.length > 0) {
+      const last = symbols[symbols.length - 1];
+      last.range = new vscode.Range(last.range.start, doc.lineAt(doc.lineCount - 1).range.end);
+    }
+    return symbols;
+  }
+
+  provideDocumentLinks(doc) {
+    const sourceUri = vscode.Uri.parse(doc.uri.query);
+    const links = [];
+    for (let i = 0; i < doc.lineCount; i++) {
+      const m = SOURCE_LINE.exec(doc.lineAt(i).text);
+      if (!m) continue;
+      const link = new vscode.DocumentLink(new vscode.Range(i, 4, i, m[0].length), sourceUri.with({ fragment: `L${m[1]}` }));
+      link.tooltip = `Go to line ${m[1]}`;
+      links.push(link);
+    }
+    return links;
+  }
+
+  // ソースを再コンパイルしたら，開いている逆アセンブル表示を更新する
+  refresh(sourceUri) {
+    const uri = DisassemblyProvider.uriFor(sourceUri).toString();
+    const doc = vscode.workspace.textDocuments.find((d) => d.uri.toString() === uri);
+    if (doc) this._changeEmitter.fire(doc.uri);
+  }
+}
+
+module.exports = { DisassemblyProvider };
@@ -1,16 +1,50 @@
 const vscode = require('vscode');
 const path = require('node:path');
-const { SerialPort } = require('serialport');
-const { SerialComm, MrbwriteProtocol, BOARD_PROFILES } = require('./serial');
-const { WasmCompiler, MrubyRunner } = require('./wasm');
+const {
+  SerialComm, MrbwriteProtocol, MultiDeviceSession, SessionRecorder, ReplayTransport, parseSession,
+  describeSessionEvent, NodeSerialTransport, PortWatcher, DEFAULT_PROFILE, resolveBoardProfiles, detectBoardProfile,
+  listBoardPorts, waitForReconnect, breakAndReconnect: reconnectAfterBreak
+} = require('./serial');
+const { WasmCompiler, MrubyRunner, MRUBY_RITE_VERSIONS, mrubyVersionForRite } = require('./wasm');
+const { normalizeCompileOptions, describeSize } = require('./compiler');
+const { BoardTerminal } = require('./terminal');
+const { DeviceTreeProvider } = require('./devices');
+const { PlotterPanel } = require('./plotter-panel');
+const { SimulatorPanel } = require('./sim-panel');
+const { simBoardFor, shimSource, SharedText } = require('./sim');
+const { BytecodeInspectorPanel } = require('./inspector');
+const { DisassemblyProvider } = require('./disassembly');
+const { cSymbolFor, toCSource, checkRite, isRiteSupported } = require('./rite');
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// 記録したシリアルセッションの保存先（ワークスペース直下）
+const SESSIONS_DIR = 'kaniburner-sessions';
+// ワークスペース直下のプロジェクト定義:
+// { "files": ["main.rb", "sub.rb"],（スロット順） "boards": { "<name>": { ボードプロファイル } } }
+const MANIFEST_FILE = 'kaniburner.json';
 
 /** @type {vscode.OutputChannel} */ let output;
+/** @type {vscode.DiagnosticCollection} */ let diagnostics;
 /** @type {SerialComm}            */ let serial;
 /** @type {MrbwriteProtocol}      */ let protocol;
 /** @type {WasmCompiler}          */ let compiler;
 /** @type {MrubyRunner}           */ let runner;
+/** @type {BoardTerminal}         */ let boardTerminal;
+/** @type {vscode.Terminal}       */ let terminal;
+/** @type {PlotterPanel}          */ let plotterPanel;
+/** @type {SimulatorPanel}        */ let simulatorPanel;
+/** @type {BytecodeInspectorPanel} */ let inspectorPanel;
+/** @type {DisassemblyProvider}   */ let disassembly;
+/** @type {PortWatcher}           */ let portWatcher;
+/** @type {vscode.Disposable}     */ let waitingStatus;
+/** @type {MultiDeviceSession}    */ let multiSession;
+/** @type {DeviceTreeProvider}    */ let deviceTree;
+/** @type {vscode.Disposable}     */ let recordingStatus;
+// シミュレータの入力（パネルが書き，mruby のワーカーが読む）と，コンパイルしたシム ("<mruby のバージョン>:<sim>" ごと)
+const simInputs = new SharedText();
+const shimCache = new Map();
+// Disconnect コマンドによる切断や再生の終わりなら自動再接続しない
+let disconnecting = false;
+let replaying = false;
 
 const info  = (msg) => output.appendLine(`[info]  ${msg}`);
 const error = (msg) => output.appendLine(`[error] ${msg}`);
@@ -18,10 +52,103 @@ const error = (msg) => output.appendLine(`[error] ${msg}`);
 const setDeviceConnected = (v) =>
   vscode.commands.executeCommand('setContext', 'kaniburner.deviceConnected', v);
 
-function getBoardProfile() {
-  const key = vscode.workspace.getConfiguration('kaniburner').get('board') || 'rboard';
-  const profile = BOARD_PROFILES[key] || BOARD_PROFILES.rboard;
-  return { key, ...profile };
+// 組み込み + 設定 kaniburner.boardProfiles + kaniburner.json の "boards"（後のものが優先）．
+// 不正なプロファイルはログに出して除く．
+async function loadBoardProfiles() {
+  const custom = { ...vscode.workspace.getConfiguration('kaniburner').get('boardProfiles') };
+  try {
+    const json = await readManifestFile();
+    if (json && json.boards) Object.assign(custom, json.boards);
+  } catch (e) {
+    error(`${MANIFEST_FILE}: ${e.message}`);
+  }
+  const { profiles, errors } = resolveBoardProfiles(custom);
+  errors.forEach((msg) => error(msg));
+  return profiles;
+}
+
+const usbId = (p) => `VID:${p.vendorId} PID:${p.productId}`;
+
+const getBoardSetting = () => vscode.workspace.getConfiguration('kaniburner').get('board') || 'rboard';
+
+// 接続するポートのプロファイル．設定 kaniburner.board のものを使うが，
+// それがポートの VID / PID に一致せず，一致するプロファイルが 1 つだけならそちらを使う．見つからなければ null．
+function getBoardProfile(profiles, port) {
+  const current = getBoardSetting();
+  const key = detectBoardProfile(profiles, port.vendorId, port.productId, current) || current;
+  if (key !== current) info(`Detected board "${key}" (${profiles[key].label}) from USB ${usbId(port)}.`);
+  if (!profiles[key]) {
+    error(`Unknown board profile: ${key}`);
+    vscode.window.showErrorMessage(`Kaniburner: Unknown board profile "${key}".`);
+    return null;
+  }
+  return { key, ...profiles[key] };
+}
+
+async function selectBoard() {
+  const current = getBoardSetting();
+  const profiles = await loadBoardProfiles();
+  const items = Object.entries(profiles).map(([key, p]) => ({
+    label: p.label,
+    description: `${key} · ${p.baudRate} baud${key === current ? ' (current)' : ''}`,
+    key
+  }));
+  const picked = await vscode.window.showQuickPick(items, { title: 'Kaniburner: Select board profile' });
+  if (!picked) return;
+  const target = vscode.workspace.workspaceFolders
+    ? vscode.ConfigurationTarget.Workspace
+    : vscode.ConfigurationTarget.Global;
+  await vscode.workspace.getConfiguration('kaniburner').update('board', picked.key, target);
+  if (serial.connected) info(`Board profile "${picked.key}" will be used from the next connection.`);
+}
+
+function getFlashOptions() {
+  const config = vscode.workspace.getConfiguration('kaniburner');
+  return {
+    verify: config.get('verifyAfterWrite') || false,
+    skipIfUnchanged: config.get('flashOnlyIfChanged') || false
+  };
+}
+
+// 進捗を通知に出しながら書き込む．通知のキャンセルでボード操作を中止する．
+function flashWithProgress(plan) {
+  return vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: 'Kaniburner: Writing',
+    cancellable: true
+  }, (progress, token) => {
+    token.onCancellationRequested(() => protocol.cancel());
+    let reported = 0;
+    return protocol.flashPlan(plan.bytecodes, plan.labels, {
+      ...getFlashOptions(),
+      onProgress: (p) => {
+        const percent = Math.floor(p.totalSent * 100 / p.total);
+        const name = p.label ? ` (${p.label})` : '';
+        progress.report({
+          increment: percent - reported,
+          message: `slot ${p.slot + 1}/${p.slots}${name}: ${p.sent}/${p.size} bytes`
+        });
+        reported = percent;
+      }
+    });
+  });
+}
+
+// ファームウェアが読めない形式のバイトコードの書き込みを止めたとき，読める形式を出す mruby のバージョンを勧める
+async function suggestMrubyVersion({ firmware, bytecodeRite }) {
+  const version = mrubyVersionForRite(firmware.rite);
+  const board = firmware.mrubyc ? `mruby/c ${firmware.mrubyc}` : firmware.text;
+  const message = `Kaniburner: The board (${board}) cannot load RITE${bytecodeRite} bytecode compiled with mruby ${getMrubyVersion()}.`;
+  if (!version) {
+    vscode.window.showErrorMessage(`${message} Update the firmware, or use an mruby version that outputs RITE${firmware.rite}.`);
+    return;
+  }
+  const action = `Use mruby ${version}`;
+  if (await vscode.window.showErrorMessage(`${message} Set kaniburner.mrubyVersion to ${version}?`, action) !== action) return;
+  const target = vscode.workspace.workspaceFolders
+    ? vscode.ConfigurationTarget.Workspace
+    : vscode.ConfigurationTarget.Global;
+  await vscode.workspace.getConfiguration('kaniburner').update('mrubyVersion', version, target);
 }
 
 function getMrubyVersion() {
@@ -34,15 +161,27 @@ function ensureWasmForVersion(mediaDir) {
   if (v !== currentVersion) {
     currentVersion = v;
     compiler = new WasmCompiler(mediaDir, output, v);
+    if (runner) runner.dispose();
     runner = new MrubyRunner(mediaDir, output, v);
+    // インスペクタは RITE03xx (mruby 3.x) しか読めない
+    vscode.commands.executeCommand('setContext', 'kaniburner.inspectable', isInspectable());
+    if (inspectorPanel && !isInspectable()) inspectorPanel.dispose();
   }
 }
 
-async function pickPort(context) {
+// 設定中の mruby のバイトコードをインスペクタで読めるか
+function isInspectable() {
+  const rite = MRUBY_RITE_VERSIONS[currentVersion];
+  return Boolean(rite) && isRiteSupported(rite);
+}
+
+// ポートを選ぶ．ボードプロファイルの VID / PID に一致するポートはボード名を付けて先頭に並べる．
+async function pickPort(context, profiles) {
   const cached = context.workspaceState.get('kaniburner.port');
+  const current = getBoardSetting();
   let ports;
   try {
-    ports = await SerialPort.list();
+    ports = await listBoardPorts(profiles);
   } catch (e) {
     error(`Failed to list ports: ${e.message}`);
     return null;
@@ -51,56 +190,83 @@ async function pickPort(context) {
     vscode.window.showErrorMessage('Kaniburner: No serial ports found.');
     return null;
   }
-  const items = ports.map((p) => {
+  const items = [];
+  const detected = ports.filter((p) => p.boards.length > 0).length;
+  if (detected > 0 && detected < ports.length) {
+    items.push({ label: 'Detected boards', kind: vscode.QuickPickItemKind.Separator });
+  }
+  ports.forEach((p, i) => {
+    if (i === detected && detected > 0) items.push({ label: 'Other ports', kind: vscode.QuickPickItemKind.Separator });
     const meta = [p.manufacturer, p.vendorId && `VID:${p.vendorId}`, p.productId && `PID:${p.productId}`]
       .filter(Boolean).join(' ');
-    return {
-      label: p.path,
-      description: meta || undefined,
-      path: p.path,
+    const board = p.boards.includes(current) ? current : p.boards[0];
+    items.push({
+      label: board ? `$(circuit-board) ${profiles[board].label}` : p.path,
+      description: board ? [p.path, meta].join(' · ') : meta || undefined,
+      port: p,
       picked: p.path === cached
-    };
+    });
   });
   const picked = await vscode.window.showQuickPick(items, {
     title: 'Kaniburner: Select serial port',
     placeHolder: cached ? `Last used: ${cached}` : 'Pick a port'
   });
   if (!picked) return null;
-  await context.workspaceState.update('kaniburner.port', picked.path);
-  return picked.path;
+  await context.workspaceState.update('kaniburner.port', picked.port.path);
+  return picked.port;
 }
 
 async function breakAndReconnect(context) {
-  if (!serial.connected) return false;
   const portPath = context.workspaceState.get('kaniburner.port');
-  const profile = getBoardProfile();
-  info('> break');
-  await serial.sendBreak();
-  for (let i = 0; i < 30; i++) {
-    await sleep(1000);
-    if (serial.connected) break;
-    try {
-      const ports = await SerialPort.list();
-      if (ports.some((p) => p.path === portPath)) {
-        await serial.connect(portPath, profile);
-        info('Reconnected.');
-        setDeviceConnected(true);
-        break;
-      }
-    } catch (_) { /* retry */ }
-  }
-  if (!serial.connected) return false;
-  return await protocol.ensureCommandMode();
+  const ok = await reconnectAfterBreak(protocol, portPath, protocol.profile, {
+    onReconnect: () => setDeviceConnected(true)
+  });
+  // リセット後にポートが戻らなければ，以後はポートの監視に任せる
+  if (!serial.connected) watchPort(context);
+  return ok;
+}
+
+// 予期しない切断のあと，同じポートが再び現れたら接続し直してコマンドモードに入る
+function watchPort(context) {
+  const portPath = context.workspaceState.get('kaniburner.port');
+  if (!portPath || !protocol.profile || portWatcher.watching) return;
+  if (!vscode.workspace.getConfiguration('kaniburner').get('autoReconnect')) return;
+  info(`Waiting for ${portPath} to come back...`);
+  waitingStatus = vscode.window.setStatusBarMessage(`$(sync~spin) Kaniburner: Waiting for ${portPath}`);
+  vscode.window.showWarningMessage(
+    `Kaniburner: The board was disconnected. It will be reconnected when ${portPath} comes back.`);
+  portWatcher.watch(portPath, protocol.profile);
+}
+
+function stopWatchingPort() {
+  portWatcher.stop();
+  if (waitingStatus) waitingStatus.dispose();
+  waitingStatus = null;
+}
+
+async function handleReconnect(portPath) {
+  stopWatchingPort();
+  info(`Reconnected (${protocol.profile.key}, ${portPath}).`);
+  setDeviceConnected(true);
+  vscode.window.showInformationMessage(`Kaniburner: Reconnected to ${portPath}.`);
+  await protocol.ensureCommandMode();
 }
 
 async function ensureConnected(context) {
   if (serial.connected) return true;
-  const portPath = await pickPort(context);
-  if (!portPath) return false;
-  const profile = getBoardProfile();
+  stopWatchingPort();
+  const profiles = await loadBoardProfiles();
+  const port = await pickPort(context, profiles);
+  if (!port) return false;
+  const profile = getBoardProfile(profiles, port);
+  if (!profile) return false;
+  const portPath = port.path;
+  // 同じポートを二重に開かないよう，一括書き込みで開いたボードを閉じる
+  await closeDevices();
   info(`Connecting (${profile.key}, ${profile.baudRate} baud, ${portPath})...`);
   try {
-    await serial.connect(portPath, profile);
+    protocol.setProfile(profile);
+    await serial.connect(new NodeSerialTransport(portPath, profile));
     info('Connected.');
     setDeviceConnected(true);
     output.show(true);
@@ -112,67 +278,659 @@ async function ensureConnected(context) {
   }
 }
 
-function getCurrentSource() {
+function startRecording() {
+  if (serial.recorder) return;
+  serial.recorder = new SessionRecorder();
+  vscode.commands.executeCommand('setContext', 'kaniburner.recording', true);
+  recordingStatus = vscode.window.setStatusBarMessage('$(record) Kaniburner: Recording serial session');
+  info('Recording serial session...');
+}
+
+// 記録を止めてワークスペースの kaniburner-sessions/ に保存する
+async function stopRecording() {
+  const recorder = serial.recorder;
+  if (!recorder) return;
+  serial.recorder = null;
+  vscode.commands.executeCommand('setContext', 'kaniburner.recording', false);
+  if (recordingStatus) recordingStatus.dispose();
+  recordingStatus = null;
+
+  const name = `session-${recorder.startedAt.toISOString().replace(/[:.]/g, '-')}.json`;
+  const folder = getWorkspaceFolder();
+  let uri;
+  if (folder) {
+    const dir = vscode.Uri.joinPath(folder.uri, SESSIONS_DIR);
+    await vscode.workspace.fs.createDirectory(dir);
+    uri = vscode.Uri.joinPath(dir, name);
+  } else {
+    uri = await vscode.window.showSaveDialog({ saveLabel: 'Save session', filters: { 'Kaniburner session': ['json'] } });
+    if (!uri) {
+      info('Recorded session discarded.');
+      return;
+    }
+  }
+  await vscode.workspace.fs.writeFile(uri, new TextEncoder().encode(recorder.serialize()));
+  info(`Session saved: ${uri.fsPath} (${recorder.events.length} events)`);
+  vscode.window.showInformationMessage(`Kaniburner: Session saved to ${vscode.workspace.asRelativePath(uri)}.`, 'Open')
+    .then((open) => { if (open) vscode.window.showTextDocument(uri); });
+}
+
+// 記録したセッションを再生する．ボードの代わりに記録の受信を返すので，記録時と同じ操作をすると再現できる．
+async function replaySession() {
+  const folder = getWorkspaceFolder();
+  const picked = await vscode.window.showOpenDialog({
+    title: 'Kaniburner: Replay session',
+    defaultUri: folder ? vscode.Uri.joinPath(folder.uri, SESSIONS_DIR) : undefined,
+    filters: { 'Kaniburner session': ['json'] },
+    canSelectMany: false
+  });
+  if (!picked) return;
+  let session;
+  try {
+    session = parseSession(new TextDecoder().decode(await vscode.workspace.fs.readFile(picked[0])));
+  } catch (e) {
+    error(`${picked[0].fsPath}: ${e.message}`);
+    return;
+  }
+
+  stopWatchingPort();
+  if (serial.connected) {
+    disconnecting = true;
+    try {
+      await serial.disconnect();
+    } finally {
+      disconnecting = false;
+    }
+  }
+  protocol.setProfile({ ...DEFAULT_PROFILE, ...session.profile });
+  replaying = true;
+  await serial.connect(new ReplayTransport(session, {
+    onMismatch: (expected, sent) =>
+      error(`Replay: sent ${describeSessionEvent(sent)}, recorded ${describeSessionEvent(expected)}.`),
+    onEnd: () => info('Replay finished.')
+  }));
+  setDeviceConnected(true);
+  output.show(true);
+  info(`Replaying ${vscode.workspace.asRelativePath(picked[0])} (recorded ${session.startedAt}). Repeat the recorded operations.`);
+}
+
+// 一括書き込みするポートを選ぶ．前回選んだポート（初回はボードとして検出したポート）に印を付けておく．
+async function pickPorts(context, profiles) {
+  let ports;
+  try {
+    ports = await listBoardPorts(profiles);
+  } catch (e) {
+    error(`Failed to list ports: ${e.message}`);
+    return null;
+  }
+  if (ports.length === 0) {
+    vscode.window.showErrorMessage('Kaniburner: No serial ports found.');
+    return null;
+  }
+  const last = context.workspaceState.get('kaniburner.ports');
+  const items = ports.map((p) => ({
+    label: p.path,
+    description: [p.boards.length > 0 && profiles[p.boards[0]].label, p.manufacturer].filter(Boolean).join(' · ')
+      || undefined,
+    picked: last ? last.includes(p.path) : p.boards.length > 0,
+    port: p
+  }));
+  const picked = await vscode.window.showQuickPick(items, {
+    title: 'Kaniburner: Select boards to flash',
+    canPickMany: true
+  });
+  if (!picked || picked.length === 0) return null;
+  await context.workspaceState.update('kaniburner.ports', picked.map((item) => item.port.path));
+  return picked.map((item) => item.port);
+}
+
+async function closeDevices() {
+  if (!multiSession) return;
+  const session = multiSession;
+  multiSession = null;
+  vscode.commands.executeCommand('setContext', 'kaniburner.multiDevice', false);
+  await session.close();
+}
+
+// 同じプログラムを複数のボードに並行して書き込んで実行し，ボードごとの結果を出す
+async function flashMultiple(context, mediaDir) {
+  const plan = await doCompilePlan(mediaDir);
+  if (!plan) return;
+  const profiles = await loadBoardProfiles();
+  const ports = await pickPorts(context, profiles);
+  if (!ports) return;
+  const targets = [];
+  for (const port of ports) {
+    const profile = getBoardProfile(profiles, port);
+    if (!profile) return;
+    targets.push({ port, profile });
+  }
+
+  // 同じポートを二重に開かないよう，単体の接続と前回の一括書き込みを閉じる
+  stopWatchingPort();
+  if (serial.connected) {
+    disconnecting = true;
+    try {
+      await serial.disconnect();
+    } finally {
+      disconnecting = false;
+    }
+  }
+  await closeDevices();
+
+  let reportProgress = () => {};
+  const session = new MultiDeviceSession({ info, error }, {
+    onStateChange: (device) => {
+      deviceTree.refresh(device);
+      reportProgress();
+    }
+  });
+  multiSession = session;
+  for (const { port, profile } of targets) {
+    const device = session.add(port.path, new NodeSerialTransport(port.path, profile), profile, {
+      reconnect: (d) => waitForReconnect(d.protocol, port.path, profile)
+    });
+    device.board = profile.label;
+  }
+  deviceTree.setDevices(session.devices);
+  vscode.commands.executeCommand('setContext', 'kaniburner.multiDevice', true);
+  output.show(true);
+  info(`Flashing ${targets.length} board(s)...`);
+
+  const report = await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: `Kaniburner: Flashing ${targets.length} boards`,
+    cancellable: true
+  }, (progress, token) => {
+    token.onCancellationRequested(() => session.cancel());
+    reportProgress = () => {
+      const finished = session.devices.filter((d) => ['done', 'failed', 'cancelled'].includes(d.state)).length;
+      progress.report({ message: `${finished}/${session.devices.length} finished` });
+    };
+    return session.run(plan.bytecodes, plan.labels, { ...getFlashOptions(), execute: true });
+  });
+
+  const failed = report.filter((r) => !r.ok);
+  info(`Result: ${report.length - failed.length} ok, ${failed.length} failed.`);
+  for (const r of report) (r.ok ? info : error)(`  ${r.name}: ${r.message}`);
+  if (failed.length === 0) {
+    vscode.window.showInformationMessage(`Kaniburner: All ${report.length} boards were flashed.`);
+  } else {
+    vscode.window.showErrorMessage(
+      `Kaniburner: ${failed.length} of ${report.length} boards failed: ${failed.map((r) => r.name).join(', ')}`);
+  }
+}
+
+// ボードとの対話端末を開く（既に開いていれば前面に出す）
+async function openTerminal(context) {
+  if (terminal) {
+    terminal.show();
+    return;
+  }
+  boardTerminal = new BoardTerminal(serial, protocol, {
+    history: context.globalState.get('kaniburner.terminalHistory', []),
+    onHistoryChange: (history) => context.globalState.update('kaniburner.terminalHistory', history),
+    onClose: () => { boardTerminal = null; terminal = null; }
+  });
+  terminal = vscode.window.createTerminal({ name: 'Kaniburner', pty: boardTerminal });
+  terminal.show();
+  await ensureConnected(context);
+}
+
+// シリアルプロッタを開く（既に開いていれば前面に出す）
+async function openPlotter(context) {
+  if (plotterPanel) {
+    plotterPanel.reveal();
+    return;
+  }
+  plotterPanel = new PlotterPanel(context.extensionUri, { onClose: () => { plotterPanel = null; } });
+  await ensureConnected(context);
+}
+
+// ボードシミュレータを開く（既に開いていれば前面に出す）
+async function openSimulator(context) {
+  if (simulatorPanel) {
+    simulatorPanel.reveal();
+    return;
+  }
+  simulatorPanel = new SimulatorPanel(context.extensionUri, {
+    onInput: (text) => simInputs.write(text),
+    onClose: () => { simulatorPanel = null; }
+  });
+  const profile = (await loadBoardProfiles())[getBoardSetting()];
+  simulatorPanel.start(simBoardFor(profile) || simBoardFor(null));
+}
+
+// Run mruby で読み込む周辺機器のシミュレーション (MrubyRunner.run の sim)．
+// 設定 kaniburner.board のプロファイルの sim のシムを使う．kaniburner.simulateBoard が false なら null
+async function prepareSimulation() {
+  if (!vscode.workspace.getConfiguration('kaniburner').get('simulateBoard')) return null;
+  const key = getBoardSetting();
+  const profile = (await loadBoardProfiles())[key];
+  const board = simBoardFor(profile);
+  if (!board) {
+    error(`Board profile "${key}": unknown simulated board "${profile.sim}". Running without simulation.`);
+    return null;
+  }
+  const cacheKey = `${compiler.version}:${profile ? profile.sim : 'generic'}`;
+  if (!shimCache.has(cacheKey)) {
+    const shim = await compiler.compile(shimSource(board), { quiet: true });
+    if (!shim) {
+      error(`Cannot compile the ${board.label} simulation. Running without simulation.`);
+      return null;
+    }
+    shimCache.set(cacheKey, shim);
+  }
+  if (simulatorPanel) simulatorPanel.start(board);
+  return {
+    shim: shimCache.get(cacheKey),
+    inputs: simInputs,
+    onLine: (line) => { if (simulatorPanel) simulatorPanel.addLine(line); }
+  };
+}
+
+// コンパイル結果をバイトコードインスペクタに出す．パネルが閉じていれば open のときだけ開く．
+function inspectBytecode(context, plan, open) {
+  if (!isInspectable()) {
+    if (open) {
+      vscode.window.showWarningMessage(`Kaniburner: The bytecode inspector reads mruby 3.x bytecode only (mruby ${currentVersion} writes RITE${MRUBY_RITE_VERSIONS[currentVersion]}).`);
+    }
+    return;
+  }
+  if (!inspectorPanel) {
+    if (!open) return;
+    inspectorPanel = new BytecodeInspectorPanel(context.extensionUri, { onClose: () => { inspectorPanel = null; } });
+  }
+  inspectorPanel.show(plan.bytecodes.map((bytecode, i) => ({ label: plan.labels[i] || `Slot ${i}`, bytecode })));
+}
+
+// アクティブな .rb の逆アセンブル結果を横に開く
+async function showDisassembly() {
+  const doc = getCurrentDocument();
+  if (!doc) return;
+  const shown = await vscode.workspace.openTextDocument(DisassemblyProvider.uriFor(doc.uri));
+  await vscode.window.showTextDocument(shown, { viewColumn: vscode.ViewColumn.Beside, preserveFocus: true, preview: false });
+}
+
+function getCurrentDocument() {
   const ed = vscode.window.activeTextEditor;
   if (!ed || !ed.document.fileName.endsWith('.rb')) {
     vscode.window.showWarningMessage('Kaniburner: .rbファイルを開いてください');
     return null;
   }
-  return ed.document.getText();
+  return ed.document;
+}
+
+// 直前のコンパイル結果 (compiler.diagnostics) を Problems パネルへ反映する
+function publishDiagnostics(doc) {
+  const items = compiler.diagnostics.map((d) => {
+    const line = doc.lineAt(Math.min(Math.max(d.line - 1, 0), doc.lineCount - 1));
+    const end = line.range.end.character;
+    const start = d.column < end ? d.column : line.firstNonWhitespaceCharacterIndex;
+    const diag = new vscode.Diagnostic(
+      new vscode.Range(line.lineNumber, start, line.lineNumber, end),
+      d.message,
+      d.severity === 'warning' ? vscode.DiagnosticSeverity.Warning : vscode.DiagnosticSeverity.Error
+    );
+    diag.source = `mrbc ${compiler.version}`;
+    return diag;
+  });
+  diagnostics.set(doc.uri, items);
+}
+
+// ファイルのコンパイルオプション．設定 kaniburner.compileOptions に kaniburner.json の "compileOptions"，
+// "files" のそのファイルの "compileOptions" の順に重ねる．不正なら出力に出して null
+async function compileOptionsFor(uri) {
+  try {
+    const options = normalizeCompileOptions(vscode.workspace.getConfiguration('kaniburner').get('compileOptions'),
+      'kaniburner.compileOptions');
+    const json = await readManifestFile();
+    if (!json) return options;
+    Object.assign(options, normalizeCompileOptions(json.compileOptions, `${MANIFEST_FILE}: compileOptions`));
+    const folder = getWorkspaceFolder();
+    const entry = Array.isArray(json.files) && json.files.find((f) => f && typeof f === 'object'
+      && typeof f.path === 'string' && vscode.Uri.joinPath(folder.uri, f.path).toString() === uri.toString());
+    if (entry) Object.assign(options, normalizeCompileOptions(entry.compileOptions, `${MANIFEST_FILE}: ${entry.path}`));
+    return options;
+  } catch (e) {
+    error(e.message);
+    return null;
+  }
+}
+
+// options を省略するとそのファイルのコンパイルオプションでコンパイルする
+async function compileDocument(doc, options) {
+  if (!options) options = await compileOptionsFor(doc.uri);
+  if (!options) return null;
+  const bc = await compiler.compile(doc.getText(), { options });
+  publishDiagnostics(doc);
+  disassembly.refresh(doc.uri);
+  return bc;
+}
+
+// ログ用のサイズ．オプションがあればオプションなしのときとの差も出す
+async function describeCompiled(doc, bc, options) {
+  return describeSize(bc.length, await compiler.baseSize(doc.getText(), options), options);
+}
+
+// mruby バージョン切り替え時，診断が出ているファイルを新しい mrbc で再チェックする
+async function recheckDiagnostics() {
+  const uris = [];
+  diagnostics.forEach((uri) => uris.push(uri));
+  for (const uri of uris) {
+    try {
+      await compileDocument(await vscode.workspace.openTextDocument(uri));
+    } catch (_) {
+      diagnostics.delete(uri);
+    }
+  }
+}
+
+function getWorkspaceFolder() {
+  const ed = vscode.window.activeTextEditor;
+  const folder = ed && vscode.workspace.getWorkspaceFolder(ed.document.uri);
+  return folder || (vscode.workspace.workspaceFolders || [])[0] || null;
+}
+
+// kaniburner.json を読む．無ければ null．
+async function readManifestFile() {
+  const folder = getWorkspaceFolder();
+  if (!folder) return null;
+  let raw;
+  try {
+    raw = await vscode.workspace.fs.readFile(vscode.Uri.joinPath(folder.uri, MANIFEST_FILE));
+  } catch (_) {
+    return null;
+  }
+  return JSON.parse(new TextDecoder().decode(raw));
+}
+
+// kaniburner.json が無いか "files" が無ければ null．内容が不正なら例外．
+// "files" の要素はパスか，ファイルごとのコンパイルオプションつきの { "path", "compileOptions" }
+async function loadManifest() {
+  const json = await readManifestFile();
+  if (!json || json.files === undefined) return null;
+  const folder = getWorkspaceFolder();
+  const pathOf = (f) => (f && typeof f === 'object' ? f.path : f);
+  if (!Array.isArray(json.files) || json.files.length === 0
+      || !json.files.every((f) => typeof pathOf(f) === 'string' && pathOf(f).endsWith('.rb'))) {
+    throw new Error('"files" must be a non-empty array of .rb paths or { "path", "compileOptions" }.');
+  }
+  return json.files.map((f) => ({ label: pathOf(f), uri: vscode.Uri.joinPath(folder.uri, pathOf(f)) }));
 }
 
 async function doCompile(mediaDir) {
-  const src = getCurrentSource();
-  if (src === null) return null;
+  const doc = getCurrentDocument();
+  if (!doc) return null;
   ensureWasmForVersion(mediaDir);
   info(`Compiling (mruby ${currentVersion})...`);
-  const bc = await compiler.compile(src);
-  if (bc) info(`Compile succeeded. (${bc.length} bytes)`);
+  const options = await compileOptionsFor(doc.uri);
+  if (!options) return null;
+  const bc = await compileDocument(doc, options);
+  if (bc) info(`Compile succeeded. (${await describeCompiled(doc, bc, options)})`);
   return bc;
 }
 
+// マニフェストがあれば全ファイルを，無ければアクティブエディタのみをコンパイルする
+async function doCompilePlan(mediaDir) {
+  let files;
+  try {
+    files = await loadManifest();
+  } catch (e) {
+    error(`${MANIFEST_FILE}: ${e.message}`);
+    return null;
+  }
+  if (!files) {
+    const bc = await doCompile(mediaDir);
+    return bc && { bytecodes: [bc], labels: [], uris: [vscode.window.activeTextEditor.document.uri] };
+  }
+
+  ensureWasmForVersion(mediaDir);
+  info(`Compiling ${files.length} file(s) from ${MANIFEST_FILE} (mruby ${currentVersion})...`);
+  const bytecodes = [];
+  const failed = [];
+  for (let i = 0; i < files.length; i++) {
+    const { label, uri } = files[i];
+    let doc;
+    try {
+      doc = await vscode.workspace.openTextDocument(uri);
+    } catch (e) {
+      error(`Slot ${i} (${label}): cannot read file: ${e.message}`);
+      failed.push(label);
+      continue;
+    }
+    info(`Compiling slot ${i} (${label})...`);
+    const options = await compileOptionsFor(uri);
+    const bc = options && await compileDocument(doc, options);
+    if (!bc) {
+      error(`Slot ${i} (${label}): compile failed.`);
+      failed.push(label);
+      continue;
+    }
+    info(`Slot ${i} (${label}): ${await describeCompiled(doc, bc, options)}.`);
+    bytecodes.push(bc);
+  }
+  if (failed.length > 0) {
+    error(`Compile failed: ${failed.join(', ')}`);
+    return null;
+  }
+  info(`Compile succeeded. (${bytecodes.reduce((n, bc) => n + bc.length, 0)} bytes total)`);
+  return { bytecodes, labels: files.map((f) => f.label), uris: files.map((f) => f.uri) };
+}
+
+// バイトコードを，ソースの拡張子を .mrb（format が 'c' なら .c）に変えたファイルに書く．
+// dir を渡すとソースと同じ名前でそのフォルダに書く．C ソースの配列名はファイル名から作る
+async function writeBytecode(sourceUri, bytecode, format, dir) {
+  const name = path.posix.basename(sourceUri.path).replace(/\.rb$/, format === 'c' ? '.c' : '.mrb');
+  const target = dir ? vscode.Uri.joinPath(dir, name) : vscode.Uri.joinPath(sourceUri, '..', name);
+  const data = format === 'c' ? Buffer.from(toCSource(bytecode, cSymbolFor(sourceUri.path)), 'utf8') : bytecode;
+  if (dir) await vscode.workspace.fs.createDirectory(dir);
+  await vscode.workspace.fs.writeFile(target, data);
+  return target;
+}
+
+// コンパイル済みの .mrb をそのまま書き込む．エクスプローラーで選んだファイル（複数ならその順にスロットへ）か，
+// 引数がなければダイアログで選んだファイル．書き込む前に RITE のヘッダを確かめる
+async function flashMrbFiles(context, uri, uris) {
+  let files = uris && uris.length > 0 ? uris : uri ? [uri] : null;
+  if (!files) {
+    files = await vscode.window.showOpenDialog({
+      canSelectMany: true,
+      filters: { 'mruby bytecode': ['mrb'] },
+      openLabel: 'Flash'
+    });
+    if (!files) return;
+  }
+  const bytecodes = [];
+  const labels = [];
+  for (const file of files) {
+    const label = vscode.workspace.asRelativePath(file);
+    let bytecode;
+    try {
+      bytecode = Buffer.from(await vscode.workspace.fs.readFile(file));
+    } catch (e) {
+      error(`${label}: cannot read file: ${e.message}`);
+      return;
+    }
+    const problem = checkRite(bytecode);
+    if (problem) {
+      error(`${label}: ${problem}`);
+      vscode.window.showErrorMessage(`Kaniburner: ${label} is not a valid .mrb file: ${problem}`);
+      return;
+    }
+    info(`${label}: ${bytecode.length} bytes.`);
+    bytecodes.push(bytecode);
+    labels.push(label);
+  }
+  if (!(await ensureConnected(context))) return;
+  await flashWithProgress({ bytecodes, labels });
+}
+
+// コンパイルして，ソースの隣に .mrb か C ソースを書き出す（マニフェストがあれば全ファイル）
+async function exportBytecode(mediaDir, format) {
+  const plan = await doCompilePlan(mediaDir);
+  if (!plan) return;
+  const written = [];
+  try {
+    for (let i = 0; i < plan.bytecodes.length; i++) {
+      written.push(vscode.workspace.asRelativePath(await writeBytecode(plan.uris[i], plan.bytecodes[i], format)));
+    }
+  } catch (e) {
+    error(`Cannot write: ${e.message}`);
+    vscode.window.showErrorMessage(`Kaniburner: Cannot write: ${e.message}`);
+    return;
+  }
+  info(`Wrote ${written.join(', ')}`);
+  vscode.window.showInformationMessage(`Kaniburner: Wrote ${written.join(', ')}`);
+}
+
+// 保存した .rb をコンパイルし，kaniburner.buildDirectory に kaniburner.buildFormats の形式で書き出す．
+// ワークスペースの中のフォルダ構成はそのまま保つ
+async function buildOnSave(doc, mediaDir) {
+  const config = vscode.workspace.getConfiguration('kaniburner');
+  if (!config.get('buildOnSave') || !doc.fileName.endsWith('.rb')) return;
+  const folder = vscode.workspace.getWorkspaceFolder(doc.uri);
+  if (!folder) return;
+  const relative = vscode.workspace.asRelativePath(doc.uri, false);
+  ensureWasmForVersion(mediaDir);
+  const bc = await compileDocument(doc);
+  if (!bc) {
+    error(`Build on save: ${relative}: compile failed.`);
+    return;
+  }
+  const dir = vscode.Uri.joinPath(folder.uri, config.get('buildDirectory') || 'build', path.posix.dirname(relative));
+  const written = [];
+  try {
+    for (const format of config.get('buildFormats') || ['mrb']) {
+      written.push(vscode.workspace.asRelativePath(await writeBytecode(doc.uri, bc, format, dir)));
+    }
+  } catch (e) {
+    error(`Build on save: cannot write: ${e.message}`);
+    return;
+  }
+  info(`Built ${written.join(', ')} (${bc.length} bytes)`);
+}
+
 const activate = (context) => {
   output = vscode.window.createOutputChannel('Kaniburner');
   context.subscriptions.push(output);
+  diagnostics = vscode.languages.createDiagnosticCollection('kaniburner');
+  context.subscriptions.push(diagnostics);
 
   const mediaDir = path.join(context.extensionPath, 'media');
   ensureWasmForVersion(mediaDir);
 
+  // 逆アセンブル表示は行番号を出すために，そのファイルのオプションにデバッグ情報をつけて別にコンパイルする
+  disassembly = new DisassemblyProvider(async (source, sourceUri) => {
+    ensureWasmForVersion(mediaDir);
+    const options = await compileOptionsFor(sourceUri);
+    if (!options) return { bytecode: null, error: 'Invalid compile options.' };
+    const bytecode = await compiler.compile(source, { options: { ...options, debug: true }, quiet: true });
+    return { bytecode, error: compiler.lastError };
+  }, async (source, sourceUri) => {
+    const options = await compileOptionsFor(sourceUri);
+    return options ? compiler.dump(source, { ...options, debug: true }) : null;
+  });
+  context.subscriptions.push(disassembly.register());
+
   context.subscriptions.push(vscode.workspace.onDidChangeConfiguration((e) => {
-    if (e.affectsConfiguration('kaniburner.mrubyVersion')) ensureWasmForVersion(mediaDir);
+    if (e.affectsConfiguration('kaniburner.mrubyVersion')) {
+      ensureWasmForVersion(mediaDir);
+      recheckDiagnostics();
+    }
   }));
+  context.subscriptions.push(vscode.workspace.onDidSaveTextDocument((doc) => buildOnSave(doc, mediaDir)));
 
   serial = new SerialComm({
-    onRawData: (text) => output.append(text),
-    onLineReceived: (line, partial) => protocol.handleLineReceived(line, partial),
+    onRawData: (text) => {
+      output.append(text);
+      if (boardTerminal) boardTerminal.write(text);
+    },
+    onLineReceived: (line, partial) => {
+      // コマンドの応答待ちでない行はプログラムの出力としてプロッタに渡す
+      if (plotterPanel && !partial && !protocol.awaitingResponse) plotterPanel.addLine(line);
+      protocol.handleLineReceived(line, partial);
+    },
     onDisconnect: () => {
       protocol.handleDisconnect();
+      if (boardTerminal) boardTerminal.handleDisconnect();
       setDeviceConnected(false);
       info('Disconnected.');
+      // Break 中の切断は breakAndReconnect がつなぎ直す
+      if (!disconnecting && !replaying && protocol.busyLabel !== 'break') watchPort(context);
+      replaying = false;
     }
   });
-  protocol = new MrbwriteProtocol(serial, output);
+  protocol = new MrbwriteProtocol(serial, { info, error }, {
+    onCommandModeChange: (enabled) => { if (boardTerminal) boardTerminal.setCommandMode(enabled); },
+    onBusyChange: (busy) => vscode.commands.executeCommand('setContext', 'kaniburner.busy', busy),
+    onIncompatibleBytecode: suggestMrubyVersion
+  });
+
+  portWatcher = new PortWatcher(serial, { onReconnect: handleReconnect });
+  context.subscriptions.push({ dispose: stopWatchingPort });
+
+  deviceTree = new DeviceTreeProvider();
+  context.subscriptions.push(vscode.window.registerTreeDataProvider('kaniburner.devices', deviceTree));
 
   setDeviceConnected(false);
+  vscode.commands.executeCommand('setContext', 'kaniburner.busy', false);
 
   const reg = (id, fn) =>
     context.subscriptions.push(vscode.commands.registerCommand(id, fn));
 
-  reg('kaniburner.compile', async () => { await doCompile(mediaDir); });
+  reg('kaniburner.compile', async () => {
+    const plan = await doCompilePlan(mediaDir);
+    if (plan) inspectBytecode(context, plan, false);
+  });
+
+  reg('kaniburner.showDisassembly', showDisassembly);
+  reg('kaniburner.saveMrb', () => exportBytecode(mediaDir, 'mrb'));
+  reg('kaniburner.flashMrb', (uri, uris) => flashMrbFiles(context, uri, uris));
+  reg('kaniburner.exportC', () => exportBytecode(mediaDir, 'c'));
+
+  reg('kaniburner.inspectBytecode', async () => {
+    const plan = await doCompilePlan(mediaDir);
+    if (plan) inspectBytecode(context, plan, true);
+  });
 
   reg('kaniburner.run', async () => {
     const bc = await doCompile(mediaDir);
     if (!bc) return;
-    info('Running on mruby...');
-    await runner.run(bc);
-    info('mruby execution finished.');
+    if (runner.running) {
+      error('mruby is already running. Stop it first.');
+      return;
+    }
+    const timeout = vscode.workspace.getConfiguration('kaniburner').get('mrubyTimeout') || 0;
+    const sim = await prepareSimulation();
+    info(`Running on mruby...${timeout > 0 ? ` (timeout ${timeout} s)` : ''}`);
+    output.show(true);
+    vscode.commands.executeCommand('setContext', 'kaniburner.mrubyRunning', true);
+    try {
+      await runner.run(bc, { timeout, sim });
+    } catch (e) {
+      error(`mruby: ${e.message}`);
+    } finally {
+      vscode.commands.executeCommand('setContext', 'kaniburner.mrubyRunning', false);
+    }
+  });
+
+  reg('kaniburner.stopMruby', () => {
+    if (runner) runner.stop();
   });
 
   reg('kaniburner.write', async () => {
-    const bc = await doCompile(mediaDir);
-    if (!bc) return;
+    const plan = await doCompilePlan(mediaDir);
+    if (!plan) return;
     if (!(await ensureConnected(context))) return;
-    await protocol.flashPlan([bc]);
+    await flashWithProgress(plan);
+  });
+
+  reg('kaniburner.verify', async () => {
+    const plan = await doCompilePlan(mediaDir);
+    if (!plan) return;
+    if (!(await ensureConnected(context))) return;
+    await protocol.verifyBytecode(Buffer.concat(plan.bytecodes));
   });
 
   reg('kaniburner.execute', async () => {
@@ -181,15 +939,27 @@ const activate = (context) => {
   });
 
   reg('kaniburner.executeAll', async () => {
-    const bc = await doCompile(mediaDir);
-    if (!bc) return;
+    const plan = await doCompilePlan(mediaDir);
+    if (!plan) return;
     if (!(await ensureConnected(context))) return;
     if (!(await breakAndReconnect(context))) return;
-    if (await protocol.flashPlan([bc])) {
+    if (await flashWithProgress(plan)) {
       await protocol.executeProgram();
     }
   });
 
+  reg('kaniburner.flashMultiple', async () => { await flashMultiple(context, mediaDir); });
+
+  reg('kaniburner.closeDevices', async () => {
+    if (!multiSession) return;
+    await closeDevices();
+    info('Disconnected all boards.');
+  });
+
+  reg('kaniburner.startRecording', startRecording);
+  reg('kaniburner.stopRecording', stopRecording);
+  reg('kaniburner.replaySession', replaySession);
+
   reg('kaniburner.break', async () => {
     if (!serial.connected) {
       vscode.window.showWarningMessage('Kaniburner: Not connected.');
@@ -206,14 +976,38 @@ const activate = (context) => {
     await ensureConnected(context);
   });
 
+  reg('kaniburner.selectBoard', selectBoard);
+
+  reg('kaniburner.cancel', () => {
+    protocol.cancel();
+    if (multiSession) multiSession.cancel();
+  });
+
+  reg('kaniburner.openTerminal', async () => { await openTerminal(context); });
+
+  reg('kaniburner.openPlotter', async () => { await openPlotter(context); });
+  reg('kaniburner.openSimulator', async () => { await openSimulator(context); });
+
   reg('kaniburner.disconnect', async () => {
+    if (portWatcher.watching) {
+      stopWatchingPort();
+      info('Stopped waiting for the board.');
+    }
+    if (!serial.connected) return;
     info('Disconnecting...');
-    await serial.disconnect();
-    setDeviceConnected(false);
+    disconnecting = true;
+    try {
+      await serial.disconnect();
+    } finally {
+      disconnecting = false;
+    }
   });
 };
 
 const deactivate = async () => {
+  if (runner) runner.dispose();
+  await closeDevices();
+  if (serial) await stopRecording();
   if (serial) await serial.disconnect();
 };
 
@@ -0,0 +1,96 @@
+const vscode = require('vscode');
+const crypto = require('node:crypto');
+
+// コンパイルしたバイトコード (RITE) の構造と 16 進表示を出す Webview パネル．
+// 解析と表示は Webview 側の RiteInspector．マニフェストで複数ファイルをコンパイルしたときはスロットを選べる．
+class BytecodeInspectorPanel {
+  constructor(extensionUri, { onClose } = {}) {
+    this.onClose = onClose || (() => {});
+    this.panel = vscode.window.createWebviewPanel('kaniburner.inspector', 'Kaniburner Bytecode', vscode.ViewColumn.Beside, {
+      enableScripts: true,
+      retainContextWhenHidden: true,
+      localResourceRoots: [vscode.Uri.joinPath(extensionUri, 'src')]
+    });
+    const script = this.panel.webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'src', 'rite.js'));
+    this.panel.webview.html = this._html(script);
+    this._pending = null;
+    this._ready = false;
+    this.panel.webview.onDidReceiveMessage((msg) => {
+      if (msg.type !== 'ready') return;
+      this._ready = true;
+      if (this._pending) this._post(this._pending);
+    });
+    this.panel.onDidDispose(() => this.onClose());
+  }
+
+  // slots: [{ label, bytecode: Buffer }]
+  show(slots) {
+    this._pending = slots;
+    if (this._ready) this._post(slots);
+    this.panel.reveal(vscode.ViewColumn.Beside, true);
+  }
+
+  dispose() {
+    this.panel.dispose();
+  }
+
+  _post(slots) {
+    this.panel.webview.postMessage({
+      type: 'show',
+      slots: slots.map((s) => ({ label: s.label, bytecode: Buffer.from(s.bytecode).toString('base64') }))
+    });
+  }
+
+  _html(script) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const csp = `default-src 'none'; style-src 'unsafe-inline'; script-src ${this.panel.webview.cspSource} 'nonce-${nonce}';`;
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="${csp}">
+  <style>
+    body { font-family: var(--vscode-editor-font-family); font-size: var(--vscode-editor-font-size); padding: 8px; }
+    select { margin-bottom: 8px; color: var(--vscode-dropdown-foreground); background: var(--vscode-dropdown-background); border: 1px solid var(--vscode-dropdown-border); }
+    .rite-panes { display: flex; gap: 8px; height: calc(100vh - 56px); }
+    .rite-tree, .rite-hex { overflow: auto; border: 1px solid var(--vscode-panel-border); padding: 4px; }
+    .rite-tree { flex: 1; min-width: 200px; }
+    .rite-tree details > :not(summary) { margin-left: 16px; }
+    .rite-node { cursor: pointer; white-space: nowrap; }
+    .rite-node.selected { background: var(--vscode-list-activeSelectionBackground); color: var(--vscode-list-activeSelectionForeground); }
+    .rite-value { margin-left: 8px; opacity: 0.7; }
+    .rite-hex { flex: none; white-space: pre; }
+    .rite-hex-offset { opacity: 0.5; margin-right: 8px; }
+    .rite-byte { cursor: pointer; padding: 0 2px; }
+    .rite-byte.selected { background: var(--vscode-editor-findMatchHighlightBackground); }
+    .rite-hex-ascii { margin-left: 8px; opacity: 0.7; }
+    .rite-error { color: var(--vscode-errorForeground); }
+  </style>
+</head>
+<body>
+  <select id="slot" hidden></select>
+  <div id="inspector">Compile a file to see its bytecode.</div>
+  <script nonce="${nonce}" src="${script}"></script>
+  <script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    const inspector = new Rite.RiteInspector(document.getElementById('inspector'));
+    const select = document.getElementById('slot');
+    let slots = [];
+    const decode = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+    select.onchange = () => inspector.show(decode(slots[select.value].bytecode));
+    window.addEventListener('message', (e) => {
+      if (e.data.type !== 'show') return;
+      slots = e.data.slots;
+      select.textContent = '';
+      slots.forEach((s, i) => select.add(new Option(s.label, i)));
+      select.hidden = slots.length < 2;
+      inspector.show(decode(slots[0].bytecode));
+    });
+    vscode.postMessage({ type: 'ready' });
+  </script>
+</body>
+</html>`;
+  }
+}
+
+module.exports = { BytecodeInspectorPanel };
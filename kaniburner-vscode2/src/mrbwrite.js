@@ -0,0 +1,1370 @@
+/**
+ * mrbwrite プロトコル共通モジュール
+ * ブラウザ版・VSCode 拡張（media/ の Web 版と vscode2）で共有する。
+ * ブラウザでは <script> で読み込むと window.Mrbwrite に、Node.js では require() で公開される。
+ *
+ * 通信路はトランスポートとして差し替える。トランスポートは次のメソッドを持つ:
+ *   open(onData, onClose): Promise<void>  onData(Uint8Array) で受信、onClose() で予期しない切断を通知
+ *   write(data: Uint8Array): Promise<void>
+ *   sendBreak(ms: number): Promise<void>
+ *   close(): Promise<void>
+ *
+ * ログ出力はロガー { info(msg), error(msg) } に委ねる。
+ *
+ * SerialComm.recorder に SessionRecorder を設定すると送受信をセッションファイルに記録でき、
+ * ReplayTransport でそれを再生できる。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Mrbwrite = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+  const encoder = new TextEncoder();
+  const hex8 = (n) => '0x' + n.toString(16).padStart(2, '0');
+
+  /**
+   * 応答待ちのタイムアウト既定値（ミリ秒）
+   * response: 通常のコマンド、write: バイトコード送信後の +DONE、commandMode: コマンドモード遷移
+   */
+  const DEFAULT_TIMEOUTS = { response: 5000, write: 10000, commandMode: 30000 };
+
+  /**
+   * ボードプロファイルの既定値
+   * dataBits / stopBits / parity / flowControl: シリアルポート設定（flowControl は none / hardware / software）
+   * crcPoly: verify の CRC 多項式、banner: コマンドモードに入ったことを示す行の正規表現、
+   * lineTerminator: コマンドと応答の行末、timeouts: 応答待ちのタイムアウト（DEFAULT_TIMEOUTS と同じキー）、
+   * breakDuration: Break 期間（ミリ秒）、
+   * chunkSize: バイトコードを分割して送るバイト数（0 なら一括）、chunkDelay: チャンク間の待ち時間（ミリ秒）、
+   * usb: ポートの自動判別に使う USB の VID / PID（[{ vendorId, productId }]、productId は省略可）、
+   * sim: ローカルの mruby で実行するときにシミュレートするボード（sim.js の SIM_BOARDS のキー）
+   */
+  const DEFAULT_PROFILE = {
+    label: '',
+    baudRate: 19200,
+    dataBits: 8,
+    stopBits: 1,
+    parity: 'none',
+    flowControl: 'none',
+    crcPoly: 0x31,
+    banner: '\\+OK mruby/c',
+    lineTerminator: '\r\n',
+    timeouts: DEFAULT_TIMEOUTS,
+    breakDuration: 100,
+    chunkSize: 0,
+    chunkDelay: 0,
+    usb: [],
+    sim: 'generic'
+  };
+
+  const isInt = (v, min, max) => Number.isInteger(v) && v >= min && (max === undefined || v <= max);
+
+  /**
+   * USB の VID / PID を数値にする（serialport は "2e8a" のような 16 進文字列で返す）
+   * @param {number|string|undefined} id
+   * @returns {number|undefined} 16 進文字列でなければそのまま
+   */
+  const parseUsbId = (id) =>
+    typeof id === 'string' && /^(0x)?[0-9a-f]{1,4}$/i.test(id) ? parseInt(id.replace(/^0x/i, ''), 16) : id;
+
+  /**
+   * プロファイルを検証し、既定値（extends があればそのプロファイル）で足りない項目を補う
+   * @param {string} name - プロファイル名（エラーメッセージ・既定の表示名に使う）
+   * @param {Object} raw - 設定などに書かれたプロファイル。crcPoly と usb の ID は "0x31" のような文字列でもよい
+   * @param {Object.<string, Object>} [bases] - extends で参照できるプロファイル
+   * @returns {Object} プロファイル
+   * @throws {Error} 値が不正なとき
+   */
+  const normalizeProfile = (name, raw, bases) => {
+    const fail = (msg) => { throw new Error('Board profile "' + name + '": ' + msg); };
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) fail('must be an object.');
+    for (const key of Object.keys(raw)) {
+      if (key !== 'extends' && !Object.prototype.hasOwnProperty.call(DEFAULT_PROFILE, key)) fail('unknown key "' + key + '".');
+    }
+
+    let base = DEFAULT_PROFILE;
+    if (raw.extends !== undefined) {
+      base = bases && Object.prototype.hasOwnProperty.call(bases, raw.extends) ? bases[raw.extends] : null;
+      if (!base) fail('unknown profile in "extends": ' + raw.extends);
+    }
+    const p = Object.assign({}, base, raw, { timeouts: Object.assign({}, base.timeouts, raw.timeouts) });
+    delete p.extends;
+    if (typeof p.crcPoly === 'string') p.crcPoly = Number(p.crcPoly);
+    p.label = raw.label || name;
+
+    if (typeof p.label !== 'string') fail('"label" must be a string.');
+    if (!isInt(p.baudRate, 1)) fail('"baudRate" must be a positive integer.');
+    if (![5, 6, 7, 8].includes(p.dataBits)) fail('"dataBits" must be 5, 6, 7 or 8.');
+    if (![1, 2].includes(p.stopBits)) fail('"stopBits" must be 1 or 2.');
+    if (!['none', 'even', 'odd'].includes(p.parity)) fail('"parity" must be none, even or odd.');
+    if (!['none', 'hardware', 'software'].includes(p.flowControl)) {
+      fail('"flowControl" must be none, hardware or software.');
+    }
+    if (!isInt(p.crcPoly, 0, 0xff)) fail('"crcPoly" must be an 8-bit value.');
+    if (typeof p.banner !== 'string' || !p.banner) fail('"banner" must be a regular expression string.');
+    try { new RegExp(p.banner); } catch (e) { fail('"banner" is not a valid regular expression: ' + e.message); }
+    if (!['\r\n', '\n', '\r'].includes(p.lineTerminator)) fail('"lineTerminator" must be "\\r\\n", "\\n" or "\\r".');
+    for (const key of Object.keys(p.timeouts)) {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_TIMEOUTS, key)) fail('unknown timeout "' + key + '".');
+      if (!isInt(p.timeouts[key], 1)) fail('"timeouts.' + key + '" must be a positive integer (ms).');
+    }
+    for (const key of ['breakDuration', 'chunkSize', 'chunkDelay']) {
+      if (!isInt(p[key], 0)) fail('"' + key + '" must be a non-negative integer.');
+    }
+    if (typeof p.sim !== 'string' || !p.sim) fail('"sim" must be a simulated board name.');
+    if (!Array.isArray(p.usb)) fail('"usb" must be an array of { vendorId, productId }.');
+    p.usb = p.usb.map((rule, i) => {
+      if (!rule || typeof rule !== 'object') fail('"usb[' + i + ']" must be an object.');
+      for (const key of Object.keys(rule)) {
+        if (key !== 'vendorId' && key !== 'productId') fail('unknown key "usb[' + i + '].' + key + '".');
+      }
+      const out = { vendorId: parseUsbId(rule.vendorId) };
+      if (!isInt(out.vendorId, 0, 0xffff)) fail('"usb[' + i + '].vendorId" must be a 16-bit value.');
+      if (rule.productId !== undefined) {
+        out.productId = parseUsbId(rule.productId);
+        if (!isInt(out.productId, 0, 0xffff)) fail('"usb[' + i + '].productId" must be a 16-bit value.');
+      }
+      return out;
+    });
+    return p;
+  };
+
+  /**
+   * 組み込みのボードプロファイル
+   * @type {Object.<string, Object>}
+   */
+  const BOARD_PROFILES = {
+    kani: normalizeProfile('kani', {
+      label: 'Raspberry Pi Pico (RP2040)', chunkSize: 64, chunkDelay: 5,
+      usb: [{ vendorId: 0x2e8a }], sim: 'pico'
+    }),
+    rboard: normalizeProfile('rboard', { label: 'RBoard', chunkSize: 64, chunkDelay: 5, sim: 'rboard' }),
+    // DevKit の USB シリアル変換 (CP210x / CH340 / CH9102) と ESP32-S3 などの内蔵 USB
+    esp32: normalizeProfile('esp32', {
+      label: 'ESP32', baudRate: 115200, chunkSize: 256, sim: 'esp32',
+      usb: [
+        { vendorId: 0x10c4, productId: 0xea60 },
+        { vendorId: 0x1a86, productId: 0x7523 },
+        { vendorId: 0x1a86, productId: 0x55d4 },
+        { vendorId: 0x303a }
+      ]
+    })
+  };
+
+  /**
+   * 組み込みプロファイルにユーザー定義のプロファイルを加える（同名なら置き換える）。
+   * extends では組み込みと、それより前に定義したプロファイルを参照できる。
+   * @param {Object.<string, Object>} [custom] - { 名前: プロファイル }
+   * @returns {{profiles: Object.<string, Object>, errors: string[]}} 不正なプロファイルは除いて errors に入れる
+   */
+  const resolveBoardProfiles = (custom) => {
+    const profiles = Object.assign({}, BOARD_PROFILES);
+    const errors = [];
+    for (const name of Object.keys(custom || {})) {
+      try {
+        profiles[name] = normalizeProfile(name, custom[name], profiles);
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+    return { profiles, errors };
+  };
+
+  /**
+   * USB の VID / PID に一致するプロファイルを、一致の強い順（PID まで一致 → VID のみ一致）に返す
+   * @param {Object.<string, Object>} profiles - { 名前: プロファイル }
+   * @param {number|string} [vendorId] - VID（数値か 16 進文字列）
+   * @param {number|string} [productId] - PID
+   * @returns {string[]} 一致したプロファイル名
+   */
+  const matchBoardProfiles = (profiles, vendorId, productId) => {
+    const vid = parseUsbId(vendorId);
+    const pid = parseUsbId(productId);
+    if (vid === undefined || vid === null) return [];
+    const matches = [];
+    for (const name of Object.keys(profiles)) {
+      let score = 0;
+      for (const rule of profiles[name].usb) {
+        if (rule.vendorId !== vid) continue;
+        if (rule.productId === undefined) score = Math.max(score, 1);
+        else if (rule.productId === pid) score = 2;
+      }
+      if (score > 0) matches.push({ name, score });
+    }
+    return matches.sort((a, b) => b.score - a.score).map((m) => m.name);
+  };
+
+  /**
+   * ポートの VID / PID からボードプロファイルを決める。
+   * 選択中のプロファイルが一致すればそれを、一致するプロファイルが 1 つだけならそれを返す。
+   * @param {Object.<string, Object>} profiles - { 名前: プロファイル }
+   * @param {number|string} [vendorId] - VID
+   * @param {number|string} [productId] - PID
+   * @param {string} [current] - 選択中のプロファイル名
+   * @returns {string|null} 決まらなければ null
+   */
+  const detectBoardProfile = (profiles, vendorId, productId, current) => {
+    const names = matchBoardProfiles(profiles, vendorId, productId);
+    if (current && names.includes(current)) return current;
+    return names.length === 1 ? names[0] : null;
+  };
+
+  /**
+   * プロファイルの USB 条件を navigator.serial.requestPort() の filters にする
+   * @param {Object[]} profiles - プロファイルの配列
+   * @returns {Array<{usbVendorId: number, usbProductId?: number}>} 条件がなければ空
+   */
+  const usbFilters = (profiles) => {
+    const filters = [];
+    for (const profile of profiles) {
+      for (const rule of profile.usb) {
+        if (filters.some((f) => f.usbVendorId === rule.vendorId && f.usbProductId === rule.productId)) continue;
+        filters.push(rule.productId === undefined
+          ? { usbVendorId: rule.vendorId }
+          : { usbVendorId: rule.vendorId, usbProductId: rule.productId });
+      }
+    }
+    return filters;
+  };
+
+  /**
+   * CRC-8 を計算する（初期値 0xff、MSB ファースト。mrbwrite の verify と同じ計算）
+   * @param {Uint8Array} data - バイト列
+   * @param {number} poly - CRC 多項式
+   * @returns {number} CRC-8 値（0-255）
+   */
+  const calculateCrc8 = (data, poly) => {
+    let crc = 0xff;
+    for (let j = 0; j < data.length; j++) {
+      crc ^= data[j];
+      for (let i = 8; i > 0; --i) {
+        crc = (crc & 0x80) ? ((crc << 1) ^ poly) : (crc << 1);
+        crc &= 0xff;
+      }
+    }
+    return crc;
+  };
+
+  /**
+   * 複数のバイト列を連結する
+   * @param {Uint8Array[]} arrays - バイト列の配列
+   * @returns {Uint8Array} 連結結果
+   */
+  const concatBytes = (arrays) => {
+    const out = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0));
+    let offset = 0;
+    for (const a of arrays) {
+      out.set(a, offset);
+      offset += a.length;
+    }
+    return out;
+  };
+
+  /**
+   * mruby/c のバージョンと読み込めるバイトコード形式（RITE バージョン）の対応
+   * [メジャー, この番号以上のマイナー, RITE バージョン] を新しい順に並べる。ここにないバージョンは判定しない
+   */
+  const MRUBYC_RITE_VERSIONS = [
+    [3, 1, '0300'],
+    [3, 0, '0200']
+  ];
+
+  /**
+   * バナーや version コマンドの応答からファームウェアのバージョンを読む。
+   * "mruby/c v3.3.1" のようなバージョンと、"RITE0300" のような対応形式の表記を探す
+   * @param {string} text - 受信した行
+   * @returns {{text: string, mrubyc: ?string, rite: ?string}|null} どちらも見つからなければ null。
+   *   rite は明記されていなければ mruby/c のバージョンから MRUBYC_RITE_VERSIONS で求める（わからなければ null）
+   */
+  const parseFirmwareVersion = (text) => {
+    const ver = /mruby\/c\s+(?:ver(?:sion)?\s*)?v?(\d+)\.(\d+)(?:\.(\d+))?/i.exec(text);
+    const rite = /RITE(\d{4})/.exec(text);
+    if (!ver && !rite) return null;
+    const fw = {
+      text: text.replace(/^\+OK\s*/, '').trim(),
+      mrubyc: ver ? [ver[1], ver[2], ver[3]].filter((n) => n !== undefined).join('.') : null,
+      rite: rite ? rite[1] : null
+    };
+    if (!fw.rite && ver) {
+      const major = Number(ver[1]);
+      const minor = Number(ver[2]);
+      const entry = MRUBYC_RITE_VERSIONS.find(([ma, mi]) => ma === major && minor >= mi);
+      if (entry) fw.rite = entry[2];
+    }
+    return fw;
+  };
+
+  /**
+   * バイトコードのヘッダから RITE バージョンを読む
+   * @param {Uint8Array} bin - バイトコード
+   * @returns {string|null} "0300" など。RITE バイナリでなければ null
+   */
+  const riteVersionOf = (bin) => {
+    if (!bin || bin.length < 8) return null;
+    const text = String.fromCharCode.apply(null, bin.subarray(0, 8));
+    return /^RITE\d{4}$/.test(text) ? text.slice(4) : null;
+  };
+
+  /**
+   * ファームウェアがその RITE バージョンのバイトコードを読み込めるか
+   * メジャー（上 2 桁）が同じで、マイナーがファームウェアの対応する版以下なら読める
+   * @param {string} firmwareRite - ファームウェアが対応する RITE バージョン
+   * @param {string} bytecodeRite - バイトコードの RITE バージョン
+   * @returns {boolean}
+   */
+  const isRiteCompatible = (firmwareRite, bytecodeRite) =>
+    firmwareRite.slice(0, 2) === bytecodeRite.slice(0, 2) && bytecodeRite.slice(2) <= firmwareRite.slice(2);
+
+  const SESSION_FORMAT = 'kaniburner-session';
+  const SESSION_EVENTS = ['open', 'rx', 'tx', 'break', 'close'];
+
+  const toBase64 = (bytes) => {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(text);
+  };
+
+  const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+  /**
+   * SerialComm の送受信を記録する（SerialComm.recorder に設定する）
+   * イベントは { t: 記録開始からのミリ秒, type, data }。type は
+   * open（data: ボードプロファイル）/ rx / tx（data: バイト列）/ break（data: 期間）/ close。
+   */
+  class SessionRecorder {
+    constructor() {
+      this.startedAt = new Date();
+      this.events = [];
+    }
+
+    /**
+     * イベントを記録する
+     * @param {string} type - イベントの種類
+     * @param {Uint8Array|Object|number|null} [data] - 内容
+     */
+    record(type, data = null) {
+      this.events.push({
+        t: Date.now() - this.startedAt.getTime(),
+        type,
+        data: data instanceof Uint8Array ? toBase64(data) : data
+      });
+    }
+
+    /**
+     * セッションファイルの内容
+     * @returns {string} JSON
+     */
+    serialize() {
+      return JSON.stringify({
+        format: SESSION_FORMAT,
+        version: 1,
+        startedAt: this.startedAt.toISOString(),
+        events: this.events
+      });
+    }
+  }
+
+  /**
+   * セッションファイルを読み込む
+   * @param {string} text - SessionRecorder.serialize() の出力
+   * @returns {{startedAt: string, profile: ?Object, events: Array<{t: number, type: string, data: *}>}}
+   *   profile は最初の open のボードプロファイル、rx / tx の data は Uint8Array
+   * @throws {Error} 形式が違うとき
+   */
+  const parseSession = (text) => {
+    const json = JSON.parse(text);
+    if (!json || json.format !== SESSION_FORMAT || !Array.isArray(json.events)) {
+      throw new Error('Not a kaniburner session file.');
+    }
+    if (json.version !== 1) throw new Error('Unsupported session file version: ' + json.version);
+    const events = json.events.map((ev, i) => {
+      if (!ev || typeof ev.t !== 'number' || !SESSION_EVENTS.includes(ev.type)) {
+        throw new Error('Broken session event at ' + i + '.');
+      }
+      const binary = ev.type === 'rx' || ev.type === 'tx';
+      return { t: ev.t, type: ev.type, data: binary ? fromBase64(ev.data) : ev.data };
+    });
+    const open = events.find((ev) => ev.type === 'open' && ev.data);
+    return { startedAt: json.startedAt, profile: open ? open.data : null, events };
+  };
+
+  /**
+   * セッションの送受信イベントをログ向けに短く表す
+   * @param {{type: string, data: *}} ev - parseSession() のイベント、または ReplayTransport の送信
+   * @returns {string} 例: 12 bytes "write 300\r\n"
+   */
+  const describeSessionEvent = (ev) => {
+    if (!(ev.data instanceof Uint8Array)) return ev.type;
+    const text = new TextDecoder().decode(ev.data.subarray(0, 32));
+    return ev.data.length + ' bytes ' + JSON.stringify(text) + (ev.data.length > 32 ? '...' : '');
+  };
+
+  /**
+   * トランスポート非依存のシリアル通信管理
+   * 接続・切断、データの読み書き、行単位のバッファリングを行う。
+   */
+  class SerialComm {
+    /**
+     * @param {Object} [callbacks]
+     * @param {function(string):void} [callbacks.onRawData] - 生データを受信したとき
+     * @param {function(string, boolean):void} [callbacks.onLineReceived] - 1行（または行末待ちの部分行）を受信したとき
+     * @param {function():void} [callbacks.onDisconnect] - 切断したとき
+     */
+    constructor({ onRawData, onLineReceived, onDisconnect } = {}) {
+      this.transport = null;
+      this.connected = false;
+      this.onRawData = onRawData || (() => {});
+      this.onLineReceived = onLineReceived || (() => {});
+      this.onDisconnect = onDisconnect || (() => {});
+      this._decoder = new TextDecoder();
+      this._lineBuffer = '';
+      /** 受信データを行に分ける区切り（MrbwriteProtocol.setProfile で設定される） */
+      this.lineTerminator = '\r\n';
+      /** @type {SessionRecorder|null} 送受信の記録先（記録しないなら null） */
+      this.recorder = null;
+    }
+
+    /**
+     * トランスポートを開いて接続する
+     * @param {Object} transport - トランスポート
+     */
+    async connect(transport) {
+      this._decoder = new TextDecoder();
+      this._lineBuffer = '';
+      await transport.open((data) => this._onData(data), () => this._onClose(transport));
+      this.transport = transport;
+      this.connected = true;
+      if (this.recorder) this.recorder.record('open', transport.profile || null);
+    }
+
+    /**
+     * 受信データを行単位に分割してコールバックへ渡す
+     * @param {Uint8Array} data - 受信データ
+     */
+    _onData(data) {
+      if (this.recorder) this.recorder.record('rx', data);
+      this._processText(this._decoder.decode(data, { stream: true }));
+    }
+
+    _processText(text) {
+      this.onRawData(text);
+      const parts = (this._lineBuffer + text).split(this.lineTerminator);
+      this._lineBuffer = parts.pop() || '';
+      for (const line of parts) this.onLineReceived(line, false);
+      if (this._lineBuffer) this.onLineReceived(this._lineBuffer, true);
+    }
+
+    /** トランスポート側で切断された（ケーブル抜けなど） */
+    _onClose(transport) {
+      if (this.transport !== transport) return;
+      this.transport = null;
+      this.connected = false;
+      if (this.recorder) this.recorder.record('close');
+      this._flush();
+      this.onDisconnect();
+    }
+
+    /** デコーダに残っているデータを処理して行バッファを捨てる */
+    _flush() {
+      const remaining = this._decoder.decode();
+      if (remaining) this._processText(remaining);
+      this._lineBuffer = '';
+    }
+
+    /** 接続を閉じる */
+    async disconnect() {
+      const transport = this.transport;
+      if (!transport) return;
+      this.transport = null;
+      this.connected = false;
+      if (this.recorder) this.recorder.record('close');
+      try { await transport.close(); } catch (e) { /* ignore */ }
+      this._flush();
+      this.onDisconnect();
+    }
+
+    /**
+     * バイナリデータを送信する
+     * @param {Uint8Array} data - 送信データ
+     */
+    async writeBytes(data) {
+      if (!this.transport) throw new Error('Not connected');
+      if (this.recorder) this.recorder.record('tx', data);
+      await this.transport.write(data);
+    }
+
+    /**
+     * テキストをエンコードして送信する
+     * @param {string} text - 送信テキスト
+     */
+    async sendText(text) {
+      await this.writeBytes(encoder.encode(text));
+    }
+
+    /**
+     * Break 信号を送信する
+     * @param {number} [ms=100] - Break 期間（ミリ秒）
+     */
+    async sendBreak(ms = 100) {
+      if (!this.transport) return;
+      if (this.recorder) this.recorder.record('break', ms);
+      await this.transport.sendBreak(ms);
+    }
+  }
+
+  /** キャンセルされた操作の中で投げる（キューが握りつぶす） */
+  class CancelledError extends Error {
+    constructor() {
+      super('Cancelled.');
+      this.name = 'CancelledError';
+    }
+  }
+
+  /**
+   * mrbwrite プロトコル実装
+   * コマンドモードの検出、コマンド送受信、バイトコード書き込み・検証を行う。
+   * ボードとのやりとりを伴う公開メソッドはすべてキューに積まれ、1つずつ順に実行される。
+   */
+  class MrbwriteProtocol {
+    /**
+     * @param {SerialComm} serial - シリアル通信
+     * @param {{info: function(string):void, error: function(string):void}} logger - ロガー
+     * @param {Object} [options]
+     * @param {function(boolean):void} [options.onCommandModeChange] - コマンドモードが切り替わったとき
+     * @param {function(boolean, ?string):void} [options.onBusyChange] - 操作の実行状態が変わったとき（実行中の操作名つき）
+     * @param {function(Object):void} [options.onIncompatibleBytecode] - ファームウェアが読めない形式のバイトコードを
+     *   書き込もうとして止めたとき（{ firmware, bytecodeRite, label } を受け取る）
+     * @param {Object} [options.profile] - ボードプロファイル（省略時は DEFAULT_PROFILE）
+     */
+    constructor(serial, logger, { onCommandModeChange, onBusyChange, onIncompatibleBytecode, profile } = {}) {
+      this.serial = serial;
+      this.logger = logger;
+      this.onCommandModeChange = onCommandModeChange || (() => {});
+      this.onBusyChange = onBusyChange || (() => {});
+      this.onIncompatibleBytecode = onIncompatibleBytecode || (() => {});
+      this.setProfile(profile || DEFAULT_PROFILE);
+      this.commandMode = false;
+      this.busy = false;
+      this.busyLabel = null;
+      /** @type {?{text: string, mrubyc: ?string, rite: ?string}} バナーか version コマンドで知ったファームウェアのバージョン */
+      this.firmware = null;
+      this._firmwareQueried = false;
+      this._responseResolve = null;
+      this._lastCommand = null;
+      this._queue = [];
+      this._current = null;
+    }
+
+    /**
+     * ボードプロファイルを切り替える（接続前に呼ぶ）。
+     * タイムアウト・バナー・行末・Break 期間と、crcPoly などの省略時の値がプロファイルに従う。
+     * @param {Object} profile - normalizeProfile 済みのプロファイル
+     */
+    setProfile(profile) {
+      this.profile = profile;
+      this.timeouts = Object.assign({}, DEFAULT_TIMEOUTS, profile.timeouts);
+      this._banner = new RegExp(profile.banner);
+      this.serial.lineTerminator = profile.lineTerminator;
+    }
+
+    /**
+     * コマンドの応答を待っているか
+     * 待っていない間に受信した行はボードのプログラムの出力として扱える（シリアルプロッタなど）。
+     * @returns {boolean}
+     */
+    get awaitingResponse() {
+      return this._responseResolve !== null;
+    }
+
+    /**
+     * 受信した行を処理する（コマンドモード検出＋レスポンス解決）
+     * @param {string} line - 受信した行
+     * @param {boolean} isPartial - 行末（CRLF）をまだ受信していない部分行なら true
+     */
+    handleLineReceived(line, isPartial) {
+      this._checkCommandModePatterns(line);
+      if (isPartial) return;
+      if (this._responseResolve
+          && (line.startsWith('+OK') || line.startsWith('-ERR') || line.startsWith('+DONE'))) {
+        const resolve = this._responseResolve;
+        this._responseResolve = null;
+        resolve(line);
+      }
+    }
+
+    _checkCommandModePatterns(text) {
+      if (!this.commandMode && this._banner.test(text)) {
+        const fw = parseFirmwareVersion(text);
+        if (fw) this.firmware = fw;
+        this._setCommandMode(true);
+      } else if (this.commandMode && this._lastCommand === 'execute'
+          && text.startsWith('+OK') && !this._banner.test(text)) {
+        this._setCommandMode(false);
+      }
+    }
+
+    _setCommandMode(enabled) {
+      if (this.commandMode === enabled) return;
+      this.commandMode = enabled;
+      this._lastCommand = null;
+      this.logger.info(enabled ? 'Command mode entered.' : 'Command mode exited.');
+      this.onCommandModeChange(enabled);
+    }
+
+    /**
+     * 切断時にプロトコル状態をリセットする。待機中の操作は取り消し、応答待ちは null で返す。
+     * 実行中の操作は取り消さない（Break 後の再接続を待っている場合があるため）。
+     */
+    handleDisconnect() {
+      const wasCommandMode = this.commandMode;
+      this.commandMode = false;
+      this._lastCommand = null;
+      // つなぎ直した先が別のファームウェアかもしれない
+      this.firmware = null;
+      this._firmwareQueried = false;
+      this._abort();
+      if (wasCommandMode) this.onCommandModeChange(false);
+    }
+
+    /**
+     * 操作をキューに積む。前の操作が終わってから実行される。
+     * @param {string} label - 操作名（busy 表示用）
+     * @param {function(): Promise<*>} task - 操作
+     * @returns {Promise<*>} 操作の結果。キャンセル・例外時は null
+     */
+    enqueue(label, task) {
+      return new Promise(resolve => {
+        this._queue.push({ label, task, resolve, cancelled: false });
+        if (!this._current) this._runQueue();
+      });
+    }
+
+    async _runQueue() {
+      while (this._queue.length > 0) {
+        const req = this._queue.shift();
+        this._current = req;
+        this._setBusy(req.label);
+        let result = null;
+        try {
+          result = await req.task();
+        } catch (e) {
+          if (!(e instanceof CancelledError)) this.logger.error(req.label + ': ' + e.message);
+        }
+        req.resolve(req.cancelled ? null : result);
+      }
+      this._current = null;
+      this._setBusy(null);
+    }
+
+    _setBusy(label) {
+      if (this.busyLabel === label) return;
+      this.busy = label !== null;
+      this.busyLabel = label;
+      this.onBusyChange(this.busy, label);
+    }
+
+    /** 実行中の操作と待機中の操作をすべて取り消す */
+    cancel() {
+      if (!this._current && this._queue.length === 0) return;
+      this.logger.info('Cancelled.');
+      if (this._current) this._current.cancelled = true;
+      this._abort();
+    }
+
+    _abort() {
+      for (const req of this._queue.splice(0)) req.resolve(null);
+      if (this._responseResolve) {
+        const r = this._responseResolve;
+        this._responseResolve = null;
+        r(null);
+      }
+    }
+
+    /** 実行中の操作がキャンセルされていれば CancelledError を投げる */
+    _throwIfCancelled() {
+      if (this._current && this._current.cancelled) throw new CancelledError();
+    }
+
+    /**
+     * ボードからのレスポンスを待機する
+     * @param {number} [timeout] - タイムアウト（ミリ秒）
+     * @returns {Promise<string|null>} レスポンス行、タイムアウト・切断・キャンセル時は null
+     */
+    _waitForResponse(timeout = this.timeouts.response) {
+      let restart;
+      const p = new Promise(resolve => {
+        let timer;
+        const resolver = (line) => { clearTimeout(timer); resolve(line); };
+        restart = () => {
+          clearTimeout(timer);
+          timer = setTimeout(() => {
+            if (this._responseResolve === resolver) this._responseResolve = null;
+            resolve(null);
+          }, timeout);
+        };
+        restart();
+        this._responseResolve = resolver;
+      });
+      /** タイムアウトを今から数え直す（データを送り続けている間は待ち続ける） */
+      p.restartTimer = restart;
+      return p;
+    }
+
+    /**
+     * データを送信してレスポンスを待つ（キャンセルされていれば送らない）
+     * @param {string|Uint8Array} data - 送信データ（文字列はそのまま、バイト列はバイナリとして送る）
+     * @param {number} [timeout] - タイムアウト（ミリ秒）
+     * @returns {Promise<string|null>} レスポンス行
+     */
+    async _exchange(data, timeout) {
+      this._throwIfCancelled();
+      const resp = await this._transmit(data, timeout);
+      this._throwIfCancelled();
+      return resp;
+    }
+
+    async _transmit(data, timeout) {
+      const p = this._waitForResponse(timeout);
+      if (typeof data === 'string') await this.serial.sendText(data);
+      else await this.serial.writeBytes(data);
+      return p;
+    }
+
+    /**
+     * バイトコードをチャンクに分けて送り、+DONE を待つ。
+     * キャンセルされたら残りを 0 で埋めて write を終わらせ、clear で中途半端なスロットを消してから
+     * CancelledError を投げる（ボードはコマンドモードのまま次の操作を受け付けられる）。
+     * @param {Uint8Array} bin - バイトコード
+     * @param {Object} options
+     * @param {number} [options.chunkSize] - チャンクのバイト数（0 なら一括）
+     * @param {number} [options.chunkDelay] - チャンク間の待ち時間（ミリ秒）
+     * @param {function(number):void} [options.onChunk] - チャンクを送るたびに送信済みバイト数を渡す
+     * @returns {Promise<string|null>} レスポンス行
+     */
+    async _sendBytecode(bin, { chunkSize, chunkDelay, onChunk }) {
+      this._throwIfCancelled();
+      const size = chunkSize > 0 ? chunkSize : bin.length;
+      let answered = false;
+      const p = this._waitForResponse(this.timeouts.write);
+      p.then(() => { answered = true; });
+      let sent = 0;
+      while (sent < bin.length && !answered) {
+        if (sent > 0 && chunkDelay > 0) await sleep(chunkDelay);
+        if (answered || this._current.cancelled) break;
+        const chunk = bin.subarray(sent, sent + size);
+        await this.serial.writeBytes(chunk);
+        sent += chunk.length;
+        p.restartTimer();
+        if (onChunk) onChunk(sent);
+      }
+      if (this._current.cancelled && sent < bin.length) {
+        await this._abortWrite(bin.length - sent);
+        throw new CancelledError();
+      }
+      const resp = await p;
+      this._throwIfCancelled();
+      return resp;
+    }
+
+    /** 送信途中の write を 0 埋めで終わらせ、書きかけのスロットを clear する */
+    async _abortWrite(remaining) {
+      if (!this.serial.connected) return;
+      this.logger.info('Write cancelled. Finishing the transfer with ' + remaining + ' padding bytes...');
+      const done = await this._transmit(new Uint8Array(remaining), this.timeouts.write);
+      if (!done) {
+        this.logger.error('No response after padding. Send a break to reset the board.');
+        return;
+      }
+      this.logger.info('> clear');
+      const cleared = await this._transmit('clear' + this.profile.lineTerminator);
+      if (cleared && cleared.startsWith('+OK')) this.logger.info('Board cleared.');
+      else this.logger.error('clear failed: ' + cleared + '. Send a break to reset the board.');
+    }
+
+    /**
+     * コマンドを送信してレスポンスを待つ
+     * @param {string} cmd - 送信するコマンド文字列
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - コマンドモード外でも強制送信する
+     * @param {boolean} [options.ignoreResponse] - レスポンスを待たない
+     * @param {number} [options.timeout] - タイムアウト（ミリ秒）
+     * @returns {Promise<string|null>} レスポンス行
+     */
+    sendCommand(cmd, options) {
+      return this.enqueue(cmd, () => this._sendCommand(cmd, options));
+    }
+
+    async _sendCommand(cmd, { force, ignoreResponse, timeout } = {}) {
+      if (!this.serial.connected) { this.logger.error('Not connected.'); return null; }
+      if (!force && !this.commandMode) { this.logger.error('Not in command mode.'); return null; }
+      this.logger.info('> ' + cmd);
+      const line = cmd + this.profile.lineTerminator;
+      if (ignoreResponse) {
+        await this.serial.sendText(line);
+        return null;
+      }
+      return this._exchange(line, timeout);
+    }
+
+    /**
+     * コマンドモードに遷移する（timeouts.commandMode の間リトライ）
+     * @returns {Promise<boolean>} 遷移成功なら true
+     */
+    ensureCommandMode() {
+      return this.enqueue('command mode', () => this._ensureCommandMode());
+    }
+
+    async _ensureCommandMode() {
+      if (this.commandMode) return true;
+      if (!this.serial.connected) return false;
+      this.logger.info('Entering command mode...');
+      const retries = Math.ceil(this.timeouts.commandMode / 1000);
+      for (let i = 0; i < retries; i++) {
+        try { await this.serial.sendText(this.profile.lineTerminator); }
+        catch (e) { this.logger.error('Send error: ' + e.message); return false; }
+        await sleep(1000);
+        this._throwIfCancelled();
+        if (this.commandMode) return true;
+        if (!this.serial.connected) return false;
+      }
+      this.logger.error('Command mode transition timed out (' + retries + 's).');
+      return false;
+    }
+
+    /**
+     * Break 信号を送信する。ボードはリセットされるのでコマンドモードを抜けた扱いにする。
+     * @param {number} [ms] - Break 期間（ミリ秒）。省略時はプロファイルの breakDuration
+     */
+    sendBreak(ms) {
+      return this.enqueue('break', () => this._sendBreak(ms));
+    }
+
+    async _sendBreak(ms = this.profile.breakDuration) {
+      if (!this.serial.connected) { this.logger.error('Not connected.'); return; }
+      this.logger.info('> break');
+      await this.serial.sendBreak(ms);
+      this._setCommandMode(false);
+    }
+
+    /**
+     * Break でボードをリセットしてコマンドモードに入り直す
+     * @param {function(): Promise<boolean>} [reconnect] - Break 後に呼ぶ。リセットで切断されたポートを
+     *   つなぎ直し、接続できていれば true を返す
+     * @returns {Promise<boolean>} コマンドモードに入れば true
+     */
+    breakAndEnterCommandMode(reconnect) {
+      return this.enqueue('break', async () => {
+        if (!this.serial.connected) return false;
+        await this._sendBreak();
+        if (reconnect && !await reconnect()) return false;
+        this._throwIfCancelled();
+        return this._ensureCommandMode();
+      });
+    }
+
+    /**
+     * verify コマンドでボード上のバイトコードの CRC-8 を取得する。
+     * verify はボードに書き込まれている全スロット分のバイトコードの CRC-8 を返す。
+     * @returns {Promise<number|null>} CRC-8 値、取得できなければ null
+     */
+    readBoardCrc() {
+      return this.enqueue('verify', () => this._readBoardCrc());
+    }
+
+    async _readBoardCrc() {
+      const resp = await this._sendCommand('verify');
+      if (!resp) { this.logger.error('verify: no response.'); return null; }
+      if (resp.startsWith('-ERR')) { this.logger.error('verify: ' + resp); return null; }
+
+      const match = resp.match(/([0-9a-fA-F]{2,})\s*$/);
+      if (!match) { this.logger.error('verify: unexpected response: ' + resp); return null; }
+      return parseInt(match[1], 16);
+    }
+
+    /**
+     * ファームウェアのバージョンを調べる。
+     * バナーに書かれていなければ version コマンドで問い合わせる（接続ごとに 1 回だけ）。
+     * @returns {Promise<?{text: string, mrubyc: ?string, rite: ?string}>} わからなければ null
+     */
+    readFirmwareVersion() {
+      return this.enqueue('version', async () => {
+        if (!await this._ensureCommandMode()) return null;
+        return this._readFirmwareVersion();
+      });
+    }
+
+    async _readFirmwareVersion() {
+      if (this.firmware || this._firmwareQueried) return this.firmware;
+      this._firmwareQueried = true;
+      const resp = await this._sendCommand('version');
+      if (resp && resp.startsWith('+OK')) this.firmware = parseFirmwareVersion(resp);
+      if (this.firmware) this.logger.info('Firmware: ' + this.firmware.text);
+      return this.firmware;
+    }
+
+    /**
+     * 書き込む前に、ファームウェアがバイトコードの形式（RITE バージョン）を読めるか確かめる。
+     * ファームウェアの対応形式がわからないときは確かめずに通す
+     * @param {Uint8Array[]} bytecodes - スロットごとのバイトコード
+     * @param {string[]} labels - スロットのログ表示名
+     * @returns {Promise<boolean>} 書き込んでよければ true
+     */
+    async _checkBytecodeVersion(bytecodes, labels) {
+      const fw = await this._readFirmwareVersion();
+      if (!fw || !fw.rite) {
+        this.logger.info('Firmware bytecode format unknown; skipping the RITE version check.');
+        return true;
+      }
+      for (let i = 0; i < bytecodes.length; i++) {
+        const rite = riteVersionOf(bytecodes[i]);
+        if (!rite || isRiteCompatible(fw.rite, rite)) continue;
+        const name = labels[i] ? ' (' + labels[i] + ')' : '';
+        this.logger.error('Slot ' + i + name + ' is RITE' + rite + ' bytecode, but the firmware ('
+          + (fw.mrubyc ? 'mruby/c ' + fw.mrubyc : fw.text) + ') loads RITE' + fw.rite + '. Write aborted.');
+        this.onIncompatibleBytecode({ firmware: fw, bytecodeRite: rite, label: labels[i] || null });
+        return false;
+      }
+      return true;
+    }
+
+    /**
+     * ボード上のバイトコードを CRC-8 で検証する
+     * @param {Uint8Array} binary - verify と同じ範囲（全スロットの連結）のバイトコード
+     * @param {number} [crcPoly] - CRC 多項式。省略時はプロファイルの crcPoly
+     * @returns {Promise<boolean>} CRC が一致すれば true
+     */
+    verifyBytecode(binary, crcPoly) {
+      return this.enqueue('verify', () => this._verifyBytecode(binary, crcPoly));
+    }
+
+    async _verifyBytecode(binary, crcPoly = this.profile.crcPoly) {
+      if (!await this._ensureCommandMode()) return false;
+      const boardCrc = await this._readBoardCrc();
+      if (boardCrc === null) return false;
+      const localCrc = calculateCrc8(binary, crcPoly);
+      if (localCrc !== boardCrc) {
+        this.logger.error('Verify failed. expected=' + hex8(localCrc) + ' got=' + hex8(boardCrc));
+        return false;
+      }
+      this.logger.info('Verify succeeded. (CRC8: ' + hex8(localCrc) + ')');
+      return true;
+    }
+
+    /**
+     * バイトコードをスロット順に書き込む
+     * mrbwrite 仕様: clear → (write N → binary → +DONE) × n → execute
+     * @param {Uint8Array[]} bytecodes - スロットごとのバイトコード
+     * @param {string[]} [labels] - スロットのログ表示名（ファイル名など）
+     * @param {Object} [options]
+     * @param {boolean} [options.verify] - 各スロットの書き込み後に verify し、不一致なら中断する
+     * @param {boolean} [options.skipIfUnchanged] - clear 前に verify し、CRC が一致すれば書き込みを省略する
+     *   どちらの場合も、先にファームウェアが読めない形式のバイトコードがないか確かめ、あれば書き込まない
+     * @param {number} [options.crcPoly] - CRC 多項式
+     * @param {number} [options.chunkSize] - バイトコードを分割して送るバイト数（0 なら一括）
+     * @param {number} [options.chunkDelay] - チャンク間の待ち時間（ミリ秒）
+     *   crcPoly / chunkSize / chunkDelay の省略時はプロファイルの値を使う
+     * @param {function(Object):void} [options.onProgress] - 送信の進み具合
+     *   { slot, slots, label, sent, size, totalSent, total } を受け取る
+     * @returns {Promise<boolean>} 成功（または省略）なら true
+     */
+    flashPlan(bytecodes, labels, options) {
+      return this.enqueue('write', () => this._flashPlan(bytecodes, labels, options));
+    }
+
+    async _flashPlan(bytecodes, labels = [], {
+      verify = false, skipIfUnchanged = false, crcPoly = this.profile.crcPoly,
+      chunkSize = this.profile.chunkSize, chunkDelay = this.profile.chunkDelay, onProgress
+    } = {}) {
+      if (!await this._ensureCommandMode()) return false;
+      if (!bytecodes || bytecodes.length === 0) return false;
+      if (!await this._checkBytecodeVersion(bytecodes, labels)) return false;
+
+      if (skipIfUnchanged) {
+        const localCrc = calculateCrc8(concatBytes(bytecodes), crcPoly);
+        const boardCrc = await this._readBoardCrc();
+        if (boardCrc === localCrc) {
+          this.logger.info('Board already holds identical bytecode (CRC8: ' + hex8(localCrc) + '). Flash skipped.');
+          return true;
+        }
+      }
+
+      this.logger.info('> clear');
+      const clearResp = await this._exchange('clear' + this.profile.lineTerminator);
+      if (!clearResp || !clearResp.startsWith('+OK')) {
+        this.logger.error('clear failed: ' + clearResp);
+        return false;
+      }
+
+      const total = bytecodes.reduce((n, bin) => n + bin.length, 0);
+      let written = 0;
+      for (let i = 0; i < bytecodes.length; i++) {
+        const bin = bytecodes[i];
+        const name = labels[i] ? ' (' + labels[i] + ')' : '';
+        const cmd = 'write ' + bin.length;
+        this.logger.info('> ' + cmd);
+        const writeResp = await this._exchange(cmd + this.profile.lineTerminator);
+        if (!writeResp || !writeResp.startsWith('+OK Write bytecode')) {
+          this.logger.error('write command failed (slot ' + i + name + '): ' + writeResp);
+          return false;
+        }
+        this.logger.info('Sending bytecode slot ' + i + name + ' (' + bin.length + ' bytes)...');
+        const res = await this._sendBytecode(bin, {
+          chunkSize,
+          chunkDelay,
+          onChunk: (sent) => {
+            if (!onProgress) return;
+            onProgress({
+              slot: i, slots: bytecodes.length, label: labels[i] || null,
+              sent, size: bin.length, totalSent: written + sent, total
+            });
+          }
+        });
+        written += bin.length;
+        if (res && res.startsWith('+DONE')) {
+          this.logger.info('Slot ' + i + name + ' write completed.');
+          if (verify && !await this._verifyBytecode(concatBytes(bytecodes.slice(0, i + 1)), crcPoly)) {
+            this.logger.error('Slot ' + i + name + ' verify failed.');
+            return false;
+          }
+        } else if (res && res.startsWith('-ERR')) {
+          this.logger.error('Slot ' + i + name + ' write failed: ' + res);
+          return false;
+        } else {
+          this.logger.error('Slot ' + i + name + ' response timeout or unexpected: ' + res);
+          return false;
+        }
+      }
+      return true;
+    }
+
+    /** ボード上のプログラムを実行する */
+    executeProgram() {
+      return this.enqueue('execute', async () => {
+        if (!await this._ensureCommandMode()) return false;
+        this._lastCommand = 'execute';
+        await this._sendCommand('execute', { ignoreResponse: true });
+        return true;
+      });
+    }
+  }
+
+  /**
+   * 複数ボードへの一括書き込み
+   * ボードごとに SerialComm / MrbwriteProtocol を作り、同じバイトコードを並行して書き込む。
+   * ボードの状態（state）は idle / connecting / writing / executing / done / failed / cancelled / disconnected。
+   */
+  class MultiDeviceSession {
+    /**
+     * @param {Object} logger - ロガー { info(msg), error(msg) }。メッセージにはボード名が前置される
+     * @param {Object} [callbacks]
+     * @param {function(Object):void} [callbacks.onStateChange] - ボードの状態・進捗が変わったとき（デバイスを渡す）
+     */
+    constructor(logger, { onStateChange } = {}) {
+      this.logger = logger;
+      this.onStateChange = onStateChange || (() => {});
+      /** @type {Array<{name: string, state: string, message: string, progress: Object|null}>} */
+      this.devices = [];
+      this._cancelled = false;
+    }
+
+    /**
+     * ボードを加える
+     * @param {string} name - 表示名（ログ・レポートに使う）
+     * @param {Object} transport - トランスポート
+     * @param {Object} profile - ボードプロファイル
+     * @param {Object} [options]
+     * @param {function(Object): Promise<boolean>} [options.reconnect] - Break のリセットで切断されたポートを
+     *   つなぎ直し、接続できていれば true を返す（デバイスを渡す）
+     * @returns {Object} デバイス
+     */
+    add(name, transport, profile, { reconnect } = {}) {
+      const logger = {
+        info: (msg) => this.logger.info('[' + name + '] ' + msg),
+        error: (msg) => this.logger.error('[' + name + '] ' + msg)
+      };
+      const device = { name, state: 'idle', message: '', progress: null, incompatible: null, transport, reconnect };
+      device.serial = new SerialComm({
+        onLineReceived: (line, partial) => device.protocol.handleLineReceived(line, partial),
+        onDisconnect: () => {
+          device.protocol.handleDisconnect();
+          if (device.state === 'done') this._setState(device, 'disconnected', device.message);
+        }
+      });
+      device.protocol = new MrbwriteProtocol(device.serial, logger, {
+        profile,
+        onIncompatibleBytecode: (e) => { device.incompatible = e; }
+      });
+      this.devices.push(device);
+      return device;
+    }
+
+    /**
+     * 全ボードに並行して書き込む。書き込んだボードは close() まで接続したままにする。
+     * @param {Uint8Array[]} bytecodes - スロット順のバイトコード
+     * @param {string[]} [labels] - スロットの表示名
+     * @param {Object} [options]
+     * @param {boolean} [options.verify] - 書き込み後に CRC-8 で検証する
+     * @param {boolean} [options.skipIfUnchanged] - CRC-8 が一致するボードは書き込まない
+     * @param {boolean} [options.execute] - 書き込み後に実行する
+     * @returns {Promise<Array<{name: string, ok: boolean, message: string}>>} ボードごとの結果（add した順）
+     */
+    async run(bytecodes, labels, options = {}) {
+      this._cancelled = false;
+      await Promise.all(this.devices.map((device) => this._runDevice(device, bytecodes, labels, options)));
+      return this.devices.map((d) => ({ name: d.name, ok: d.state === 'done', message: d.message }));
+    }
+
+    async _runDevice(device, bytecodes, labels, { verify = false, skipIfUnchanged = false, execute = false }) {
+      const { serial, protocol } = device;
+      const fail = (message) => {
+        if (this._cancelled) this._setState(device, 'cancelled', 'Cancelled.');
+        else this._setState(device, 'failed', message);
+      };
+
+      this._setState(device, 'connecting');
+      try {
+        await serial.connect(device.transport);
+      } catch (e) {
+        return fail('Connect failed: ' + e.message);
+      }
+      const reconnect = device.reconnect && (() => device.reconnect(device));
+      if (!await protocol.breakAndEnterCommandMode(reconnect)) return fail('Could not enter command mode.');
+
+      this._setState(device, 'writing');
+      device.incompatible = null;
+      const ok = await protocol.flashPlan(bytecodes, labels, {
+        verify,
+        skipIfUnchanged,
+        onProgress: (p) => { device.progress = p; this.onStateChange(device); }
+      });
+      if (!ok && device.incompatible) {
+        return fail('Firmware loads RITE' + device.incompatible.firmware.rite
+          + ', bytecode is RITE' + device.incompatible.bytecodeRite + '.');
+      }
+      if (!ok) return fail(verify ? 'Write or verify failed.' : 'Write failed.');
+
+      if (execute) {
+        this._setState(device, 'executing');
+        if (!await protocol.executeProgram()) return fail('Execute failed.');
+      }
+      this._setState(device, 'done', 'OK');
+    }
+
+    _setState(device, state, message = '') {
+      device.state = state;
+      device.message = message;
+      this.onStateChange(device);
+    }
+
+    /** 実行中の操作を全ボードで取り消す */
+    cancel() {
+      this._cancelled = true;
+      for (const device of this.devices) device.protocol.cancel();
+    }
+
+    /** 全ボードを切断する */
+    async close() {
+      await Promise.all(this.devices.map((d) => d.serial.disconnect()));
+    }
+  }
+
+  /**
+   * 記録したセッションを再生するトランスポート
+   * 受信（rx）は記録の時間間隔で返し、送信（tx / break）の位置ではアプリが送信するまで待つ。
+   * 記録と違う送信は onMismatch で知らせ、再生はそのまま続ける。最後まで再生したら切断する。
+   */
+  class ReplayTransport {
+    /**
+     * @param {Object} session - parseSession() の結果
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] - 再生速度（2 なら倍速）
+     * @param {function(Object, Object):void} [options.onMismatch] - 記録と違う送信があったとき（記録、実際）
+     * @param {function():void} [options.onEnd] - 最後まで再生したとき
+     */
+    constructor(session, { speed = 1, onMismatch, onEnd } = {}) {
+      this.session = session;
+      this.profile = session.profile;
+      this.speed = speed;
+      this.onMismatch = onMismatch || (() => {});
+      this.onEnd = onEnd || (() => {});
+      this._closed = true;
+      this._sent = [];
+      this._sentWaiter = null;
+    }
+
+    async open(onData, onClose) {
+      this._closed = false;
+      this._play(onData, onClose);
+    }
+
+    async _play(onData, onClose) {
+      let last = this.session.events.length > 0 ? this.session.events[0].t : 0;
+      for (const ev of this.session.events) {
+        if (ev.type === 'rx') {
+          const wait = (ev.t - last) / this.speed;
+          if (wait > 0) await sleep(wait);
+          if (this._closed) return;
+          onData(ev.data);
+        } else if (ev.type === 'tx' || ev.type === 'break') {
+          const sent = await this._nextSent();
+          if (!sent) return;
+          if (!this._same(ev, sent)) this.onMismatch(ev, sent);
+        }
+        // open / close はリセットによる再接続なので読み飛ばす
+        last = ev.t;
+      }
+      if (this._closed) return;
+      this._closed = true;
+      this.onEnd();
+      onClose();
+    }
+
+    _same(expected, sent) {
+      if (expected.type !== sent.type) return false;
+      if (expected.type === 'break') return true;
+      return expected.data.length === sent.data.length && expected.data.every((b, i) => b === sent.data[i]);
+    }
+
+    /** アプリの次の送信を待つ。閉じられたら null */
+    _nextSent() {
+      if (this._sent.length > 0) return Promise.resolve(this._sent.shift());
+      return new Promise((resolve) => { this._sentWaiter = resolve; });
+    }
+
+    _pushSent(sent) {
+      if (this._closed) throw new Error('Replay finished.');
+      const waiter = this._sentWaiter;
+      this._sentWaiter = null;
+      if (waiter) waiter(sent);
+      else this._sent.push(sent);
+    }
+
+    async write(data) {
+      this._pushSent({ type: 'tx', data: new Uint8Array(data) });
+    }
+
+    async sendBreak(ms) {
+      this._pushSent({ type: 'break', data: ms });
+    }
+
+    async close() {
+      this._closed = true;
+      this._sent = [];
+      if (this._sentWaiter) this._sentWaiter(null);
+      this._sentWaiter = null;
+    }
+  }
+
+  /**
+   * Web Serial API のトランスポート（ブラウザ用）
+   */
+  class WebSerialTransport {
+    /**
+     * @param {SerialPort} port - navigator.serial から取得したポート
+     * @param {Object} profile - ボードプロファイル
+     */
+    constructor(port, profile) {
+      this.port = port;
+      this.profile = profile;
+      this.reader = null;
+      this._closing = false;
+      this._readingPromise = null;
+    }
+
+    async open(onData, onClose) {
+      const p = this.profile;
+      if (p.flowControl === 'software') throw new Error('Web Serial does not support software flow control.');
+      await this.port.open({
+        baudRate: p.baudRate,
+        dataBits: p.dataBits,
+        stopBits: p.stopBits,
+        parity: p.parity,
+        flowControl: p.flowControl
+      });
+      this._closing = false;
+      this._readingPromise = this._readLoop(onData, onClose);
+    }
+
+    /** 受信ループ。close() 以外で終了した場合（ケーブル抜けなど）は onClose を呼ぶ */
+    async _readLoop(onData, onClose) {
+      while (this.port.readable && !this._closing) {
+        try {
+          this.reader = this.port.readable.getReader();
+          while (true) {
+            const { value, done } = await this.reader.read();
+            if (done) break;
+            onData(value);
+          }
+        } catch (e) {
+          if (!this._closing) console.warn('Read error:', e);
+          break;
+        } finally {
+          if (this.reader) {
+            try { this.reader.releaseLock(); } catch (e) { /* ignore */ }
+            this.reader = null;
+          }
+        }
+      }
+      if (!this._closing) {
+        try { await this.port.close(); } catch (e) { /* ignore */ }
+        onClose();
+      }
+    }
+
+    async write(data) {
+      if (!this.port.writable) throw new Error('Port is not writable');
+      const writer = this.port.writable.getWriter();
+      try {
+        await writer.ready;
+        await writer.write(data);
+      } finally {
+        writer.releaseLock();
+      }
+    }
+
+    async sendBreak(ms) {
+      await this.port.setSignals({ break: true });
+      await sleep(ms);
+      await this.port.setSignals({ break: false });
+    }
+
+    async close() {
+      this._closing = true;
+      if (this.reader) {
+        try { await this.reader.cancel(); } catch (e) { /* ignore */ }
+      }
+      if (this._readingPromise) {
+        try { await this._readingPromise; } catch (e) { /* ignore */ }
+        this._readingPromise = null;
+      }
+      try { await this.port.close(); } catch (e) { /* ignore */ }
+    }
+  }
+
+  return {
+    BOARD_PROFILES,
+    DEFAULT_PROFILE,
+    DEFAULT_TIMEOUTS,
+    normalizeProfile,
+    resolveBoardProfiles,
+    matchBoardProfiles,
+    detectBoardProfile,
+    usbFilters,
+    calculateCrc8,
+    concatBytes,
+    parseFirmwareVersion,
+    riteVersionOf,
+    isRiteCompatible,
+    SerialComm,
+    MrbwriteProtocol,
+    MultiDeviceSession,
+    SessionRecorder,
+    parseSession,
+    describeSessionEvent,
+    ReplayTransport,
+    WebSerialTransport
+  };
+});
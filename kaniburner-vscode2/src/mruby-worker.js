@@ -0,0 +1,45 @@
+const path = require('node:path');
+const { parentPort, workerData } = require('node:worker_threads');
+const { SharedText, installSimDevice } = require('./sim');
+
+// MrubyRunner が起動する mruby WASM の実行スレッド．
+// 拡張機能ホストを止めないよう callMain はここで呼ぶ．出力は 1 行ずつすぐに送る．終わらないときは親が terminate() して作り直す．
+// 受信: { type: 'run', bytecode, sim: { shim, inputs } | null }
+// 送信: { type: 'ready' } / { type: 'output', stream, text } / { type: 'sim', line } / { type: 'done', rc }
+let simInputs = null; // 実行中のシミュレーションの入力 (SharedText)
+
+const ready = require(path.join(workerData.baseDir, 'mruby.js'))({
+  noInitialRun: true,
+  print:    (t) => parentPort.postMessage({ type: 'output', stream: 'stdout', text: t + '\n' }),
+  printErr: (t) => parentPort.postMessage({ type: 'output', stream: 'stderr', text: t + '\n' })
+});
+
+ready.then((module) => {
+  installSimDevice(module.FS, {
+    onLine: (line) => parentPort.postMessage({ type: 'sim', line }),
+    readInputs: () => (simInputs ? simInputs.read() : '')
+  });
+  parentPort.postMessage({ type: 'ready' });
+});
+
+parentPort.on('message', async (msg) => {
+  if (msg.type !== 'run') return;
+  const module = await ready;
+  module.FS.writeFile('/output.mrb', msg.bytecode);
+  const args = ['-b', '/output.mrb'];
+  simInputs = null;
+  if (msg.sim) {
+    // シムは -r でプログラムより先に読み込む
+    module.FS.writeFile('/sim.mrb', msg.sim.shim);
+    simInputs = new SharedText(msg.sim.inputs);
+    args.unshift('-r', '/sim.mrb');
+  }
+  let rc;
+  try {
+    rc = module.callMain(args);
+  } catch (e) {
+    parentPort.postMessage({ type: 'output', stream: 'stderr', text: e.message + '\n' });
+    rc = 1;
+  }
+  parentPort.postMessage({ type: 'done', rc });
+});
@@ -0,0 +1,106 @@
+const vscode = require('vscode');
+const crypto = require('node:crypto');
+const { parsePlotLine } = require('./plotter');
+
+// ボードの数値出力を折れ線で表示する Webview パネル (シリアルプロッタ)．
+// 行の解釈はここで行い，値だけを Webview に送る．描画・一時停止・拡大縮小・CSV 化は Webview 側の PlotChart / PlotData．
+class PlotterPanel {
+  constructor(extensionUri, { onClose } = {}) {
+    this.onClose = onClose || (() => {});
+    this.panel = vscode.window.createWebviewPanel('kaniburner.plotter', 'Kaniburner Plotter', vscode.ViewColumn.Beside, {
+      enableScripts: true,
+      // 非表示の間も受け取った値を捨てない
+      retainContextWhenHidden: true,
+      localResourceRoots: [vscode.Uri.joinPath(extensionUri, 'src')]
+    });
+    const script = this.panel.webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'src', 'plotter.js'));
+    this.panel.webview.html = this._html(script);
+    this.panel.webview.onDidReceiveMessage((msg) => {
+      if (msg.type === 'export') {
+        this._export(msg.csv).catch((e) => vscode.window.showErrorMessage(`Kaniburner: Cannot save CSV: ${e.message}`));
+      }
+    });
+    this.panel.onDidDispose(() => this.onClose());
+  }
+
+  reveal() {
+    this.panel.reveal(vscode.ViewColumn.Beside, true);
+  }
+
+  // 受信した 1 行．数値か key:value の行だけを送る
+  addLine(line) {
+    const values = parsePlotLine(line);
+    if (values) this.panel.webview.postMessage({ type: 'data', t: Date.now(), values });
+  }
+
+  dispose() {
+    this.panel.dispose();
+  }
+
+  async _export(csv) {
+    const folder = (vscode.workspace.workspaceFolders || [])[0];
+    const name = `plot-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: folder ? vscode.Uri.joinPath(folder.uri, name) : undefined,
+      filters: { CSV: ['csv'] }
+    });
+    if (!uri) return;
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(csv, 'utf8'));
+    vscode.window.showInformationMessage(`Kaniburner: Plot saved to ${vscode.workspace.asRelativePath(uri)}`);
+  }
+
+  _html(script) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const csp = `default-src 'none'; style-src 'unsafe-inline'; script-src ${this.panel.webview.cspSource} 'nonce-${nonce}';`;
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="${csp}">
+  <style>
+    body { display: flex; flex-direction: column; height: 100vh; margin: 0; padding: 8px; box-sizing: border-box; }
+    .toolbar { display: flex; gap: 4px; align-items: center; margin-bottom: 8px; }
+    .toolbar span { margin-left: auto; opacity: 0.7; }
+    button { color: var(--vscode-button-foreground); background: var(--vscode-button-background); border: none; padding: 4px 10px; cursor: pointer; }
+    button:hover { background: var(--vscode-button-hoverBackground); }
+    canvas { flex: 1; width: 100%; min-height: 0; color: var(--vscode-foreground); cursor: grab; }
+  </style>
+</head>
+<body>
+  <div class="toolbar">
+    <button id="pause">Pause</button>
+    <button id="zoomIn">Zoom In</button>
+    <button id="zoomOut">Zoom Out</button>
+    <button id="reset">Reset View</button>
+    <button id="clear">Clear</button>
+    <button id="export">Export CSV</button>
+    <span id="status">0 samples</span>
+  </div>
+  <canvas id="chart"></canvas>
+  <script nonce="${nonce}" src="${script}"></script>
+  <script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    const $ = (id) => document.getElementById(id);
+    const update = () => {
+      $('pause').textContent = chart.paused ? 'Resume' : 'Pause';
+      $('status').textContent = data.rows.length + ' samples';
+    };
+    const data = new Plotter.PlotData({ onChange: () => { chart.update(); update(); } });
+    const chart = new Plotter.PlotChart($('chart'), data, { onViewChange: update });
+    $('pause').onclick = () => chart.setPaused(!chart.paused);
+    $('zoomIn').onclick = () => chart.zoom(0.5);
+    $('zoomOut').onclick = () => chart.zoom(2);
+    $('reset').onclick = () => chart.resetView();
+    $('clear').onclick = () => data.clear();
+    $('export').onclick = () => vscode.postMessage({ type: 'export', csv: data.toCSV() });
+    window.addEventListener('message', (e) => {
+      if (e.data.type === 'data') data.add(e.data.values, e.data.t);
+    });
+    chart.render();
+  </script>
+</body>
+</html>`;
+  }
+}
+
+module.exports = { PlotterPanel };
@@ -0,0 +1,339 @@
+/**
+ * シリアルプロッタ共通モジュール
+ * ブラウザ版・VSCode 拡張（media/ の Web 版と vscode2 のプロッタパネル）で共有する。
+ * ブラウザでは <script> で読み込むと window.Plotter に、Node.js では require() で公開される。
+ *
+ * ボードが出力する行のうち、数値だけの行（"1.5 2.0" / "1.5,2.0"）と
+ * key:value の行（"temp:23.5 hum:40" / "temp=23.5,hum=40"）を系列の値として扱う。
+ * 名前のない値は出てきた順に "1", "2", ... の系列になる。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Plotter = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+  /** 系列の色（足りなければ繰り返す） */
+  const SERIES_COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#17becf'];
+
+  /**
+   * 1 行をプロットする値に分解する
+   * 数値と key:value 以外の語を含む行（ログやプロトコルの応答）は null
+   * @param {string} line - 受信した行
+   * @returns {Object<string, number>|null} { 系列名: 値 }
+   */
+  const parsePlotLine = (line) => {
+    const text = line.trim().replace(/\s*[:=]\s*/g, ':');
+    if (!text) return null;
+    const values = {};
+    let index = 0;
+    for (const token of text.split(/[\s,;]+/)) {
+      if (!token) continue;
+      const sep = token.indexOf(':');
+      const name = sep > 0 ? token.slice(0, sep) : String(++index);
+      const value = sep > 0 ? token.slice(sep + 1) : token;
+      if (sep === 0 || !NUMBER_RE.test(value)) return null;
+      values[name] = Number(value);
+    }
+    return Object.keys(values).length > 0 ? values : null;
+  };
+
+  /** CSV のフィールドを必要ならクォートする */
+  const csvField = (text) => /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+  /**
+   * プロッタが受け取った値の記録
+   * 古いものから maxPoints を超えた分を捨てる
+   */
+  class PlotData {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxPoints=10000] - 残す行数
+     * @param {Function} [options.onChange] - 値が増えた・消えたときに呼ばれる
+     */
+    constructor({ maxPoints = 10000, onChange } = {}) {
+      this.maxPoints = maxPoints;
+      this.onChange = onChange || (() => {});
+      /** @type {string[]} 系列名（出てきた順） */
+      this.names = [];
+      /** @type {{t: number, values: Object<string, number>}[]} */
+      this.rows = [];
+    }
+
+    /**
+     * 行を解釈して値があれば追加する
+     * @param {string} line - 受信した行
+     * @param {number} [t] - 受信時刻（エポックミリ秒）
+     * @returns {boolean} 値として追加したか
+     */
+    addLine(line, t = Date.now()) {
+      const values = parsePlotLine(line);
+      if (!values) return false;
+      this.add(values, t);
+      return true;
+    }
+
+    /**
+     * 値を追加する
+     * @param {Object<string, number>} values - { 系列名: 値 }
+     * @param {number} [t] - 時刻（エポックミリ秒）
+     */
+    add(values, t = Date.now()) {
+      for (const name of Object.keys(values)) {
+        if (!this.names.includes(name)) this.names.push(name);
+      }
+      this.rows.push({ t, values });
+      if (this.rows.length > this.maxPoints) this.rows.splice(0, this.rows.length - this.maxPoints);
+      this.onChange();
+    }
+
+    clear() {
+      this.names = [];
+      this.rows = [];
+      this.onChange();
+    }
+
+    /**
+     * CSV にする（列は time（ISO 8601）、elapsed（先頭からの秒）、各系列。値のない欄は空）
+     * @returns {string}
+     */
+    toCSV() {
+      const lines = [['time', 'elapsed', ...this.names].map(csvField).join(',')];
+      const start = this.rows.length > 0 ? this.rows[0].t : 0;
+      for (const { t, values } of this.rows) {
+        const cells = this.names.map((name) => name in values ? String(values[name]) : '');
+        lines.push([new Date(t).toISOString(), ((t - start) / 1000).toFixed(3), ...cells].join(','));
+      }
+      return lines.join('\r\n') + '\r\n';
+    }
+  }
+
+  /**
+   * PlotData を canvas に折れ線で描く（ブラウザ・Webview 用）
+   * 通常は最新の値を追いかけて直近 span ミリ秒を表示する。
+   * ホイールで時間軸を拡大・縮小、ドラッグで前後に移動、ダブルクリックで最新表示に戻る。
+   * 文字と軸の色は canvas の CSS の color を使う。
+   * 値が増えたら update() を呼ぶ（PlotData の onChange から呼ぶとよい）。
+   */
+  class PlotChart {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {PlotData} data
+     * @param {Object} [options]
+     * @param {number} [options.span=30000] - 表示する時間幅（ミリ秒）
+     * @param {Function} [options.onViewChange] - 一時停止・表示範囲が変わったときに呼ばれる
+     */
+    constructor(canvas, data, { span = 30000, onViewChange } = {}) {
+      this.canvas = canvas;
+      this.data = data;
+      this.span = span;
+      this.onViewChange = onViewChange || (() => {});
+      /** 一時停止中か（記録は続けるが表示を止める） */
+      this.paused = false;
+      /** @type {number|null} 表示範囲の右端（null なら最新に追従） */
+      this.end = null;
+      this._frame = null;
+      this._drag = null;
+
+      canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        this.zoom(e.deltaY < 0 ? 0.8 : 1.25, this._timeAt(e.offsetX));
+      }, { passive: false });
+      canvas.addEventListener('pointerdown', (e) => {
+        this._drag = { x: e.clientX, end: this._viewEnd() };
+        canvas.setPointerCapture(e.pointerId);
+      });
+      canvas.addEventListener('pointermove', (e) => {
+        if (!this._drag) return;
+        const dx = e.clientX - this._drag.x;
+        if (dx === 0) return;
+        this.end = this._drag.end - dx * this.span / this._plotWidth();
+        this.render();
+        this.onViewChange();
+      });
+      canvas.addEventListener('pointerup', () => { this._drag = null; });
+      canvas.addEventListener('dblclick', () => this.resetView());
+      if (typeof ResizeObserver !== 'undefined') new ResizeObserver(() => this.render()).observe(canvas);
+    }
+
+    /**
+     * 一時停止・再開する（再開すると最新の表示に戻る）
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+      this.paused = paused;
+      if (paused) this.end = this._viewEnd();
+      else this.end = null;
+      this.render();
+      this.onViewChange();
+    }
+
+    /**
+     * 時間軸を拡大・縮小する
+     * @param {number} factor - 表示幅に掛ける倍率（1 未満で拡大）
+     * @param {number} [anchor] - 位置を保つ時刻（省略時は右端）
+     */
+    zoom(factor, anchor) {
+      const end = this._viewEnd();
+      const span = Math.min(Math.max(this.span * factor, 100), 24 * 60 * 60 * 1000);
+      if (anchor !== undefined && (this.end !== null || this.paused)) {
+        this.end = anchor + (end - anchor) * span / this.span;
+      }
+      this.span = span;
+      this.render();
+      this.onViewChange();
+    }
+
+    /** 最新の値を追いかける表示に戻す（一時停止も解除する） */
+    resetView() {
+      this.paused = false;
+      this.end = null;
+      this.render();
+      this.onViewChange();
+    }
+
+    /** 値が増えた・消えたときに呼ぶ（一時停止中は描き直さない） */
+    update() {
+      if (!this.paused) this.render();
+    }
+
+    /** 次のフレームで描き直す */
+    render() {
+      if (this._frame !== null) return;
+      this._frame = requestAnimationFrame(() => {
+        this._frame = null;
+        this._draw();
+      });
+    }
+
+    _viewEnd() {
+      if (this.end !== null) return this.end;
+      const rows = this.data.rows;
+      return rows.length > 0 ? rows[rows.length - 1].t : Date.now();
+    }
+
+    _plotWidth() {
+      return Math.max(this.canvas.clientWidth - 56, 1);
+    }
+
+    _timeAt(x) {
+      return this._viewEnd() - this.span + (x - 48) * this.span / this._plotWidth();
+    }
+
+    _draw() {
+      const canvas = this.canvas;
+      const dpr = (typeof devicePixelRatio !== 'undefined' && devicePixelRatio) || 1;
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+      }
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+
+      const color = getComputedStyle(canvas).color;
+      const left = 48, right = width - 8, top = 8, bottom = height - 20;
+      const end = this._viewEnd();
+      const start = end - this.span;
+      const x = (t) => left + (t - start) * (right - left) / this.span;
+
+      // 表示範囲の前後 1 点まで含めて線が端まで届くようにする
+      const rows = this.data.rows;
+      let from = 0, to = rows.length;
+      while (from < rows.length && rows[from].t < start) from++;
+      while (to > 0 && rows[to - 1].t > end) to--;
+      const visible = rows.slice(Math.max(from - 1, 0), Math.min(to + 1, rows.length));
+
+      let min = Infinity, max = -Infinity;
+      for (const { values } of visible) {
+        for (const name in values) {
+          min = Math.min(min, values[name]);
+          max = Math.max(max, values[name]);
+        }
+      }
+      if (min === Infinity) { min = 0; max = 1; }
+      if (min === max) { min -= 1; max += 1; }
+      const pad = (max - min) * 0.05;
+      min -= pad;
+      max += pad;
+      const y = (v) => bottom - (v - min) * (bottom - top) / (max - min);
+
+      // 軸と目盛り
+      ctx.font = '10px monospace';
+      ctx.fillStyle = color;
+      ctx.strokeStyle = color;
+      ctx.globalAlpha = 0.2;
+      ctx.strokeRect(left, top, right - left, bottom - top);
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      for (let i = 0; i <= 4; i++) {
+        const v = min + (max - min) * i / 4;
+        ctx.globalAlpha = 0.2;
+        ctx.beginPath();
+        ctx.moveTo(left, y(v));
+        ctx.lineTo(right, y(v));
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+        ctx.fillText(Number(v.toPrecision(4)).toString(), left - 4, y(v));
+      }
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      for (let i = 0; i <= 4; i++) {
+        const t = start + this.span * i / 4;
+        ctx.fillText(`${((t - end) / 1000).toFixed(this.span < 4000 ? 2 : 1)}s`, x(t), bottom + 4);
+      }
+
+      // 系列ごとの折れ線（値が途切れた行は飛ばしてつなぐ）
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(left, top, right - left, bottom - top);
+      ctx.clip();
+      ctx.lineWidth = 1.5;
+      this.data.names.forEach((name, i) => {
+        ctx.strokeStyle = SERIES_COLORS[i % SERIES_COLORS.length];
+        ctx.beginPath();
+        let first = true;
+        for (const { t, values } of visible) {
+          if (!(name in values)) continue;
+          if (first) ctx.moveTo(x(t), y(values[name]));
+          else ctx.lineTo(x(t), y(values[name]));
+          first = false;
+        }
+        ctx.stroke();
+      });
+      ctx.restore();
+
+      // 凡例（系列名と表示範囲の最後の値）
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      let lx = left + 6;
+      this.data.names.forEach((name, i) => {
+        let last = '';
+        for (let j = visible.length - 1; j >= 0; j--) {
+          if (name in visible[j].values && visible[j].t <= end) { last = visible[j].values[name]; break; }
+        }
+        const label = `${name}: ${last}`;
+        ctx.fillStyle = SERIES_COLORS[i % SERIES_COLORS.length];
+        ctx.fillRect(lx, top + 6, 8, 8);
+        ctx.fillStyle = color;
+        ctx.fillText(label, lx + 11, top + 5);
+        lx += ctx.measureText(label).width + 22;
+      });
+      if (this.paused || this.end !== null) {
+        ctx.textAlign = 'right';
+        ctx.fillText(this.paused ? 'paused' : 'scrolled', right - 4, top + 5);
+      }
+    }
+  }
+
+  return {
+    SERIES_COLORS,
+    parsePlotLine,
+    PlotData,
+    PlotChart
+  };
+});
@@ -0,0 +1,888 @@
+/**
+ * RITE バイトコード（.mrb）解析共通モジュール
+ * ブラウザ版・VSCode 拡張（media/ の Web 版と vscode2 のインスペクタ）で共有する。
+ * ブラウザでは <script> で読み込むと window.Rite に、Node.js では require() で公開される。
+ *
+ * mruby 3.x の RITE0300 形式を読み、命令列を逆アセンブルする:
+ *   ヘッダ（"RITE"、バージョン、サイズ、コンパイラ名）に続いて
+ *   IREP（命令列・例外ハンドラ・プール・シンボルの木）、LVAR（ローカル変数名）、DBG（行番号）、END の各セクション。
+ * 解析結果の各要素は offset / length（ファイル先頭からのバイト位置）を持ち、16 進表示と対応づけられる。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Rite = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const HEADER_SIZE = 20;
+  const SECTION_HEADER_SIZE = 8;
+  const CATCH_HANDLER_SIZE = 13;
+  const NULL_SYM = 0xffff;
+
+  /** プールの値の種類（mruby の IREP_TT_*） */
+  const POOL_TYPES = { 0: 'STR', 1: 'INT32', 2: 'SSTR', 3: 'INT64', 5: 'FLOAT', 7: 'BIGINT' };
+  const CATCH_TYPES = ['rescue', 'ensure'];
+  /** セクションの表示名 */
+  const SECTION_NAMES = { IREP: 'IREP', LVAR: 'Local variables', DBG: 'Debug info', END: 'End' };
+  const LINE_TYPES = ['ary', 'flat_map', 'packed_map'];
+
+  const decoder = new TextDecoder();
+  const hex = (n, width) => '0x' + n.toString(16).padStart(width, '0');
+  const formatPool = (p) => p.type === 'STR' || p.type === 'SSTR' ? JSON.stringify(p.value) : String(p.value);
+
+  /**
+   * 範囲外を読もうとしたら Error を投げるバイト列リーダー（ビッグエンディアン）
+   */
+  class Reader {
+    /** @param {Uint8Array} bytes */
+    constructor(bytes) {
+      this.bytes = bytes;
+      this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      this.pos = 0;
+    }
+
+    _take(n) {
+      if (this.pos + n > this.bytes.length) {
+        throw new Error('Unexpected end of data at ' + hex(this.pos, 4) + ' (need ' + n + ' bytes).');
+      }
+      const at = this.pos;
+      this.pos += n;
+      return at;
+    }
+
+    u8() { return this.view.getUint8(this._take(1)); }
+    u16() { return this.view.getUint16(this._take(2)); }
+    u32() { return this.view.getUint32(this._take(4)); }
+    i32() { return this.view.getInt32(this._take(4)); }
+    i64() { return this.view.getBigInt64(this._take(8)); }
+    f64le() { return this.view.getFloat64(this._take(8), true); }
+    bytesOf(n) { const at = this._take(n); return this.bytes.subarray(at, at + n); }
+    text(n) { return decoder.decode(this.bytesOf(n)); }
+    /** 符号なし LEB128（debug の packed_map） */
+    uleb() {
+      let value = 0, shift = 0, b;
+      do {
+        b = this.u8();
+        value += (b & 0x7f) * 2 ** shift;
+        shift += 7;
+      } while (b & 0x80);
+      return value;
+    }
+  }
+
+  /**
+   * ヘッダを読む
+   * @returns {Object} { offset, length, ident, majorVersion, minorVersion, version, size, compilerName, compilerVersion }
+   */
+  const readHeader = (r) => {
+    const header = { offset: 0, length: HEADER_SIZE };
+    header.ident = r.text(4);
+    if (header.ident !== 'RITE') throw new Error('Not a RITE binary (ident "' + header.ident + '").');
+    header.majorVersion = r.text(2);
+    header.minorVersion = r.text(2);
+    header.version = header.majorVersion + header.minorVersion;
+    header.size = r.u32();
+    header.compilerName = r.text(4);
+    header.compilerVersion = r.text(4);
+    return header;
+  };
+
+  /**
+   * プールの値を 1 つ読む
+   * @returns {Object} { offset, length, type, value }（value は表示用の文字列か数値）
+   */
+  const readPoolEntry = (r) => {
+    const offset = r.pos;
+    const tt = r.u8();
+    const type = POOL_TYPES[tt];
+    let value;
+    switch (type) {
+      case 'STR':
+      case 'SSTR': {
+        const len = r.u16();
+        value = r.text(len);
+        r.u8(); // 終端の NUL
+        break;
+      }
+      case 'INT32': value = r.i32(); break;
+      case 'INT64': value = r.i64().toString(); break;
+      case 'FLOAT': value = r.f64le(); break;
+      case 'BIGINT': {
+        // 長さ・基数・数字列（先頭に符号がつくことがある）
+        const len = r.u8();
+        const base = r.u8();
+        value = r.text(len) + ' (base ' + base + ')';
+        break;
+      }
+      default:
+        throw new Error('Unknown pool type ' + tt + ' at ' + hex(offset, 4) + '.');
+    }
+    return { offset, length: r.pos - offset, type, value };
+  };
+
+  /**
+   * IREP レコード 1 つと、その子を深さ優先で読む
+   * @param {Reader} r
+   * @param {Object[]} list - 読んだ IREP を出現順に積む（index はこの順番）
+   * @returns {Object} IREP
+   */
+  const readIrep = (r, list) => {
+    const irep = { index: list.length, offset: r.pos, fields: [] };
+    list.push(irep);
+    const field = (name, read) => {
+      const offset = r.pos;
+      const value = read();
+      irep.fields.push({ name, value, offset, length: r.pos - offset });
+      return value;
+    };
+    irep.recordSize = field('record size', () => r.u32());
+    irep.nlocals = field('nlocals', () => r.u16());
+    irep.nregs = field('nregs', () => r.u16());
+    irep.rlen = field('rlen', () => r.u16());
+    irep.clen = field('clen', () => r.u16());
+    irep.ilen = field('ilen', () => r.u32());
+
+    irep.iseq = { offset: r.pos, length: irep.ilen };
+    irep.code = r.bytesOf(irep.ilen);
+
+    irep.catchHandlers = [];
+    for (let i = 0; i < irep.clen; i++) {
+      const offset = r.pos;
+      const type = r.u8();
+      irep.catchHandlers.push({
+        offset, length: CATCH_HANDLER_SIZE,
+        type: CATCH_TYPES[type] || String(type), begin: r.u32(), end: r.u32(), target: r.u32()
+      });
+    }
+
+    const poolOffset = r.pos;
+    const plen = r.u16();
+    irep.pool = [];
+    for (let i = 0; i < plen; i++) irep.pool.push(readPoolEntry(r));
+    irep.poolBlock = { offset: poolOffset, length: r.pos - poolOffset };
+
+    const symsOffset = r.pos;
+    const slen = r.u16();
+    irep.syms = [];
+    for (let i = 0; i < slen; i++) {
+      const offset = r.pos;
+      const len = r.u16();
+      let name = null;
+      if (len !== NULL_SYM) {
+        name = r.text(len);
+        r.u8(); // 終端の NUL
+      }
+      irep.syms.push({ offset, length: r.pos - offset, name });
+    }
+    irep.symsBlock = { offset: symsOffset, length: r.pos - symsOffset };
+    irep.length = r.pos - irep.offset;
+
+    // LVAR・DBG セクションがあれば埋める
+    irep.locals = [];
+    irep.debug = null;
+
+    irep.children = [];
+    for (let i = 0; i < irep.rlen; i++) irep.children.push(readIrep(r, list));
+    return irep;
+  };
+
+  /**
+   * LVAR セクション: シンボル表と、IREP ごと（深さ優先）のローカル変数名（レジスタ 1 から nlocals - 1 まで）
+   */
+  const readLvarSection = (r, section, root) => {
+    const count = r.u32();
+    section.symbols = [];
+    for (let i = 0; i < count; i++) {
+      const offset = r.pos;
+      const name = r.text(r.u16());
+      section.symbols.push({ offset, length: r.pos - offset, name });
+    }
+    const walk = (irep) => {
+      for (let reg = 1; reg < irep.nlocals; reg++) {
+        const offset = r.pos;
+        const idx = r.u16();
+        const sym = idx === NULL_SYM ? null : section.symbols[idx];
+        irep.locals.push({ offset, length: 2, register: reg, name: sym ? sym.name : null });
+      }
+      irep.children.forEach(walk);
+    };
+    walk(root);
+  };
+
+  /**
+   * DBG セクション: ファイル名表と、IREP ごと（深さ優先）の命令位置と行番号の対応
+   */
+  const readDebugSection = (r, section, root) => {
+    const count = r.u16();
+    section.filenames = [];
+    for (let i = 0; i < count; i++) {
+      const offset = r.pos;
+      const name = r.text(r.u16());
+      section.filenames.push({ offset, length: r.pos - offset, name });
+    }
+    const walk = (irep) => {
+      const offset = r.pos;
+      const recordSize = r.u32();
+      const flen = r.u16();
+      const files = [];
+      for (let i = 0; i < flen; i++) {
+        const fileOffset = r.pos;
+        const startPos = r.u32();
+        const filename = section.filenames[r.u16()];
+        const entries = r.u32();
+        const lineType = r.u8();
+        const lines = [];
+        if (lineType === 0) {
+          // 命令ごとの行番号
+          for (let j = 0; j < entries; j++) lines.push({ pc: startPos + j, line: r.u16() });
+        } else if (lineType === 1) {
+          for (let j = 0; j < entries; j++) lines.push({ pc: r.u32(), line: r.u16() });
+        } else if (lineType === 2) {
+          // entries はバイト数。命令位置と行番号の増分が交互に並ぶ
+          const end = r.pos + entries;
+          let pc = 0, line = 0;
+          while (r.pos < end) {
+            pc += r.uleb();
+            line += r.uleb();
+            lines.push({ pc, line });
+          }
+        } else {
+          throw new Error('Unknown line type ' + lineType + ' at ' + hex(fileOffset, 4) + '.');
+        }
+        files.push({
+          offset: fileOffset, length: r.pos - fileOffset,
+          startPos, filename: filename ? filename.name : null, lineType: LINE_TYPES[lineType], lines
+        });
+      }
+      irep.debug = { offset, length: r.pos - offset, recordSize, files };
+      irep.children.forEach(walk);
+    };
+    walk(root);
+  };
+
+  /**
+   * 命令表（mruby 3.1 以降・mruby/c 3.x の RITE0300。並びがそのまま命令コード）
+   * 書式: オペランドの大きさ（B: 8bit、S: 16bit、W: 24bit、Z: なし）
+   * 種類: R レジスタ、S シンボル、L プール、I 子 IREP、i 整数、n 負の整数、J 飛び先、N 引数の数、x 16 進
+   */
+  const OPCODES = [
+    ['NOP', 'Z', ''], ['MOVE', 'BB', 'RR'], ['LOADL', 'BB', 'RL'], ['LOADI', 'BB', 'Ri'], ['LOADINEG', 'BB', 'Rn'],
+    ['LOADI__1', 'B', 'R'], ['LOADI_0', 'B', 'R'], ['LOADI_1', 'B', 'R'], ['LOADI_2', 'B', 'R'], ['LOADI_3', 'B', 'R'],
+    ['LOADI_4', 'B', 'R'], ['LOADI_5', 'B', 'R'], ['LOADI_6', 'B', 'R'], ['LOADI_7', 'B', 'R'],
+    ['LOADI16', 'BS', 'Ri'], ['LOADI32', 'BSS', 'Rii'], ['LOADSYM', 'BB', 'RS'],
+    ['LOADNIL', 'B', 'R'], ['LOADSELF', 'B', 'R'], ['LOADT', 'B', 'R'], ['LOADF', 'B', 'R'],
+    ['GETGV', 'BB', 'RS'], ['SETGV', 'BB', 'RS'], ['GETSV', 'BB', 'RS'], ['SETSV', 'BB', 'RS'],
+    ['GETIV', 'BB', 'RS'], ['SETIV', 'BB', 'RS'], ['GETCV', 'BB', 'RS'], ['SETCV', 'BB', 'RS'],
+    ['GETCONST', 'BB', 'RS'], ['SETCONST', 'BB', 'RS'], ['GETMCNST', 'BB', 'RS'], ['SETMCNST', 'BB', 'RS'],
+    ['GETUPVAR', 'BBB', 'Rii'], ['SETUPVAR', 'BBB', 'Rii'], ['GETIDX', 'B', 'R'], ['SETIDX', 'B', 'R'],
+    ['JMP', 'S', 'J'], ['JMPIF', 'BS', 'RJ'], ['JMPNOT', 'BS', 'RJ'], ['JMPNIL', 'BS', 'RJ'], ['JMPUW', 'S', 'J'],
+    ['EXCEPT', 'B', 'R'], ['RESCUE', 'BB', 'RR'], ['RAISEIF', 'B', 'R'],
+    ['SSEND', 'BBB', 'RSN'], ['SSENDB', 'BBB', 'RSN'], ['SEND', 'BBB', 'RSN'], ['SENDB', 'BBB', 'RSN'],
+    ['CALL', 'Z', ''], ['SUPER', 'BB', 'RN'], ['ARGARY', 'BS', 'Rx'], ['ENTER', 'W', 'x'],
+    ['KEY_P', 'BB', 'RS'], ['KEYEND', 'Z', ''], ['KARG', 'BB', 'RS'],
+    ['RETURN', 'B', 'R'], ['RETURN_BLK', 'B', 'R'], ['BREAK', 'B', 'R'], ['BLKPUSH', 'BS', 'Rx'],
+    ['ADD', 'B', 'R'], ['ADDI', 'BB', 'Ri'], ['SUB', 'B', 'R'], ['SUBI', 'BB', 'Ri'], ['MUL', 'B', 'R'], ['DIV', 'B', 'R'],
+    ['EQ', 'B', 'R'], ['LT', 'B', 'R'], ['LE', 'B', 'R'], ['GT', 'B', 'R'], ['GE', 'B', 'R'],
+    ['ARRAY', 'BB', 'Ri'], ['ARRAY2', 'BBB', 'RRi'], ['ARYCAT', 'B', 'R'], ['ARYPUSH', 'BB', 'Ri'], ['ARYDUP', 'B', 'R'],
+    ['AREF', 'BBB', 'RRi'], ['ASET', 'BBB', 'RRi'], ['APOST', 'BBB', 'Rii'],
+    ['INTERN', 'B', 'R'], ['SYMBOL', 'BB', 'RL'], ['STRING', 'BB', 'RL'], ['STRCAT', 'B', 'R'],
+    ['HASH', 'BB', 'Ri'], ['HASHADD', 'BB', 'Ri'], ['HASHCAT', 'B', 'R'],
+    ['LAMBDA', 'BB', 'RI'], ['BLOCK', 'BB', 'RI'], ['METHOD', 'BB', 'RI'],
+    ['RANGE_INC', 'B', 'R'], ['RANGE_EXC', 'B', 'R'], ['OCLASS', 'B', 'R'],
+    ['CLASS', 'BB', 'RS'], ['MODULE', 'BB', 'RS'], ['EXEC', 'BB', 'RI'], ['DEF', 'BB', 'RS'],
+    ['ALIAS', 'BB', 'SS'], ['UNDEF', 'B', 'S'], ['SCLASS', 'B', 'R'], ['TCLASS', 'B', 'R'],
+    ['DEBUG', 'BBB', 'iii'], ['ERR', 'B', 'L'], ['EXT1', 'Z', ''], ['EXT2', 'Z', ''], ['EXT3', 'Z', ''], ['STOP', 'Z', '']
+  ];
+  const OP_EXT1 = OPCODES.findIndex((o) => o[0] === 'EXT1');
+
+  /**
+   * IREP の命令列を命令に分ける
+   * EXT1 / EXT2 / EXT3 の前置はその次の命令に含め、1 つ目・2 つ目のオペランドを 16bit で読む。
+   * 知らない命令コードがあればそこで止める（オペランドの長さがわからないため）。
+   * @param {Object} irep
+   * @returns {{pc: number, offset: number, length: number, name: string, kinds: string, operands: number[]}[]}
+   *   pc は命令列の先頭から、offset はファイル先頭からのバイト位置
+   */
+  const decodeIseq = (irep) => {
+    const code = irep.code;
+    const list = [];
+    let pc = 0;
+    while (pc < code.length) {
+      const start = pc;
+      let ext = 0;
+      let op = code[pc++];
+      while (op >= OP_EXT1 && op < OP_EXT1 + 3 && pc < code.length) {
+        ext = op - OP_EXT1 + 1;
+        op = code[pc++];
+      }
+      const def = OPCODES[op];
+      const ins = { pc: start, offset: irep.iseq.offset + start, length: 0, name: def ? def[0] : hex(op, 2), kinds: '', operands: [] };
+      list.push(ins);
+      if (!def) {
+        ins.length = code.length - start;
+        ins.unknown = true;
+        break;
+      }
+      ins.kinds = def[2];
+      if (def[1] !== 'Z') {
+        for (let i = 0; i < def[1].length; i++) {
+          let size = { B: 1, S: 2, W: 3 }[def[1][i]];
+          if (def[1][i] === 'B' && ((i === 0 && ext & 1) || (i === 1 && ext & 2))) size = 2;
+          if (pc + size > code.length) {
+            ins.truncated = true;
+            break;
+          }
+          let v = 0;
+          for (let j = 0; j < size; j++) v = v * 256 + code[pc++];
+          ins.operands.push(v);
+        }
+      }
+      ins.length = pc - start;
+    }
+    return list;
+  };
+
+  const int16 = (v) => v >= 0x8000 ? v - 0x10000 : v;
+  const pc3 = (pc) => String(pc).padStart(3, '0');
+
+  /**
+   * 命令のオペランドを mruby の codedump に近い形の文字列にする
+   * @returns {{operands: string, comment: string}}
+   */
+  const formatOperands = (irep, ins) => {
+    const out = [];
+    const comments = [];
+    const next = ins.pc + ins.length;
+    ins.operands.forEach((v, i) => {
+      switch (ins.kinds[i]) {
+        case 'R': {
+          const local = irep.locals.find((l) => l.register === v);
+          out.push('R' + v + (local && local.name ? ':' + local.name : ''));
+          break;
+        }
+        case 'S': {
+          const sym = irep.syms[v];
+          out.push(sym && sym.name !== null ? ':' + sym.name : 'S[' + v + ']');
+          break;
+        }
+        case 'L': {
+          out.push('L[' + v + ']');
+          if (irep.pool[v]) comments.push(formatPool(irep.pool[v]));
+          break;
+        }
+        case 'I': {
+          out.push('I[' + v + ']');
+          if (irep.children[v]) comments.push('#' + irep.children[v].index + (irep.children[v].name ? ' ' + irep.children[v].name : ''));
+          break;
+        }
+        case 'J': out.push(pc3(next + int16(v))); break;
+        case 'n': out.push(String(-v)); break;
+        case 'N': {
+          const n = v & 15, k = v >> 4;
+          out.push('n=' + (n === 15 ? '*' : n) + (k ? ' k=' + (k === 15 ? '*' : k) : ''));
+          break;
+        }
+        case 'x': out.push(hex(v, 4)); break;
+        default: out.push(String(ins.name === 'LOADI16' ? int16(v) : v));
+      }
+    });
+    if (ins.name === 'LOADI32' && ins.operands.length === 3) {
+      out.splice(1, 2, String((ins.operands[1] << 16) | ins.operands[2]));
+    }
+    if (ins.unknown) comments.push('unknown opcode; rest of iseq not decoded');
+    if (ins.truncated) comments.push('truncated');
+    return { operands: out.join(', '), comment: comments.join(', ') };
+  };
+
+  /**
+   * 子 IREP に名前をつける（METHOD + DEF ならメソッド名、BLOCK / LAMBDA はブロック、CLASS / MODULE + EXEC はクラス本体）
+   */
+  const nameIreps = (root) => {
+    root.name = 'top level';
+    const walk = (irep) => {
+      const loaded = new Map();
+      let owner = null;
+      const prefix = irep.className ? irep.className + '#' : '';
+      for (const ins of irep.instructions) {
+        const [a, b] = ins.operands;
+        const child = irep.children[b];
+        const sym = irep.syms[b] && irep.syms[b].name;
+        if (ins.name === 'METHOD') loaded.set(a, child);
+        else if ((ins.name === 'BLOCK' || ins.name === 'LAMBDA') && child) {
+          child.name = (ins.name === 'BLOCK' ? 'block in ' : 'lambda in ') + irep.name;
+          child.className = irep.className;
+        } else if (ins.name === 'DEF' && loaded.get(a + 1)) {
+          loaded.get(a + 1).name = 'def ' + prefix + sym;
+          loaded.get(a + 1).className = irep.className;
+        } else if (ins.name === 'CLASS' || ins.name === 'MODULE') {
+          owner = { keyword: ins.name.toLowerCase(), name: sym };
+        } else if (ins.name === 'SCLASS') {
+          owner = { keyword: 'class', name: '<< self' };
+        } else if (ins.name === 'EXEC' && child) {
+          child.name = owner ? owner.keyword + ' ' + owner.name : 'class body';
+          child.className = owner ? owner.name : irep.className;
+          owner = null;
+        }
+      }
+      irep.children.forEach((c) => {
+        if (!c.name) c.name = 'irep #' + c.index;
+        walk(c);
+      });
+    };
+    walk(root);
+  };
+
+  /**
+   * 命令位置の行番号（DBG セクションがなければ null）
+   */
+  const lineAt = (irep, pc) => {
+    if (!irep.debug) return null;
+    let line = null;
+    for (const file of irep.debug.files) {
+      for (const entry of file.lines) {
+        if (entry.pc > pc) break;
+        line = entry.line;
+      }
+    }
+    return line;
+  };
+
+  /**
+   * 逆アセンブル結果を IREP ごとのテキストにする
+   * 行番号が変わるところにはソースのその行を出す（debug 情報つきでコンパイルしたときだけ）。
+   * @param {Object} rite - parseRite の結果
+   * @param {string[]} [sourceLines] - コンパイルしたソース（行ごと）
+   * @returns {string}
+   */
+  const formatDisassembly = (rite, sourceLines) => {
+    const out = [];
+    if (rite.header) out.push('; RITE' + rite.header.version + ' ' + rite.header.compilerName + rite.header.compilerVersion + ', ' + rite.size + ' bytes');
+    for (const msg of rite.errors) out.push('; error: ' + msg);
+    for (const irep of rite.ireps) {
+      out.push('');
+      out.push('irep #' + irep.index + ' ' + irep.name + ' (nregs=' + irep.nregs + ' nlocals=' + irep.nlocals + ' pools=' + irep.pool.length
+        + ' syms=' + irep.syms.length + ' reps=' + irep.children.length + ' ilen=' + irep.ilen + ')');
+      const locals = irep.locals.filter((l) => l.name !== null);
+      if (locals.length > 0) out.push('  local variables: ' + locals.map((l) => 'R' + l.register + ':' + l.name).join(' '));
+      for (const c of irep.catchHandlers) {
+        out.push('  catch ' + c.type + ' ' + pc3(c.begin) + '-' + pc3(c.end) + ' => ' + pc3(c.target));
+      }
+      let lastLine = null;
+      for (const ins of irep.instructions) {
+        const line = lineAt(irep, ins.pc);
+        if (line !== null && line !== lastLine) {
+          const text = sourceLines && sourceLines[line - 1] !== undefined ? ': ' + sourceLines[line - 1].trim() : '';
+          out.push('  ; line ' + line + text);
+          lastLine = line;
+        }
+        const { operands, comment } = formatOperands(irep, ins);
+        let text = '  ' + pc3(ins.pc) + ' ' + ins.name.padEnd(10) + ' ' + operands;
+        if (comment) text = text.padEnd(40) + ' ; ' + comment;
+        out.push(text.trimEnd());
+      }
+    }
+    return out.join('\n') + '\n';
+  };
+
+  /**
+   * ファイル名から C の配列名を作る（"led-task.rb" → "led_task_mrb"）
+   * @param {string} fileName - ソースか .mrb のファイル名（パスでもよい）
+   * @returns {string}
+   */
+  const cSymbolFor = (fileName) => {
+    const base = fileName.replace(/^.*[\\/]/, '').replace(/\.(rb|mrb)$/, '');
+    const symbol = base.replace(/[^A-Za-z0-9_]/g, '_') + '_mrb';
+    return /^[0-9]/.test(symbol) ? '_' + symbol : symbol;
+  };
+
+  /**
+   * バイトコードを C の配列定義にする（mrbc -B と同じ形。ファームウェアに組み込む用）
+   * @param {Uint8Array} bytes - .mrb の中身
+   * @param {string} symbol - 配列名
+   * @param {Object} [options]
+   * @param {boolean} [options.isStatic=false] - static にする（mrbc -s）
+   * @returns {string} C ソース
+   */
+  const toCSource = (bytes, symbol, { isStatic = false } = {}) => {
+    const lines = [];
+    for (let i = 0; i < bytes.length; i += 16) {
+      lines.push(Array.from(bytes.subarray(i, i + 16), (b) => hex(b, 2)).join(',') + ',');
+    }
+    return '#include <stdint.h>\n'
+      + '#ifdef __cplusplus\n'
+      + 'extern const uint8_t ' + symbol + '[];\n'
+      + '#endif\n'
+      + (isStatic ? 'static\nconst uint8_t\n' : 'const uint8_t\n')
+      + symbol + '[] = {\n'
+      + lines.join('\n') + '\n'
+      + '};\n';
+  };
+
+  /**
+   * .mrb ファイルとして書き込めるかをヘッダとセクションの並びで確かめる（中身の命令までは読まない）。
+   * "RITE" と 4 桁のバージョン、ヘッダのサイズとファイルの大きさの一致、IREP で始まり END で終わるセクションを見る
+   * @param {Uint8Array} bytes - .mrb の中身
+   * @returns {?string} 問題があればその説明、なければ null
+   */
+  const checkRite = (bytes) => {
+    if (bytes.length < HEADER_SIZE + SECTION_HEADER_SIZE) return 'Too short for a RITE binary (' + bytes.length + ' bytes).';
+    const r = new Reader(bytes);
+    let header;
+    try {
+      header = readHeader(r);
+    } catch (e) {
+      return e.message;
+    }
+    if (!/^\d{4}$/.test(header.version)) return 'Broken RITE version "' + header.version + '".';
+    if (header.size !== bytes.length) {
+      return 'Header says ' + header.size + ' bytes, but the file has ' + bytes.length + ' (truncated or padded).';
+    }
+    const idents = [];
+    while (r.pos + SECTION_HEADER_SIZE <= bytes.length) {
+      const offset = r.pos;
+      const ident = r.text(4).replace(/\0/g, '');
+      const length = r.u32();
+      if (length < SECTION_HEADER_SIZE || offset + length > bytes.length) {
+        return 'Section ' + ident + ' at ' + hex(offset, 4) + ' has a broken size (' + length + ').';
+      }
+      idents.push(ident);
+      r.pos = offset + length;
+      if (ident === 'END') break;
+    }
+    if (idents[0] !== 'IREP') return 'No IREP section.';
+    if (idents[idents.length - 1] !== 'END' || r.pos !== bytes.length) return 'No END section at the end of the file.';
+    return null;
+  };
+
+  /**
+   * parseRite が命令・セクションまで読める RITE バージョンか（mruby 3.x の RITE03xx だけ）
+   * @param {string} version - "0300" など
+   * @returns {boolean}
+   */
+  const isRiteSupported = (version) => version.slice(0, 2) === '03';
+
+  /**
+   * RITE バイナリを解析する
+   * 壊れた部分はそこで読むのをやめ、errors に残して読めたところまでを返す。
+   * RITE03xx（mruby 3.x）以外はヘッダだけを読み、対応していないことを errors に残す。
+   * @param {Uint8Array} bytes - .mrb の中身
+   * @returns {{header: ?Object, sections: Object[], irep: ?Object, ireps: Object[], errors: string[], size: number}}
+   *   irep は最上位の IREP、ireps は全 IREP（深さ優先の順）
+   */
+  const parseRite = (bytes) => {
+    const r = new Reader(bytes);
+    const result = { header: null, sections: [], irep: null, ireps: [], errors: [], size: bytes.length };
+    try {
+      result.header = readHeader(r);
+    } catch (e) {
+      result.errors.push(e.message);
+      return result;
+    }
+    if (result.header.size !== bytes.length) {
+      result.errors.push('Header says ' + result.header.size + ' bytes, but the binary has ' + bytes.length + '.');
+    }
+    // セクションと命令の形式はバージョンで変わるので、RITE03xx 以外はヘッダだけにする
+    if (!isRiteSupported(result.header.version)) {
+      result.errors.push('RITE version ' + result.header.version + ' is not supported (only RITE03xx from mruby 3.x); showing the header only.');
+      return result;
+    }
+
+    while (r.pos + SECTION_HEADER_SIZE <= bytes.length) {
+      const offset = r.pos;
+      const section = { offset, ident: r.text(4).replace(/\0/g, ''), length: r.u32() };
+      result.sections.push(section);
+      if (section.length < SECTION_HEADER_SIZE || offset + section.length > bytes.length) {
+        result.errors.push('Section ' + section.ident + ' at ' + hex(offset, 4) + ' has a broken size (' + section.length + ').');
+        break;
+      }
+      try {
+        if (section.ident === 'IREP') {
+          section.version = r.text(4);
+          result.irep = readIrep(r, result.ireps);
+        } else if (section.ident === 'LVAR' && result.irep) {
+          readLvarSection(r, section, result.irep);
+        } else if (section.ident === 'DBG' && result.irep) {
+          readDebugSection(r, section, result.irep);
+        }
+        if (r.pos !== offset + SECTION_HEADER_SIZE && r.pos !== offset + section.length) {
+          result.errors.push('Section ' + section.ident + ' was ' + (r.pos - offset) + ' bytes, expected ' + section.length + '.');
+        }
+      } catch (e) {
+        result.errors.push('Section ' + section.ident + ': ' + e.message);
+      }
+      r.pos = offset + section.length;
+      if (section.ident === 'END') break;
+    }
+    if (!result.irep) {
+      result.errors.push('No IREP section.');
+      return result;
+    }
+    for (const irep of result.ireps) irep.instructions = decodeIseq(irep);
+    nameIreps(result.irep);
+    return result;
+  };
+
+  /**
+   * 表示用の木の節
+   * @typedef {Object} RiteNode
+   * @property {string} label
+   * @property {string} [value]
+   * @property {number} offset
+   * @property {number} length
+   * @property {RiteNode[]} [children]
+   */
+
+  const node = (label, value, range, children) =>
+    Object.assign({ label, value: value === undefined ? '' : String(value), offset: range.offset, length: range.length },
+      children ? { children } : {});
+
+  /** 範囲を持たない節を、子の範囲をまとめた範囲にする */
+  const span = (children) => {
+    if (children.length === 0) return { offset: 0, length: 0 };
+    const start = Math.min(...children.map((c) => c.offset));
+    const end = Math.max(...children.map((c) => c.offset + c.length));
+    return { offset: start, length: end - start };
+  };
+
+  const irepNode = (irep) => {
+    const children = irep.fields.map((f) => node(f.name, f.value, f));
+    children.push(node('iseq', irep.ilen + ' bytes', irep.iseq, irep.instructions.map((ins) => {
+      const { operands, comment } = formatOperands(irep, ins);
+      return node(pc3(ins.pc) + ' ' + ins.name, operands + (comment ? ' ; ' + comment : ''), ins);
+    })));
+    if (irep.catchHandlers.length > 0) {
+      children.push(node('catch handlers', irep.catchHandlers.length, span(irep.catchHandlers),
+        irep.catchHandlers.map((c, i) =>
+          node('[' + i + '] ' + c.type, 'begin ' + c.begin + ', end ' + c.end + ', target ' + c.target, c))));
+    }
+    children.push(node('pool', irep.pool.length, irep.poolBlock,
+      irep.pool.map((p, i) => node('[' + i + '] ' + p.type, formatPool(p), p))));
+    children.push(node('syms', irep.syms.length, irep.symsBlock,
+      irep.syms.map((s, i) => node('[' + i + ']', s.name === null ? '(null)' : ':' + s.name, s))));
+    if (irep.locals.length > 0) {
+      children.push(node('locals', irep.locals.length, span(irep.locals),
+        irep.locals.map((l) => node('r' + l.register, l.name === null ? '(unnamed)' : l.name, l))));
+    }
+    if (irep.debug) {
+      children.push(node('debug', irep.debug.files.map((f) => f.filename).join(', '), irep.debug,
+        irep.debug.files.map((f) => node(f.filename || '(unknown)', f.lineType + ', ' + f.lines.length + ' entries', f,
+          f.lines.map((l) => node('pc ' + l.pc, 'line ' + l.line, f))))));
+    }
+    if (irep.children.length > 0) {
+      children.push(node('children', irep.children.length, span(irep.children), irep.children.map(irepNode)));
+    }
+    return node('IREP #' + irep.index + ' ' + irep.name,
+      'nlocals ' + irep.nlocals + ', nregs ' + irep.nregs + ', ' + irep.ilen + ' bytes code', irep, children);
+  };
+
+  /**
+   * 解析結果を表示用の木にする
+   * @param {Object} rite - parseRite の結果
+   * @returns {RiteNode[]}
+   */
+  const riteTree = (rite) => {
+    const nodes = [];
+    const h = rite.header;
+    if (h) {
+      nodes.push(node('Header', 'RITE' + h.version + ', ' + h.size + ' bytes', h, [
+        node('ident', h.ident, { offset: 0, length: 4 }),
+        node('version', h.majorVersion + '.' + h.minorVersion, { offset: 4, length: 4 }),
+        node('size', h.size + ' bytes', { offset: 8, length: 4 }),
+        node('compiler', h.compilerName + ' ' + h.compilerVersion, { offset: 12, length: 8 })
+      ]));
+    }
+    for (const s of rite.sections) {
+      const label = (SECTION_NAMES[s.ident] || s.ident) + ' section';
+      const header = node('section header', s.ident + ', ' + s.length + ' bytes', { offset: s.offset, length: SECTION_HEADER_SIZE });
+      if (s.ident === 'IREP') {
+        const children = [header, node('rite version', s.version, { offset: s.offset + SECTION_HEADER_SIZE, length: 4 })];
+        if (rite.irep) children.push(irepNode(rite.irep));
+        nodes.push(node(label, rite.ireps.length + ' ireps', s, children));
+      } else if (s.ident === 'LVAR' && s.symbols) {
+        nodes.push(node(label, s.symbols.length + ' names', s, [header,
+          node('symbols', s.symbols.length, span(s.symbols), s.symbols.map((sym, i) => node('[' + i + ']', sym.name, sym)))]));
+      } else if (s.ident === 'DBG' && s.filenames) {
+        nodes.push(node(label, s.filenames.map((f) => f.name).join(', '), s, [header,
+          node('filenames', s.filenames.length, span(s.filenames), s.filenames.map((f, i) => node('[' + i + ']', f.name, f)))]));
+      } else {
+        nodes.push(node(label, s.length + ' bytes', s, [header]));
+      }
+    }
+    return nodes;
+  };
+
+  /**
+   * 解析結果の木と 16 進表示を並べて表示する（ブラウザ・Webview 用）
+   * 木の節を選ぶと対応するバイトが強調され、16 進表示のバイトを選ぶとそこを含む一番深い節が選ばれる。
+   * 見た目は .rite-* のクラスで CSS から変える。
+   */
+  class RiteInspector {
+    /**
+     * @param {HTMLElement} container - 中身はこのクラスが作り直す
+     */
+    constructor(container) {
+      this.container = container;
+      this.bytes = null;
+      this.rite = null;
+      /** @type {RiteNode[]} */
+      this.tree = [];
+      this._byteEls = [];
+      this._rows = [];
+      this._selected = null;
+    }
+
+    /**
+     * バイナリを解析して表示する
+     * @param {Uint8Array} bytes
+     * @returns {Object} parseRite の結果
+     */
+    show(bytes) {
+      this.bytes = bytes;
+      this.rite = parseRite(bytes);
+      this._selected = null;
+      this._rows = [];
+      const doc = this.container.ownerDocument;
+      this.container.textContent = '';
+
+      for (const msg of this.rite.errors) {
+        const div = doc.createElement('div');
+        div.className = 'rite-error';
+        div.textContent = msg;
+        this.container.appendChild(div);
+      }
+      const panes = doc.createElement('div');
+      panes.className = 'rite-panes';
+      const tree = doc.createElement('div');
+      tree.className = 'rite-tree';
+      this.tree = riteTree(this.rite);
+      this.tree.forEach((n, i) => tree.appendChild(this._renderNode(n, i === 0 || n.label === 'IREP section')));
+      const hexPane = doc.createElement('div');
+      hexPane.className = 'rite-hex';
+      this._renderHex(hexPane);
+      panes.appendChild(tree);
+      panes.appendChild(hexPane);
+      this.container.appendChild(panes);
+      return this.rite;
+    }
+
+    _renderNode(n, open) {
+      const doc = this.container.ownerDocument;
+      const row = doc.createElement(n.children ? 'summary' : 'div');
+      row.className = 'rite-node';
+      const label = doc.createElement('span');
+      label.className = 'rite-label';
+      label.textContent = n.label;
+      const value = doc.createElement('span');
+      value.className = 'rite-value';
+      value.textContent = n.value;
+      row.appendChild(label);
+      row.appendChild(value);
+      row.addEventListener('click', () => this._select(n, row));
+      this._rows.push({ node: n, row });
+      if (!n.children) return row;
+
+      const details = doc.createElement('details');
+      details.open = !!open;
+      details.appendChild(row);
+      // 子は開いたときに作る（pc と行番号の対応などで数が多くなる）
+      let built = false;
+      const build = () => {
+        if (built) return;
+        built = true;
+        n.children.forEach((c) => details.appendChild(this._renderNode(c, false)));
+      };
+      if (details.open) build();
+      details.addEventListener('toggle', build);
+      n._details = details;
+      n._build = build;
+      return details;
+    }
+
+    _renderHex(pane) {
+      const doc = this.container.ownerDocument;
+      this._byteEls = [];
+      for (let base = 0; base < this.bytes.length; base += 16) {
+        const line = doc.createElement('div');
+        line.className = 'rite-hex-row';
+        const offset = doc.createElement('span');
+        offset.className = 'rite-hex-offset';
+        offset.textContent = base.toString(16).padStart(6, '0');
+        line.appendChild(offset);
+        let ascii = '';
+        for (let i = base; i < Math.min(base + 16, this.bytes.length); i++) {
+          const b = doc.createElement('span');
+          b.className = 'rite-byte';
+          b.textContent = this.bytes[i].toString(16).padStart(2, '0');
+          b.addEventListener('click', () => this.selectOffset(i));
+          this._byteEls.push(b);
+          line.appendChild(b);
+          ascii += this.bytes[i] >= 0x20 && this.bytes[i] < 0x7f ? String.fromCharCode(this.bytes[i]) : '.';
+        }
+        const text = doc.createElement('span');
+        text.className = 'rite-hex-ascii';
+        text.textContent = ascii;
+        line.appendChild(text);
+        pane.appendChild(line);
+      }
+    }
+
+    /**
+     * 指定したバイトを含む一番深い節を開いて選ぶ
+     * @param {number} offset
+     */
+    selectOffset(offset) {
+      // 子 IREP や LVAR・DBG の値は親の範囲の外にあるので、木全体から一番短い範囲を探す
+      let best = null;
+      const walk = (nodes, path) => {
+        for (const n of nodes) {
+          const p = path.concat(n);
+          if (n.length > 0 && offset >= n.offset && offset < n.offset + n.length
+              && (!best || n.length < best[best.length - 1].length)) best = p;
+          if (n.children) walk(n.children, p);
+        }
+      };
+      walk(this.tree, []);
+      if (!best) return;
+      const found = best.pop();
+      for (const n of best) {
+        n._build();
+        n._details.open = true;
+      }
+      const entry = this._rows.find((e) => e.node === found);
+      if (entry) {
+        this._select(found, entry.row);
+        entry.row.scrollIntoView({ block: 'nearest' });
+      }
+    }
+
+    _select(n, row) {
+      if (this._selected) {
+        this._selected.row.classList.remove('selected');
+        this._mark(this._selected.node, false);
+      }
+      this._selected = { node: n, row };
+      row.classList.add('selected');
+      this._mark(n, true);
+      const first = this._byteEls[n.offset];
+      if (first && n.length > 0) first.scrollIntoView({ block: 'nearest' });
+    }
+
+    _mark(n, on) {
+      const end = Math.min(n.offset + n.length, this._byteEls.length);
+      for (let i = n.offset; i < end; i++) this._byteEls[i].classList.toggle('selected', on);
+    }
+  }
+
+  return {
+    POOL_TYPES,
+    OPCODES,
+    checkRite,
+    isRiteSupported,
+    parseRite,
+    riteTree,
+    formatDisassembly,
+    cSymbolFor,
+    toCSource,
+    RiteInspector
+  };
+});
@@ -0,0 +1,113 @@
+const vscode = require('vscode');
+const crypto = require('node:crypto');
+
+// ローカルの mruby で実行したプログラムの周辺機器 (LED・PWM・入力ピン・ADC・I2C) を表示する Webview パネル．
+// 状態と表示は Webview 側の SimState / SimPanel．シムが書いた行は少しためてから送り，入力が変わるとその全文が onInput に届く．
+class SimulatorPanel {
+  constructor(extensionUri, { onInput, onClose } = {}) {
+    this.onInput = onInput || (() => {});
+    this.onClose = onClose || (() => {});
+    this.panel = vscode.window.createWebviewPanel('kaniburner.simulator', 'Kaniburner Board Simulator', vscode.ViewColumn.Beside, {
+      enableScripts: true,
+      retainContextWhenHidden: true,
+      localResourceRoots: [vscode.Uri.joinPath(extensionUri, 'src')]
+    });
+    const script = this.panel.webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'src', 'sim.js'));
+    this.panel.webview.html = this._html(script);
+    this._ready = false;
+    this._queue = [];
+    this._lines = [];
+    this._flushTimer = null;
+    this.panel.webview.onDidReceiveMessage((msg) => {
+      if (msg.type === 'ready') {
+        this._ready = true;
+        this._queue.forEach((m) => this.panel.webview.postMessage(m));
+        this._queue = [];
+      }
+      if (msg.type === 'ready' || msg.type === 'inputs') this.onInput(msg.inputs);
+    });
+    this.panel.onDidDispose(() => {
+      clearTimeout(this._flushTimer);
+      this.onClose();
+    });
+  }
+
+  reveal() {
+    this.panel.reveal(vscode.ViewColumn.Beside, true);
+  }
+
+  // 実行の始めにボード (SIM_BOARDS の値) を表示し直す
+  start(board) {
+    this._flush();
+    this._post({ type: 'start', board });
+  }
+
+  // シムが書いた 1 行
+  addLine(line) {
+    this._lines.push(line);
+    if (!this._flushTimer) this._flushTimer = setTimeout(() => this._flush(), 50);
+  }
+
+  dispose() {
+    this.panel.dispose();
+  }
+
+  _flush() {
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+    if (this._lines.length === 0) return;
+    this._post({ type: 'lines', lines: this._lines });
+    this._lines = [];
+  }
+
+  _post(msg) {
+    if (this._ready) this.panel.webview.postMessage(msg);
+    else this._queue.push(msg);
+  }
+
+  _html(script) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const csp = `default-src 'none'; style-src 'unsafe-inline'; script-src ${this.panel.webview.cspSource} 'nonce-${nonce}';`;
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="${csp}">
+  <style>
+    body { font-family: var(--vscode-font-family); font-size: var(--vscode-font-size); padding: 8px; }
+    .sim-title { font-weight: bold; margin-bottom: 8px; }
+    .sim-section { margin-bottom: 12px; }
+    .sim-heading { opacity: 0.7; margin-bottom: 4px; }
+    .sim-row { display: flex; gap: 8px; align-items: center; min-height: 24px; }
+    .sim-name { min-width: 96px; }
+    .sim-value { opacity: 0.8; font-family: var(--vscode-editor-font-family); }
+    .sim-led { width: 14px; height: 14px; border-radius: 50%; border: 1px solid var(--vscode-panel-border); background: var(--vscode-input-background); }
+    .sim-led.on { background: #f14c4c; box-shadow: 0 0 6px #f14c4c; }
+    .sim-bar { width: 160px; height: 10px; border: 1px solid var(--vscode-panel-border); }
+    .sim-bar-fill { display: block; height: 100%; background: var(--vscode-progressBar-background); }
+    input { color: var(--vscode-input-foreground); background: var(--vscode-input-background); border: 1px solid var(--vscode-input-border, transparent); }
+  </style>
+</head>
+<body>
+  <div id="sim"></div>
+  <script nonce="${nonce}" src="${script}"></script>
+  <script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    let panel = null;
+    const state = new Sim.SimState(Sim.SIM_BOARDS.generic, {
+      onChange: () => { if (panel) panel.update(); },
+      onInput: (inputs) => vscode.postMessage({ type: 'inputs', inputs })
+    });
+    panel = new Sim.SimPanel(document.getElementById('sim'), state);
+    window.addEventListener('message', (e) => {
+      if (e.data.type === 'start') state.setBoard(e.data.board);
+      else if (e.data.type === 'lines') e.data.lines.forEach((line) => state.apply(line));
+    });
+    vscode.postMessage({ type: 'ready', inputs: state.inputsText() });
+  </script>
+</body>
+</html>`;
+  }
+}
+
+module.exports = { SimulatorPanel };
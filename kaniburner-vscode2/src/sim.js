@@ -0,0 +1,589 @@
+/**
+ * ボード周辺機器シミュレーション共通モジュール
+ * ブラウザ版・VSCode 拡張（media/ の Web 版と vscode2 のシミュレータパネル）と mruby ワーカーで共有する。
+ * ブラウザでは <script>（ワーカーでは importScripts）で読み込むと self.Sim に、Node.js では require() で公開される。
+ *
+ * ローカルの mruby で実行するとき、ボードプロファイルの sim に対応するシム（GPIO / PWM / ADC / I2C / sleep_ms を
+ * 定義する Ruby）をコンパイルして mruby -r でユーザーのプログラムより先に読み込む。
+ * シムとホストはワーカーの仮想ファイル /dev/kaniburner でやりとりする:
+ *   シムが書く行（出力）: mode <pin> in|in_pullup|out、gpio <pin> <0|1>、pwm <pin> <Hz> <duty %>、
+ *                         adc <pin>（ADC を作った）、i2c <addr> w <16 進バイト...>、i2c <addr> r <バイト数>
+ *   シムが読む行（入力）: gpio <pin> <0|1>、adc <pin> <電圧>、i2c <addr> <16 進バイト...>
+ * 入力は SharedText（SharedArrayBuffer）で共有し、実行中に変えた値もすぐプログラムから読める。
+ * SharedArrayBuffer が使えない（ページがクロスオリジン分離されていない）ときは実行開始時の値を渡す。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Sim = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /** シムとホストがやりとりするワーカー内のデバイスファイル */
+  const SIM_DEVICE = '/dev/kaniburner';
+
+  /** SharedText に置ける入力のバイト数 */
+  const INPUT_CAPACITY = 4096;
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  /**
+   * シミュレートするボード（ボードプロファイルの sim で選ぶ）
+   * vref: ADC の基準電圧、adcBits: ADC の分解能、
+   * leds: 常に表示する出力ピン、switches: 常に表示する入力ピン（pullUp なら離した状態が 1）、
+   * ruby: ボード固有のメソッド（シムの最後に加える）
+   */
+  const SIM_BOARDS = {
+    generic: { label: 'Generic', vref: 3.3, adcBits: 12, leds: [], switches: [], ruby: '' },
+    pico: {
+      label: 'Raspberry Pi Pico', vref: 3.3, adcBits: 12,
+      leds: [{ pin: '25', label: 'LED' }], switches: [], ruby: ''
+    },
+    // leds_write(n) は LED1〜LED4 に下位 4 ビットを出す。sw() は SW1 を押すと 0
+    rboard: {
+      label: 'RBoard', vref: 3.3, adcBits: 10,
+      leds: [1, 2, 3, 4].map((n) => ({ pin: 'LED' + n, label: 'LED' + n })),
+      switches: [{ pin: 'SW1', label: 'SW1', pullUp: true }],
+      ruby: [
+        'def leds_write(n)',
+        '  4.times { |i| GPIO.write_at("LED#{i + 1}", (n >> i) & 1) }',
+        'end',
+        '',
+        'def sw',
+        '  GPIO.read_at("SW1")',
+        'end'
+      ].join('\n')
+    },
+    // DevKit の LED (GPIO2) と BOOT ボタン (GPIO0)
+    esp32: {
+      label: 'ESP32', vref: 3.3, adcBits: 12,
+      leds: [{ pin: '2', label: 'LED' }],
+      switches: [{ pin: '0', label: 'BOOT', pullUp: true }],
+      ruby: ''
+    }
+  };
+
+  /**
+   * ボードプロファイルのシミュレートするボード
+   * @param {Object} [profile] - ボードプロファイル
+   * @returns {Object|null} SIM_BOARDS の値。sim が未知なら null
+   */
+  const simBoardFor = (profile) =>
+    SIM_BOARDS[(profile && profile.sim) || 'generic'] || null;
+
+  /**
+   * ボードのシム（mruby/c の周辺機器クラスを /dev/kaniburner とのやりとりで置き換える Ruby）
+   * @param {Object} board - SIM_BOARDS の値
+   * @returns {string} Ruby ソースコード
+   */
+  const shimSource = (board) => `# Kaniburner: simulated peripherals (${board.label})
+module Kaniburner
+  VREF = ${board.vref.toFixed(3)}
+  ADC_MAX = ${2 ** board.adcBits - 1}
+  @out = File.open("${SIM_DEVICE}", "w")
+  @levels = {${board.switches.map((sw) => ` "${sw.pin}" => ${sw.pullUp ? 1 : 0} `).join(',')}}
+
+  def self.emit(line)
+    @out.syswrite(line + "\\n")
+  end
+
+  def self.input(kind, key)
+    text = File.open("${SIM_DEVICE}", "r") { |f| f.sysread(${INPUT_CAPACITY}) } rescue ""
+    text.each_line do |line|
+      k, n, v = line.chomp.split(" ", 3)
+      return v if k == kind && n == key.to_s
+    end
+    nil
+  end
+
+  # 入力が未設定のピンの値（プルアップなら 1）
+  def self.levels
+    @levels
+  end
+
+  def self.bytes(data)
+    out = []
+    data.each do |d|
+      if d.is_a?(Array)
+        out.concat(bytes(d))
+      elsif d.is_a?(String)
+        out.concat(d.bytes)
+      else
+        out << (d.to_i & 0xff)
+      end
+    end
+    out
+  end
+end
+
+class GPIO
+  IN = 0x01
+  OUT = 0x02
+  HIGH_Z = 0x04
+  PULL_UP = 0x08
+  PULL_DOWN = 0x10
+  OPEN_DRAIN = 0x20
+
+  def self.setmode(pin, params)
+    if (params & OUT) != 0
+      Kaniburner.emit("mode #{pin} out")
+    elsif (params & PULL_UP) != 0
+      Kaniburner.levels[pin.to_s] = 1
+      Kaniburner.emit("mode #{pin} in_pullup")
+    else
+      Kaniburner.levels[pin.to_s] = 0
+      Kaniburner.emit("mode #{pin} in")
+    end
+  end
+
+  def self.read_at(pin)
+    v = Kaniburner.input("gpio", pin)
+    v ? v.to_i : (Kaniburner.levels[pin.to_s] || 0)
+  end
+
+  def self.high_at?(pin)
+    read_at(pin) == 1
+  end
+
+  def self.low_at?(pin)
+    read_at(pin) == 0
+  end
+
+  def self.write_at(pin, value)
+    Kaniburner.emit("gpio #{pin} #{value == 0 || !value ? 0 : 1}")
+  end
+
+  def initialize(pin, params = IN)
+    @pin = pin
+    GPIO.setmode(pin, params)
+  end
+
+  def setmode(params)
+    GPIO.setmode(@pin, params)
+  end
+
+  def read
+    GPIO.read_at(@pin)
+  end
+
+  def high?
+    read == 1
+  end
+
+  def low?
+    read == 0
+  end
+
+  def write(value)
+    GPIO.write_at(@pin, value)
+  end
+end
+
+class ADC
+  def initialize(pin, *params)
+    @pin = pin
+    Kaniburner.emit("adc #{pin}")
+  end
+
+  def read_voltage
+    (Kaniburner.input("adc", @pin) || "0").to_f
+  end
+  alias read read_voltage
+
+  def read_raw
+    raw = (read_voltage * Kaniburner::ADC_MAX / Kaniburner::VREF).round
+    raw < 0 ? 0 : (raw > Kaniburner::ADC_MAX ? Kaniburner::ADC_MAX : raw)
+  end
+end
+
+class PWM
+  def initialize(pin, frequency: 0, duty: 0)
+    @pin = pin
+    @frequency = frequency
+    @duty = duty
+    update
+  end
+
+  def frequency(hz)
+    @frequency = hz
+    update
+  end
+
+  def period_us(us)
+    @frequency = us > 0 ? 1_000_000.0 / us : 0
+    update
+  end
+
+  def duty(percent)
+    @duty = percent
+    update
+  end
+
+  def pulse_width_us(us)
+    @duty = us * @frequency / 10_000.0
+    update
+  end
+
+  private
+
+  def update
+    Kaniburner.emit("pwm #{@pin} #{@frequency} #{@duty}")
+  end
+end
+
+class I2C
+  def initialize(*params)
+  end
+
+  def write(addr, *data)
+    bytes = Kaniburner.bytes(data)
+    Kaniburner.emit("i2c #{addr} w #{bytes.map { |b| b.to_s(16) }.join(" ")}")
+    bytes.size
+  end
+
+  def read(addr, len, *params)
+    write(addr, *params) unless params.empty?
+    Kaniburner.emit("i2c #{addr} r #{len}")
+    bytes = (Kaniburner.input("i2c", addr) || "").split(" ").map { |h| h.to_i(16) }
+    s = ""
+    len.times { |i| s << (bytes[i] || 0).chr }
+    s
+  end
+end
+
+def sleep_ms(ms)
+  sleep(ms / 1000.0)
+end
+
+${board.ruby}
+`;
+
+  /**
+   * SharedArrayBuffer に置いた文字列（シミュレータの入力）。ホストが書き、ワーカーが読む。
+   * 先頭の Int32 2 つは [更新回数, バイト数]。更新回数が奇数の間は書き込み中なので読み直す
+   */
+  class SharedText {
+    /**
+     * @param {SharedArrayBuffer} [buffer] - ワーカー側では postMessage で受け取ったものを渡す
+     */
+    constructor(buffer = new SharedArrayBuffer(8 + INPUT_CAPACITY)) {
+      this.buffer = buffer;
+      this._header = new Int32Array(buffer, 0, 2);
+      this._bytes = new Uint8Array(buffer, 8);
+    }
+
+    /**
+     * @param {string} text - 書き込む文字列（入りきらない分は捨てる）
+     */
+    write(text) {
+      const bytes = encoder.encode(text).subarray(0, this._bytes.length);
+      Atomics.add(this._header, 0, 1);
+      this._bytes.set(bytes);
+      Atomics.store(this._header, 1, bytes.length);
+      Atomics.add(this._header, 0, 1);
+    }
+
+    /** @returns {string} */
+    read() {
+      for (;;) {
+        const seq = Atomics.load(this._header, 0);
+        if (seq % 2 !== 0) continue;
+        const length = Atomics.load(this._header, 1);
+        // 共有メモリのままでは TextDecoder に渡せないので複製する
+        const bytes = this._bytes.slice(0, length);
+        if (Atomics.load(this._header, 0) === seq) return decoder.decode(bytes);
+      }
+    }
+  }
+
+  /**
+   * mruby の Emscripten FS に /dev/kaniburner を作る（ワーカーで 1 回だけ呼ぶ）
+   * 開くたびに readInputs() の内容を読み出せ、書いた行は 1 行ずつ onLine に渡す
+   * @param {Object} FS - mruby モジュールの FS
+   * @param {Object} handlers
+   * @param {function(string): void} handlers.onLine - シムが書いた 1 行
+   * @param {function(): string} handlers.readInputs - 現在の入力
+   */
+  const installSimDevice = (FS, { onLine, readInputs }) => {
+    const dev = FS.makedev(64, 0);
+    let pending = '';
+    FS.registerDevice(dev, {
+      open: (stream) => { stream.simInput = encoder.encode(readInputs()); },
+      read: (stream, buffer, offset, length, position) => {
+        const bytes = stream.simInput.subarray(position, position + length);
+        buffer.set(bytes, offset);
+        return bytes.length;
+      },
+      write: (stream, buffer, offset, length) => {
+        pending += decoder.decode(buffer.subarray(offset, offset + length), { stream: true });
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        for (const line of lines) onLine(line);
+        return length;
+      }
+    });
+    FS.mkdev(SIM_DEVICE, dev);
+  };
+
+  /**
+   * シミュレーション中のボードの状態
+   * 入力（ADC の電圧・入力ピン・I2C の応答）は実行をまたいで残し、出力は reset() で消す
+   */
+  class SimState {
+    /**
+     * @param {Object} board - SIM_BOARDS の値
+     * @param {Object} [options]
+     * @param {Function} [options.onChange] - 表示を更新するときに呼ばれる
+     * @param {function(string): void} [options.onInput] - 入力が変わったとき、入力の全文を渡して呼ばれる
+     */
+    constructor(board, { onChange, onInput } = {}) {
+      this.onChange = onChange || (() => {});
+      this.onInput = onInput || (() => {});
+      /** 入力 { gpio: { pin: 0|1 }, adc: { pin: 電圧 }, i2c: { addr: '16 進バイト' } } */
+      this.inputs = { gpio: {}, adc: {}, i2c: {} };
+      this.setBoard(board);
+    }
+
+    /**
+     * ボードを替える（出力は消える）
+     * @param {Object} board - SIM_BOARDS の値
+     */
+    setBoard(board) {
+      this.board = board;
+      for (const sw of board.switches) {
+        if (!(sw.pin in this.inputs.gpio)) this._setInput('gpio', sw.pin, sw.pullUp ? 1 : 0);
+      }
+      this.reset();
+    }
+
+    /** 実行の始めに出力を消す */
+    reset() {
+      /** ピンの向きと出力 { pin: { mode: 'in'|'in_pullup'|'out'|null, level: 0|1|null } } */
+      this.pins = {};
+      for (const led of this.board.leds) this.pins[led.pin] = { mode: 'out', level: 0 };
+      for (const sw of this.board.switches) this.pins[sw.pin] = { mode: sw.pullUp ? 'in_pullup' : 'in', level: null };
+      /** { pin: { frequency, duty } } */
+      this.pwm = {};
+      /** 作られた ADC のピン */
+      this.adc = [];
+      /** { addr: { written: '16 進バイト', reads: 回数 } } */
+      this.i2c = {};
+      this.onChange();
+    }
+
+    /**
+     * シムが書いた 1 行を反映する
+     * @param {string} line
+     * @returns {boolean} 解釈できたか
+     */
+    apply(line) {
+      const [kind, key, ...args] = line.trim().split(/\s+/);
+      if (kind === 'mode' && key) {
+        const pin = this.pins[key] || (this.pins[key] = { mode: null, level: null });
+        pin.mode = args[0];
+        if (args[0] !== 'out' && !(key in this.inputs.gpio)) this._setInput('gpio', key, args[0] === 'in_pullup' ? 1 : 0);
+      } else if (kind === 'gpio' && key) {
+        const pin = this.pins[key] || (this.pins[key] = { mode: 'out', level: null });
+        pin.level = Number(args[0]) ? 1 : 0;
+      } else if (kind === 'pwm' && key) {
+        this.pwm[key] = { frequency: Number(args[0]) || 0, duty: Math.min(Math.max(Number(args[1]) || 0, 0), 100) };
+      } else if (kind === 'adc' && key) {
+        if (!this.adc.includes(key)) this.adc.push(key);
+        if (!(key in this.inputs.adc)) this._setInput('adc', key, 0);
+      } else if (kind === 'i2c' && key) {
+        const dev = this.i2c[key] || (this.i2c[key] = { written: '', reads: 0 });
+        if (args[0] === 'w') dev.written = args.slice(1).join(' ');
+        else if (args[0] === 'r') dev.reads++;
+        if (!(key in this.inputs.i2c)) this._setInput('i2c', key, '');
+      } else {
+        return false;
+      }
+      this.onChange();
+      return true;
+    }
+
+    /**
+     * パネルで入力を変える
+     * @param {string} kind - 'gpio' / 'adc' / 'i2c'
+     * @param {string} key - ピン番号か I2C アドレス（10 進）
+     * @param {number|string} value
+     */
+    setInput(kind, key, value) {
+      this._setInput(kind, key, value);
+      this.onChange();
+    }
+
+    _setInput(kind, key, value) {
+      this.inputs[kind][key] = value;
+      this.onInput(this.inputsText());
+    }
+
+    /** @returns {string} シムが読む入力の全文 */
+    inputsText() {
+      let text = '';
+      for (const kind of ['gpio', 'adc', 'i2c']) {
+        for (const key of Object.keys(this.inputs[kind])) text += kind + ' ' + key + ' ' + this.inputs[kind][key] + '\n';
+      }
+      return text;
+    }
+  }
+
+  /** 要素を作る */
+  const el = (tag, className, text) => {
+    const e = document.createElement(tag);
+    if (className) e.className = className;
+    if (text !== undefined) e.textContent = text;
+    return e;
+  };
+
+  /** I2C アドレス（10 進の文字列）の表示 */
+  const hexAddr = (key) => '0x' + Number(key).toString(16).padStart(2, '0');
+
+  /**
+   * SimState を表示するパネル（LED・PWM のデューティ・入力ピン・ADC のスライダ・I2C の応答）
+   * 表示は requestAnimationFrame でまとめて更新し、操作中の入力欄は作り直さない
+   * スタイルは読み込む側で sim-* のクラスに付ける
+   */
+  class SimPanel {
+    /**
+     * @param {HTMLElement} container - 表示先
+     * @param {SimState} state
+     */
+    constructor(container, state) {
+      this.container = container;
+      this.state = state;
+      this._rows = new Map();
+      this._scheduled = false;
+      container.textContent = '';
+      this._title = el('div', 'sim-title');
+      this._sections = {};
+      container.appendChild(this._title);
+      for (const [name, label] of [['out', 'Outputs'], ['pwm', 'PWM'], ['in', 'Inputs'], ['adc', 'ADC'], ['i2c', 'I2C']]) {
+        const section = el('div', 'sim-section');
+        section.appendChild(el('div', 'sim-heading', label));
+        this._sections[name] = section;
+        container.appendChild(section);
+      }
+      this.render();
+    }
+
+    /** 次の描画で表示を更新する */
+    update() {
+      if (this._scheduled) return;
+      this._scheduled = true;
+      requestAnimationFrame(() => {
+        this._scheduled = false;
+        this.render();
+      });
+    }
+
+    render() {
+      const { board, pins, pwm, adc, i2c, inputs } = this.state;
+      this._title.textContent = board.label;
+      const labels = {};
+      for (const p of board.leds.concat(board.switches)) labels[p.pin] = p.label;
+      const pinLabel = (pin) => labels[pin] && labels[pin] !== pin ? pin + ' (' + labels[pin] + ')' : pin;
+      const used = new Set();
+      const row = (section, key, create) => {
+        const id = section + ':' + key;
+        used.add(id);
+        let r = this._rows.get(id);
+        if (!r) {
+          r = create();
+          this._rows.set(id, r);
+          this._sections[section].appendChild(r.row);
+        }
+        return r;
+      };
+
+      for (const pin of Object.keys(pins)) {
+        const p = pins[pin];
+        if (p.mode === 'out' && !(pin in pwm)) {
+          const r = row('out', pin, () => {
+            const r = { row: el('div', 'sim-row'), led: el('span', 'sim-led') };
+            r.row.append(r.led, el('span', 'sim-name', pinLabel(pin)));
+            return r;
+          });
+          r.led.classList.toggle('on', p.level === 1);
+        } else if (p.mode === 'in' || p.mode === 'in_pullup') {
+          const r = row('in', pin, () => {
+            const r = { row: el('div', 'sim-row'), box: el('input'), level: el('span', 'sim-value') };
+            r.box.type = 'checkbox';
+            r.box.title = 'High';
+            r.box.addEventListener('change', () => this.state.setInput('gpio', pin, r.box.checked ? 1 : 0));
+            const label = el('label', 'sim-name');
+            label.append(r.box, ' ' + pinLabel(pin));
+            r.row.append(label, r.level);
+            return r;
+          });
+          const level = Number(inputs.gpio[pin]) ? 1 : 0;
+          r.box.checked = level === 1;
+          r.level.textContent = (level ? 'High' : 'Low') + (p.mode === 'in_pullup' ? ' (pull-up)' : '');
+        }
+      }
+
+      for (const pin of Object.keys(pwm)) {
+        const r = row('pwm', pin, () => {
+          const r = { row: el('div', 'sim-row'), bar: el('span', 'sim-bar'), fill: el('span', 'sim-bar-fill'), value: el('span', 'sim-value') };
+          r.bar.appendChild(r.fill);
+          r.row.append(el('span', 'sim-name', pinLabel(pin)), r.bar, r.value);
+          return r;
+        });
+        r.fill.style.width = pwm[pin].duty + '%';
+        r.value.textContent = Number(pwm[pin].duty.toFixed(1)) + ' % @ ' + Number(pwm[pin].frequency.toFixed(1)) + ' Hz';
+      }
+
+      const adcMax = 2 ** board.adcBits - 1;
+      for (const pin of adc) {
+        const r = row('adc', pin, () => {
+          const r = { row: el('div', 'sim-row'), slider: el('input'), value: el('span', 'sim-value') };
+          r.slider.type = 'range';
+          r.slider.min = 0;
+          r.slider.max = board.vref;
+          r.slider.step = 0.01;
+          r.slider.addEventListener('input', () => this.state.setInput('adc', pin, Number(r.slider.value)));
+          r.row.append(el('span', 'sim-name', pinLabel(pin)), r.slider, r.value);
+          return r;
+        });
+        const volts = Number(inputs.adc[pin]) || 0;
+        if (document.activeElement !== r.slider) r.slider.value = volts;
+        r.value.textContent = volts.toFixed(2) + ' V (' + Math.round(volts * adcMax / board.vref) + ')';
+      }
+
+      for (const addr of Object.keys(i2c)) {
+        const r = row('i2c', addr, () => {
+          const r = { row: el('div', 'sim-row'), written: el('span', 'sim-value'), reply: el('input') };
+          r.reply.placeholder = 'reply bytes (hex)';
+          r.reply.addEventListener('change', () => {
+            const bytes = r.reply.value.trim().split(/[\s,]+/).filter((b) => /^(0x)?[0-9a-f]{1,2}$/i.test(b));
+            this.state.setInput('i2c', addr, bytes.map((b) => b.replace(/^0x/i, '')).join(' '));
+          });
+          r.row.append(el('span', 'sim-name', hexAddr(addr)), r.written, r.reply);
+          return r;
+        });
+        r.written.textContent = 'wrote [' + i2c[addr].written + '], read ' + i2c[addr].reads + 'x';
+        if (document.activeElement !== r.reply) r.reply.value = inputs.i2c[addr] || '';
+      }
+
+      for (const [id, r] of this._rows) {
+        if (used.has(id)) continue;
+        r.row.remove();
+        this._rows.delete(id);
+      }
+      for (const name of Object.keys(this._sections)) {
+        this._sections[name].hidden = this._sections[name].childElementCount < 2;
+      }
+    }
+  }
+
+  return {
+    SIM_DEVICE,
+    SIM_BOARDS,
+    simBoardFor,
+    shimSource,
+    SharedText,
+    installSimDevice,
+    SimState,
+    SimPanel
+  };
+});
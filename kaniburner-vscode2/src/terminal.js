@@ -0,0 +1,170 @@
+const vscode = require('vscode');
+
+const PROMPT = 'mrbwrite> ';
+const COMPLETIONS = ['version', 'showprog', 'execute', 'reset', 'help'];
+const HISTORY_MAX = 100;
+
+// ボードとつながる対話端末 (vscode.Pseudoterminal)．
+// プログラム実行中はキー入力をそのままポートへ送り，コマンドモードでは行編集付きのプロンプトを出す．
+class BoardTerminal {
+  constructor(serial, protocol, { history = [], onHistoryChange, onClose } = {}) {
+    this.serial = serial;
+    this.protocol = protocol;
+    this.history = history;
+    this.onHistoryChange = onHistoryChange || (() => {});
+    this.onCloseTerminal = onClose || (() => {});
+    this._writeEmitter = new vscode.EventEmitter();
+    this.onDidWrite = this._writeEmitter.event;
+    this._opened = false;
+    this._line = '';
+    this._historyIndex = history.length;
+    this._promptShown = false;
+    this._atLineStart = true;
+  }
+
+  open() {
+    this._opened = true;
+    this._emit(this.serial.connected
+      ? 'Kaniburner serial terminal. Keys are sent to the board; a prompt appears in command mode.\r\n'
+      : 'Kaniburner serial terminal. Not connected.\r\n');
+    if (this.protocol.commandMode) this._showPrompt();
+  }
+
+  close() {
+    this._opened = false;
+    this._writeEmitter.dispose();
+    this.onCloseTerminal();
+  }
+
+  // ボードからの受信データを表示する
+  write(text) {
+    if (!this._opened) return;
+    this._hidePrompt();
+    const out = text.replace(/\r?\n/g, '\r\n');
+    this._emit(out);
+    this._atLineStart = out.endsWith('\n');
+    if (this.protocol.commandMode && this._atLineStart) this._showPrompt();
+  }
+
+  setCommandMode(enabled) {
+    if (!this._opened) return;
+    if (enabled) this._showPrompt();
+    else this._hidePrompt();
+  }
+
+  handleDisconnect() {
+    if (!this._opened) return;
+    this._hidePrompt();
+    this._emit(`${this._atLineStart ? '' : '\r\n'}-- Disconnected --\r\n`);
+    this._atLineStart = true;
+  }
+
+  handleInput(data) {
+    if (!this.serial.connected) return;
+    if (!this.protocol.commandMode) {
+      // 実行中のプログラムへの入力．Enter はプロファイルの行末にする．
+      this.serial.sendText(data.replace(/\r/g, this.protocol.profile.lineTerminator)).catch(() => {});
+      return;
+    }
+    if (data === '\x1b[A') { this._recall(-1); return; }
+    if (data === '\x1b[B') { this._recall(1); return; }
+    if (data.startsWith('\x1b')) return;
+    for (const ch of data) {
+      if (ch === '\r') this._submit();
+      else if (ch === '\x7f' || ch === '\b') this._backspace();
+      else if (ch === '\t') this._complete();
+      else if (ch === '\x03') this._cancelLine();
+      else if (ch >= ' ') { this._line += ch; this._emit(ch); }
+    }
+  }
+
+  _emit(text) {
+    if (this._opened) this._writeEmitter.fire(text);
+  }
+
+  _showPrompt() {
+    if (this._promptShown) return;
+    if (!this._atLineStart) this._emit('\r\n');
+    this._emit(PROMPT + this._line);
+    this._promptShown = true;
+    this._atLineStart = false;
+  }
+
+  // 入力中の行を消す（_line は残すので次のプロンプトで復元される）
+  _hidePrompt() {
+    if (!this._promptShown) return;
+    this._emit('\r\x1b[K');
+    this._promptShown = false;
+    this._atLineStart = true;
+  }
+
+  _setLine(line) {
+    this._line = line;
+    this._emit(`\r\x1b[K${PROMPT}${line}`);
+  }
+
+  _backspace() {
+    if (!this._line) return;
+    this._line = this._line.slice(0, -1);
+    this._emit('\b \b');
+  }
+
+  _cancelLine() {
+    this._line = '';
+    this._emit('^C\r\n');
+    this._promptShown = false;
+    this._atLineStart = true;
+    this._showPrompt();
+  }
+
+  _recall(delta) {
+    const i = Math.min(Math.max(this._historyIndex + delta, 0), this.history.length);
+    if (i === this._historyIndex) return;
+    this._historyIndex = i;
+    this._setLine(this.history[i] || '');
+  }
+
+  _complete() {
+    const candidates = COMPLETIONS.filter((c) => c.startsWith(this._line));
+    if (candidates.length === 0) return;
+    if (candidates.length === 1) {
+      this._setLine(candidates[0]);
+      return;
+    }
+    // 候補が複数なら共通部分まで補完して一覧を出す
+    let prefix = candidates[0];
+    for (const c of candidates) {
+      while (!c.startsWith(prefix)) prefix = prefix.slice(0, -1);
+    }
+    this._emit(`\r\n${candidates.join('  ')}\r\n`);
+    this._promptShown = false;
+    this._atLineStart = true;
+    this._line = prefix;
+    this._showPrompt();
+  }
+
+  _submit() {
+    const cmd = this._line.trim();
+    this._line = '';
+    this._emit('\r\n');
+    this._promptShown = false;
+    this._atLineStart = true;
+    if (!cmd) {
+      this._showPrompt();
+      return;
+    }
+    if (this.history[this.history.length - 1] !== cmd) {
+      this.history.push(cmd);
+      if (this.history.length > HISTORY_MAX) this.history.splice(0, this.history.length - HISTORY_MAX);
+      this.onHistoryChange(this.history);
+    }
+    this._historyIndex = this.history.length;
+    // 貼り付けで複数行が来ても，プロトコルのキューで応答を待ってから次が送られる
+    const done = cmd === 'execute' ? this.protocol.executeProgram() : this.protocol.sendCommand(cmd);
+    done.then(() => {
+      if (this.protocol.commandMode && this._atLineStart) this._showPrompt();
+    });
+  }
+}
+
+module.exports = { BoardTerminal };
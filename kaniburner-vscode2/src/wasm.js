@@ -1,4 +1,15 @@
 const path = require('node:path');
+const { Worker } = require('node:worker_threads');
+const { mrbcFlags, parseDiagnostics } = require('./compiler');
+
+// mruby のバージョン (kaniburner.mrubyVersion / --mruby-version) ごとの mrbc が出力する RITE バージョン
+const MRUBY_RITE_VERSIONS = { '3.4': '0300', '4.0': '0400' };
+
+// ファームウェアが読める RITE バージョンのバイトコードを出す mruby のバージョン．なければ null
+function mrubyVersionForRite(rite) {
+  return Object.keys(MRUBY_RITE_VERSIONS).find((v) => MRUBY_RITE_VERSIONS[v].slice(0, 2) === rite.slice(0, 2)
+    && MRUBY_RITE_VERSIONS[v].slice(2) <= rite.slice(2)) || null;
+}
 
 class WasmCompiler {
   constructor(mediaDir, output, version) {
@@ -7,6 +18,12 @@ class WasmCompiler {
     this.output = output;
     this._initPromise = null;
     this.module = null;
+    this._stderrLines = [];
+    this._quiet = false;
+    this._stdoutLines = null; // dump() の間だけ mrbc の標準出力をためる
+    this.lastError = null;
+    // 直前の compile() で mrbc が出力したエラー・警告
+    this.diagnostics = [];
   }
 
   _init() {
@@ -15,76 +32,185 @@ class WasmCompiler {
       const factory = require(path.join(this.baseDir, 'mrbc.js'));
       this._initPromise = factory({
         noInitialRun: true,
-        print:    (t) => this.output.appendLine(t),
-        printErr: (t) => this.output.appendLine(`[stderr] ${t}`)
+        print:    (t) => (this._stdoutLines ? this._stdoutLines.push(t) : this.output.appendLine(t)),
+        printErr: (t) => {
+          this._stderrLines.push(t);
+          if (!this._quiet) this.output.appendLine(`[stderr] ${t}`);
+        }
       }).then((instance) => { this.module = instance; });
     }
     return this._initPromise;
   }
 
-  async compile(source) {
+  // options: コンパイルオプション (compiler.js の COMPILE_OPTIONS のキー)．
+  // symbol: 指定すると -B<symbol> でその名前の配列を定義する C ソースを出力する（Buffer の中身は C ソース）．
+  // quiet: 出力に何も書かず，diagnostics も変えない（逆アセンブル表示やサイズ比較のための裏でのコンパイル）．
+  // verbose: mrbc -v でパースツリーとコードダンプも標準出力に出す．
+  // 失敗したときは null を返し，理由は lastError に残す．
+  async compile(source, { options = {}, symbol = null, quiet = false, verbose = false } = {}) {
     await this._init();
-    if (!source.trim()) {
-      this.output.appendLine('[error] Source code is empty.');
+    const fail = (msg) => {
+      this.lastError = msg;
+      if (!quiet) this.output.appendLine(`[error] ${msg}`);
       return null;
-    }
+    };
+    this._stderrLines = [];
+    this._quiet = quiet;
+    this.lastError = null;
+    if (!quiet) this.diagnostics = [];
+    if (!source.trim()) return fail('Source code is empty.');
     this.module.FS.writeFile('/input.rb', source);
     try { this.module.FS.unlink('/output.mrb'); } catch (_) { /* ignore */ }
+    const args = [...(verbose ? ['-v'] : []), ...mrbcFlags(options), ...(symbol ? [`-B${symbol}`] : []), '-o', '/output.mrb', '/input.rb'];
     try {
-      const rc = this.module.callMain(['-o', '/output.mrb', '/input.rb']);
+      const rc = this.module.callMain(args);
       if (rc !== 0) {
-        this.output.appendLine(`[error] Compile failed (exit code ${rc}).`);
+        fail(`Compile failed (exit code ${rc}).`);
+        if (this._stderrLines.length > 0) this.lastError = this._stderrLines.join('\n');
         return null;
       }
       return Buffer.from(this.module.FS.readFile('/output.mrb'));
     } catch (e) {
-      this.output.appendLine(`[error] Compile error: ${e.message}`);
-      return null;
+      return fail(`Compile error: ${e.message}`);
+    } finally {
+      this._quiet = false;
+      if (!quiet) this.diagnostics = parseDiagnostics(this._stderrLines);
+    }
+  }
+
+  // オプションなしでコンパイルしたときのサイズ（オプションによる差をログに出すため）．オプションがなければ null
+  async baseSize(source, options) {
+    if (mrbcFlags(options).length === 0) return null;
+    const bc = await this.compile(source, { quiet: true });
+    return bc ? bc.length : null;
+  }
+
+  // mrbc -v の出力（逆アセンブル表示が読めない RITE バージョンのとき代わりに出す）．失敗したときは null
+  async dump(source, options) {
+    this._stdoutLines = [];
+    try {
+      const bc = await this.compile(source, { options, quiet: true, verbose: true });
+      return bc ? this._stdoutLines.join('\n') : null;
+    } finally {
+      this._stdoutLines = null;
     }
   }
 }
 
+// mruby の実行は worker_threads のワーカー (mruby-worker.js) で行い，拡張機能ホストや CLI を止めない．
+// 標準出力は output.append()，標準エラー出力は "[stderr] " をつけて output.appendLine() で届いたそばから出す．
+// 止めたとき・時間切れのときはワーカーを terminate() し，次の run() で作り直す．
 class MrubyRunner {
   constructor(mediaDir, output, version) {
     this.baseDir = path.join(mediaDir, `mruby-${version}`);
     this.version = version;
     this.output = output;
-    this._initPromise = null;
-    this.module = null;
-    this._stdoutBuf = '';
-    this._stderrBuf = '';
+    this.worker = null;
+    this._readyPromise = null;
+    this._current = null; // 実行中の { resolve, timer, startedAt, onSimLine }
+  }
+
+  get running() {
+    return this._current !== null;
   }
 
   _init() {
-    if (this.module) return Promise.resolve();
-    if (!this._initPromise) {
-      const factory = require(path.join(this.baseDir, 'mruby.js'));
-      this._initPromise = factory({
-        noInitialRun: true,
-        print:    (t) => { this._stdoutBuf += t + '\n'; },
-        printErr: (t) => { this._stderrBuf += t + '\n'; }
-      }).then((instance) => { this.module = instance; });
+    if (!this._readyPromise) {
+      const worker = new Worker(path.join(__dirname, 'mruby-worker.js'), { workerData: { baseDir: this.baseDir } });
+      this.worker = worker;
+      this._readyPromise = new Promise((resolve, reject) => {
+        worker.on('message', (msg) => {
+          if (msg.type === 'ready') resolve();
+          else if (msg.type === 'output') this._write(msg);
+          else if (msg.type === 'sim' && this._current) this._current.onSimLine(msg.line);
+          else if (msg.type === 'done') this._finish(msg.rc);
+        });
+        worker.on('error', (e) => {
+          reject(e);
+          this._discard(worker);
+          if (this._current) {
+            this.output.appendLine(`[error] mruby: ${e.message}`);
+            this._finish(1);
+          }
+        });
+        // 'error' のあとや stop() で terminate() したときは，もう this.worker ではないので何もしない
+        worker.on('exit', (code) => {
+          const alive = this.worker === worker;
+          reject(new Error(`mruby worker exited with code ${code}.`));
+          this._discard(worker);
+          if (alive && this._current) {
+            this.output.appendLine(`[error] mruby worker exited unexpectedly (code ${code}).`);
+            this._finish(code);
+          }
+        });
+      });
     }
-    return this._initPromise;
+    return this._readyPromise;
   }
 
-  async run(bytecode) {
-    await this._init();
+  _discard(worker) {
+    worker.terminate();
+    if (this.worker !== worker) return;
+    this.worker = null;
+    this._readyPromise = null;
+  }
+
+  _write({ stream, text }) {
+    if (!this._current) return;
+    if (stream === 'stderr') this.output.appendLine(`[stderr] ${text.replace(/\n$/, '')}`);
+    else this.output.append(text);
+  }
+
+  // 実行を終え，経過秒数を返す．rc が null なら止めたとき
+  _finish(rc) {
+    const current = this._current;
+    if (!current) return null;
+    this._current = null;
+    clearTimeout(current.timer);
+    const elapsed = ((Date.now() - current.startedAt) / 1000).toFixed(2);
+    if (rc !== null) this.output.appendLine(`[info]  mruby exited with status ${rc} in ${elapsed} s.`);
+    current.resolve(rc);
+    return elapsed;
+  }
+
+  // mruby の終了コードを返す．stop() や時間切れで止めたときは null
+  // timeout: 秒．0 なら制限しない
+  // sim: 周辺機器のシミュレーション { shim: シムのバイトコード, inputs: SharedText, onLine(line) } (sim.js)
+  async run(bytecode, { timeout = 0, sim = null } = {}) {
     if (!bytecode) {
       this.output.appendLine('[error] No compiled bytecode.');
-      return;
+      return 1;
     }
-    this._stdoutBuf = '';
-    this._stderrBuf = '';
-    this.module.FS.writeFile('/output.mrb', new Uint8Array(bytecode));
-    try {
-      this.module.callMain(['-b', '/output.mrb']);
-    } catch (e) {
-      this._stderrBuf += e.message + '\n';
+    await this._init();
+    if (this._current) {
+      this.output.appendLine('[error] mruby is already running.');
+      return 1;
     }
-    if (this._stdoutBuf) this.output.append(this._stdoutBuf);
-    if (this._stderrBuf) this.output.append(`[stderr] ${this._stderrBuf}`);
+    return new Promise((resolve) => {
+      const timer = timeout > 0
+        ? setTimeout(() => this.stop(`[error] mruby execution timed out after ${timeout} s.`), timeout * 1000)
+        : null;
+      this._current = { resolve, timer, startedAt: Date.now(), onSimLine: sim ? sim.onLine : () => {} };
+      this.worker.postMessage({
+        type: 'run',
+        bytecode: new Uint8Array(bytecode),
+        sim: sim ? { shim: new Uint8Array(sim.shim), inputs: sim.inputs.buffer } : null
+      });
+    });
+  }
+
+  // 実行中のプログラムをワーカーごと止める．止めたら true
+  stop(message) {
+    if (!this._current) return false;
+    this._discard(this.worker);
+    const elapsed = this._finish(null);
+    this.output.appendLine(message || `[info]  mruby execution stopped after ${elapsed} s.`);
+    return true;
+  }
+
+  dispose() {
+    if (this.worker) this._discard(this.worker);
   }
 }
 
-module.exports = { WasmCompiler, MrubyRunner };
+module.exports = { WasmCompiler, MrubyRunner, MRUBY_RITE_VERSIONS, mrubyVersionForRite };
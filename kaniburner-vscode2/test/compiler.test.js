@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCompileOptions, mrbcFlags, describeSize, parseDiagnostics } = require('../src/compiler');
+
+test('parseDiagnostics reads errors and warnings with their position', () => {
+  const lines = [
+    'main.rb:3:5: syntax error, unexpected end of file',
+    'main.rb:1:1: warning: assigned but unused variable - x',
+    'mrbc: compile failed'
+  ];
+  assert.deepEqual(parseDiagnostics(lines), [
+    { file: 'main.rb', line: 3, column: 5, severity: 'error', message: 'syntax error, unexpected end of file' },
+    { file: 'main.rb', line: 1, column: 1, severity: 'warning', message: 'assigned but unused variable - x' }
+  ]);
+});
+
+test('mrbcFlags keeps the order of the option table', () => {
+  assert.deepEqual(mrbcFlags({ noExtOps: true, debug: true, removeLv: false }), ['-g', '--no-ext-ops']);
+  assert.deepEqual(mrbcFlags(), []);
+});
+
+test('normalizeCompileOptions rejects unknown keys and non-boolean values', () => {
+  assert.deepEqual(normalizeCompileOptions(undefined), {});
+  assert.deepEqual(normalizeCompileOptions({ debug: true }), { debug: true });
+  assert.throws(() => normalizeCompileOptions({ strip: true }, 'kaniburner.json'), /^Error: kaniburner\.json: unknown option "strip"/);
+  assert.throws(() => normalizeCompileOptions({ debug: 1 }), /compileOptions\.debug must be true or false\./);
+  assert.throws(() => normalizeCompileOptions([]), /compileOptions must be an object\./);
+});
+
+test('describeSize shows the difference made by the options', () => {
+  assert.equal(describeSize(812, 932, { removeLv: true }), '812 bytes, -120 with --remove-lv');
+  assert.equal(describeSize(940, 932, { debug: true }), '940 bytes, +8 with -g');
+  assert.equal(describeSize(812, null, { removeLv: true }), '812 bytes');
+  assert.equal(describeSize(812, 932, {}), '812 bytes');
+});
@@ -0,0 +1,350 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SerialComm, MrbwriteProtocol, SessionRecorder, ReplayTransport, parseSession, normalizeProfile, calculateCrc8
+} = require('../src/mrbwrite');
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const hex = (n) => n.toString(16).padStart(2, '0');
+
+const PROFILE = normalizeProfile('test', { timeouts: { response: 100, write: 200, commandMode: 1000 } });
+const BANNER = '+OK mruby/c v3.3.1 RITE0300\r\n';
+
+// 受け取ったコマンドに決まった応答を返すトランスポート．
+// replies の値は応答行（null なら応答しない）か，引数を受け取って応答行を返す関数．
+class StubTransport {
+  constructor(replies = {}) {
+    this.replies = Object.assign({
+      clear: () => { this.program = []; return '+OK'; },
+      write: '+OK Write bytecode.',
+      done: '+DONE',
+      verify: () => '+OK ' + hex(calculateCrc8(Uint8Array.from(this.program), PROFILE.crcPoly)),
+      version: '+OK mruby/c v3.3.1',
+      execute: '+OK Execute mruby/c.'
+    }, replies);
+    this.program = [];
+    this.commands = [];
+    this.tx = [];
+    this.breaks = [];
+    this._pending = 0;
+    this._onData = null;
+    this._onClose = null;
+  }
+
+  async open(onData, onClose) {
+    this._onData = onData;
+    this._onClose = onClose;
+  }
+
+  async write(data) {
+    const bytes = Uint8Array.from(data);
+    this.tx.push(bytes);
+    if (this._pending > 0) {
+      this._pending -= bytes.length;
+      this.program.push(...bytes);
+      if (this._pending <= 0) this._reply('done');
+      return;
+    }
+    const line = decoder.decode(bytes).trim();
+    if (!line) return;
+    this.commands.push(line);
+    const [cmd, arg] = line.split(' ');
+    const resp = this._reply(cmd, arg);
+    if (cmd === 'write' && resp && resp.startsWith('+OK')) this._pending = Number(arg);
+  }
+
+  async sendBreak(ms) {
+    this.breaks.push(ms);
+  }
+
+  async close() {
+    this._onData = null;
+  }
+
+  // ボードから 1 行送る
+  send(text) {
+    this._onData(encoder.encode(text));
+  }
+
+  _reply(cmd, arg) {
+    const reply = this.replies[cmd];
+    const line = typeof reply === 'function' ? reply(arg) : reply;
+    if (line !== null && line !== undefined) setImmediate(() => this._onData && this.send(line + '\r\n'));
+    return line;
+  }
+}
+
+const createLogger = () => {
+  const logger = { infos: [], errors: [] };
+  logger.info = (msg) => logger.infos.push(msg);
+  logger.error = (msg) => logger.errors.push(msg);
+  return logger;
+};
+
+// 接続してバナーを受け取り，コマンドモードに入った状態にする
+async function connect(replies, { banner = true, ...options } = {}) {
+  const transport = new StubTransport(replies);
+  const logger = createLogger();
+  let protocol;
+  const serial = new SerialComm({
+    onLineReceived: (line, partial) => protocol.handleLineReceived(line, partial),
+    onDisconnect: () => protocol.handleDisconnect()
+  });
+  protocol = new MrbwriteProtocol(serial, logger, Object.assign({ profile: PROFILE }, options));
+  await serial.connect(transport);
+  if (banner) transport.send(BANNER);
+  return { transport, logger, serial, protocol };
+}
+
+const rite = (size, version = '0300') => {
+  const bin = new Uint8Array(size);
+  bin.set(encoder.encode('RITE' + version));
+  for (let i = 8; i < size; i++) bin[i] = i & 0xff;
+  return bin;
+};
+
+test('calculateCrc8 computes CRC-8 with initial value 0xff', () => {
+  assert.equal(calculateCrc8(encoder.encode('123456789'), 0x31), 0xf7);
+  assert.equal(calculateCrc8(new Uint8Array(0), 0x31), 0xff);
+});
+
+test('SerialComm splits received data into lines and reports partial lines', async () => {
+  const lines = [];
+  const serial = new SerialComm({ onLineReceived: (line, partial) => lines.push([line, partial]) });
+  const transport = new StubTransport();
+  await serial.connect(transport);
+  transport.send('+OK a\r\n+O');
+  transport.send('K b\r\n');
+  assert.deepEqual(lines, [['+OK a', false], ['+O', true], ['+OK b', false]]);
+});
+
+test('the banner switches to command mode and records the firmware version', async () => {
+  const changes = [];
+  const { protocol } = await connect({}, { banner: false, onCommandModeChange: (on) => changes.push(on) });
+  assert.equal(protocol.commandMode, false);
+  protocol.handleLineReceived('+OK mruby/c v3.3.1 RITE0300', false);
+  assert.equal(protocol.commandMode, true);
+  assert.deepEqual(changes, [true]);
+  assert.equal(protocol.firmware.mrubyc, '3.3.1');
+  assert.equal(protocol.firmware.rite, '0300');
+});
+
+test('ensureCommandMode sends line terminators until the banner arrives', async () => {
+  const { transport, protocol } = await connect({}, { banner: false });
+  const pending = protocol.ensureCommandMode();
+  await sleep(10);
+  assert.equal(decoder.decode(transport.tx[0]), '\r\n');
+  transport.send(BANNER);
+  assert.equal(await pending, true);
+});
+
+test('execute leaves command mode', async () => {
+  const { transport, protocol } = await connect();
+  assert.equal(await protocol.executeProgram(), true);
+  await sleep(10);
+  assert.deepEqual(transport.commands, ['execute']);
+  assert.equal(protocol.commandMode, false);
+});
+
+test('flashPlan clears the board and writes each slot until +DONE', async () => {
+  const { transport, protocol } = await connect();
+  const slots = [rite(20), rite(12)];
+  const progress = [];
+  const ok = await protocol.flashPlan(slots, ['a.rb', 'b.rb'], { onProgress: (p) => progress.push(p.totalSent) });
+  assert.equal(ok, true);
+  assert.deepEqual(transport.commands, ['clear', 'write 20', 'write 12']);
+  assert.deepEqual(transport.program, [...slots[0], ...slots[1]]);
+  assert.deepEqual(progress, [20, 32]);
+});
+
+test('flashPlan sends bytecode in chunks of the given size', async () => {
+  const { transport, protocol } = await connect();
+  assert.equal(await protocol.flashPlan([rite(20)], [], { chunkSize: 8, chunkDelay: 1 }), true);
+  const chunks = transport.tx.slice(-3).map((b) => b.length);
+  assert.deepEqual(chunks, [8, 8, 4]);
+});
+
+test('flashPlan verifies each slot when verify is set', async () => {
+  const { transport, logger, protocol } = await connect();
+  assert.equal(await protocol.flashPlan([rite(16), rite(16)], [], { verify: true }), true);
+  assert.deepEqual(transport.commands, ['clear', 'write 16', 'verify', 'write 16', 'verify']);
+  assert.equal(logger.infos.filter((m) => m.startsWith('Verify succeeded.')).length, 2);
+});
+
+test('verifyBytecode reports a CRC mismatch', async () => {
+  const { logger, protocol } = await connect({ verify: '+OK 00' });
+  assert.equal(await protocol.verifyBytecode(rite(16)), false);
+  assert.match(logger.errors[0], /^Verify failed\. expected=0x[0-9a-f]{2} got=0x00$/);
+});
+
+test('flashPlan skips writing when the board CRC matches', async () => {
+  const bin = rite(16);
+  const { transport, logger, protocol } = await connect({ verify: '+OK ' + hex(calculateCrc8(bin, PROFILE.crcPoly)) });
+  assert.equal(await protocol.flashPlan([bin], [], { skipIfUnchanged: true }), true);
+  assert.deepEqual(transport.commands, ['verify']);
+  assert.match(logger.infos.join('\n'), /Flash skipped\./);
+});
+
+test('flashPlan writes when the board CRC differs', async () => {
+  const { transport, protocol } = await connect({ verify: '+OK 00' });
+  assert.equal(await protocol.flashPlan([rite(16)], [], { skipIfUnchanged: true }), true);
+  assert.deepEqual(transport.commands, ['verify', 'clear', 'write 16']);
+});
+
+test('flashPlan refuses bytecode the firmware cannot load', async () => {
+  let incompatible = null;
+  const { transport, logger, protocol } = await connect({}, { onIncompatibleBytecode: (e) => { incompatible = e; } });
+  assert.equal(await protocol.flashPlan([rite(16, '0400')], ['a.rb']), false);
+  assert.deepEqual(transport.commands, []);
+  assert.equal(incompatible.bytecodeRite, '0400');
+  assert.match(logger.errors[0], /is RITE0400 bytecode.*loads RITE0300/);
+});
+
+test('operations run one at a time and report busy state', async () => {
+  const busy = [];
+  const { transport, protocol } = await connect({}, { onBusyChange: (on, label) => busy.push([on, label]) });
+  const first = protocol.sendCommand('version');
+  const second = protocol.sendCommand('clear');
+  assert.equal(protocol.busy, true);
+  await sleep(0);
+  assert.deepEqual(transport.commands, ['version']);
+  assert.deepEqual(await Promise.all([first, second]), ['+OK mruby/c v3.3.1', '+OK']);
+  assert.deepEqual(transport.commands, ['version', 'clear']);
+  assert.equal(protocol.busy, false);
+  assert.deepEqual(busy, [[true, 'version'], [true, 'clear'], [false, null]]);
+});
+
+test('cancel during a chunked write pads with zeros and then clears', async () => {
+  const { transport, logger, protocol } = await connect();
+  const bin = rite(32);
+  const result = protocol.flashPlan([bin], [], {
+    chunkSize: 8,
+    chunkDelay: 5,
+    onProgress: (p) => { if (p.sent === 8) protocol.cancel(); }
+  });
+  assert.equal(await result, null);
+  assert.equal(protocol.busy, false);
+  assert.deepEqual(transport.commands, ['clear', 'write 32', 'clear']);
+  const padding = transport.tx[transport.tx.length - 2];
+  assert.deepEqual(padding, new Uint8Array(24));
+  assert.deepEqual(transport.program, []);
+  assert.ok(logger.infos.includes('Cancelled.'));
+  assert.ok(logger.infos.includes('Board cleared.'));
+});
+
+test('cancel drops the running and queued operations', async () => {
+  const { transport, protocol } = await connect();
+  const first = protocol.sendCommand('version');
+  const second = protocol.sendCommand('clear');
+  protocol.cancel();
+  assert.deepEqual(await Promise.all([first, second]), [null, null]);
+  assert.deepEqual(transport.commands, ['version']);
+});
+
+test('flashPlan fails on -ERR replies', async () => {
+  const { logger, protocol } = await connect({ write: '-ERR Out of memory.' });
+  assert.equal(await protocol.flashPlan([rite(16)], ['a.rb']), false);
+  assert.equal(logger.errors[0], 'write command failed (slot 0 (a.rb)): -ERR Out of memory.');
+
+  const cleared = await connect({ clear: '-ERR Illegal command.' });
+  assert.equal(await cleared.protocol.flashPlan([rite(16)]), false);
+  assert.equal(cleared.logger.errors[0], 'clear failed: -ERR Illegal command.');
+
+  const done = await connect({ done: '-ERR Write failed.' });
+  assert.equal(await done.protocol.flashPlan([rite(16)]), false);
+  assert.equal(done.logger.errors[0], 'Slot 0 write failed: -ERR Write failed.');
+});
+
+test('commands time out when the board does not answer', async () => {
+  const { protocol } = await connect({ version: null });
+  const started = Date.now();
+  assert.equal(await protocol.sendCommand('version'), null);
+  assert.ok(Date.now() - started >= PROFILE.timeouts.response - 5);
+  assert.equal(protocol.busy, false);
+});
+
+test('flashPlan fails when +DONE does not arrive', async () => {
+  const { logger, protocol } = await connect({ done: null });
+  assert.equal(await protocol.flashPlan([rite(16)]), false);
+  assert.equal(logger.errors[0], 'Slot 0 response timeout or unexpected: null');
+});
+
+test('a disconnect answers the pending command with null', async () => {
+  const { transport, protocol } = await connect({ version: null });
+  const pending = protocol.sendCommand('version');
+  await sleep(0);
+  transport._onClose();
+  assert.equal(await pending, null);
+  assert.equal(protocol.commandMode, false);
+});
+
+test('parseSession reads what SessionRecorder wrote', () => {
+  const recorder = new SessionRecorder();
+  recorder.record('open', { baudRate: 19200 });
+  recorder.record('tx', encoder.encode('version\r\n'));
+  recorder.record('rx', encoder.encode('+OK\r\n'));
+  recorder.record('break', 100);
+  recorder.record('close');
+  const session = parseSession(recorder.serialize());
+  assert.deepEqual(session.profile, { baudRate: 19200 });
+  assert.deepEqual(session.events.map((ev) => ev.type), ['open', 'tx', 'rx', 'break', 'close']);
+  assert.equal(decoder.decode(session.events[1].data), 'version\r\n');
+  assert.equal(session.events[3].data, 100);
+});
+
+test('parseSession rejects other files', () => {
+  assert.throws(() => parseSession('{"format":"other","events":[]}'), /Not a kaniburner session file/);
+  assert.throws(() => parseSession('{"format":"kaniburner-session","version":2,"events":[]}'), /Unsupported session file version: 2/);
+  assert.throws(() => parseSession('{"format":"kaniburner-session","version":1,"events":[{"t":0,"type":"x"}]}'), /Broken session event at 0/);
+});
+
+// 実際のやりとりを記録し，同じ操作を ReplayTransport で再生する
+async function recordFlash() {
+  const { transport, serial, protocol } = await connect({}, { banner: false });
+  serial.recorder = new SessionRecorder();
+  serial.recorder.record('open', PROFILE);
+  const entering = protocol.ensureCommandMode();
+  await sleep(10);
+  transport.send(BANNER);
+  await entering;
+  await protocol.flashPlan([rite(16)]);
+  await serial.disconnect();
+  return parseSession(serial.recorder.serialize());
+}
+
+test('ReplayTransport plays a recorded session back', async () => {
+  const session = await recordFlash();
+  const logger = createLogger();
+  const mismatches = [];
+  let ended = false;
+  let protocol;
+  const serial = new SerialComm({ onLineReceived: (line, partial) => protocol.handleLineReceived(line, partial) });
+  protocol = new MrbwriteProtocol(serial, logger, { profile: PROFILE });
+  const replay = new ReplayTransport(session, {
+    speed: 10,
+    onMismatch: (expected, sent) => mismatches.push([expected, sent]),
+    onEnd: () => { ended = true; }
+  });
+  await serial.connect(replay);
+  assert.equal(await protocol.ensureCommandMode(), true);
+  assert.equal(await protocol.flashPlan([rite(16)]), true);
+  await sleep(10);
+  assert.deepEqual(mismatches, []);
+  assert.equal(ended, true);
+  assert.equal(serial.connected, false);
+});
+
+test('ReplayTransport reports sends that differ from the recording', async () => {
+  const session = await recordFlash();
+  const mismatches = [];
+  let protocol;
+  const serial = new SerialComm({ onLineReceived: (line, partial) => protocol.handleLineReceived(line, partial) });
+  protocol = new MrbwriteProtocol(serial, createLogger(), { profile: PROFILE });
+  await serial.connect(new ReplayTransport(session, { speed: 10, onMismatch: (expected, sent) => mismatches.push(sent) }));
+  await protocol.ensureCommandMode();
+  await protocol.flashPlan([rite(20)]);
+  assert.ok(mismatches.length > 0);
+  assert.equal(decoder.decode(mismatches[0].data), 'write 20\r\n');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePlotLine, PlotData } = require('../src/plotter');
+
+test('parsePlotLine numbers unnamed values in order', () => {
+  assert.deepEqual(parsePlotLine('1.5 2.0'), { 1: 1.5, 2: 2 });
+  assert.deepEqual(parsePlotLine('1.5,2.0;-3'), { 1: 1.5, 2: 2, 3: -3 });
+  assert.deepEqual(parsePlotLine('  .5\t1e3 +2  '), { 1: 0.5, 2: 1000, 3: 2 });
+});
+
+test('parsePlotLine reads key:value and key=value pairs', () => {
+  assert.deepEqual(parsePlotLine('temp:23.5 hum:40'), { temp: 23.5, hum: 40 });
+  assert.deepEqual(parsePlotLine('temp = 23.5, hum=40'), { temp: 23.5, hum: 40 });
+  assert.deepEqual(parsePlotLine('temp:23.5 7'), { temp: 23.5, 1: 7 });
+});
+
+test('parsePlotLine ignores lines that are not only values', () => {
+  for (const line of ['', '   ', '+OK', '-ERR Out of memory.', 'count 3', 'temp:hot', ':5', '1.2.3']) {
+    assert.equal(parsePlotLine(line), null, line);
+  }
+});
+
+test('PlotData keeps the series in the order they appear', () => {
+  let changes = 0;
+  const data = new PlotData({ onChange: () => changes++ });
+  assert.equal(data.addLine('a:1', 0), true);
+  assert.equal(data.addLine('mruby/c ready', 1), false);
+  assert.equal(data.addLine('b:2 a:3', 2), true);
+  assert.deepEqual(data.names, ['a', 'b']);
+  assert.deepEqual(data.rows, [{ t: 0, values: { a: 1 } }, { t: 2, values: { b: 2, a: 3 } }]);
+  assert.equal(changes, 2);
+  data.clear();
+  assert.deepEqual(data.names, []);
+  assert.deepEqual(data.rows, []);
+  assert.equal(changes, 3);
+});
+
+test('PlotData drops the oldest rows beyond maxPoints', () => {
+  const data = new PlotData({ maxPoints: 2 });
+  for (let i = 0; i < 5; i++) data.add({ x: i }, i);
+  assert.deepEqual(data.rows.map((row) => row.values.x), [3, 4]);
+});
+
+test('toCSV writes one column per series and leaves missing values empty', () => {
+  const data = new PlotData();
+  data.addLine('a:1', 0);
+  data.addLine('a"b:2 a:3', 1500);
+  assert.equal(data.toCSV(), [
+    'time,elapsed,a,"a""b"',
+    '1970-01-01T00:00:00.000Z,0.000,1,',
+    '1970-01-01T00:00:01.500Z,1.500,3,2',
+    ''
+  ].join('\r\n'));
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BOARD_PROFILES, DEFAULT_PROFILE, normalizeProfile, resolveBoardProfiles, matchBoardProfiles, detectBoardProfile, usbFilters
+} = require('../src/mrbwrite');
+
+test('normalizeProfile fills in the defaults and reads hex strings', () => {
+  const p = normalizeProfile('mine', { baudRate: 115200, crcPoly: '0x07', timeouts: { response: 500 } });
+  assert.equal(p.label, 'mine');
+  assert.equal(p.baudRate, 115200);
+  assert.equal(p.crcPoly, 0x07);
+  assert.equal(p.timeouts.response, 500);
+  assert.equal(p.timeouts.write, DEFAULT_PROFILE.timeouts.write);
+  assert.equal(p.lineTerminator, '\r\n');
+});
+
+test('normalizeProfile rejects unknown keys and bad values', () => {
+  assert.throws(() => normalizeProfile('mine', []), /^Error: Board profile "mine": must be an object\.$/);
+  assert.throws(() => normalizeProfile('mine', { baud: 9600 }), /unknown key "baud"\./);
+  assert.throws(() => normalizeProfile('mine', { parity: 'mark' }), /"parity" must be none, even or odd\./);
+  assert.throws(() => normalizeProfile('mine', { crcPoly: 0x131 }), /"crcPoly" must be an 8-bit value\./);
+  assert.throws(() => normalizeProfile('mine', { banner: '(' }), /"banner" is not a valid regular expression/);
+  assert.throws(() => normalizeProfile('mine', { timeouts: { boot: 10 } }), /unknown timeout "boot"\./);
+  assert.throws(() => normalizeProfile('mine', { chunkDelay: -1 }), /"chunkDelay" must be a non-negative integer\./);
+});
+
+test('extends starts from another profile and merges its timeouts', () => {
+  const base = normalizeProfile('base', { baudRate: 57600, chunkSize: 32, timeouts: { response: 300 } });
+  const p = normalizeProfile('child', { extends: 'base', label: 'Child', timeouts: { write: 900 } }, { base });
+  assert.equal(p.label, 'Child');
+  assert.equal(p.baudRate, 57600);
+  assert.equal(p.chunkSize, 32);
+  assert.equal(p.timeouts.response, 300);
+  assert.equal(p.timeouts.write, 900);
+  assert.equal('extends' in p, false);
+  assert.throws(() => normalizeProfile('child', { extends: 'nope' }, { base }), /unknown profile in "extends": nope/);
+  assert.throws(() => normalizeProfile('child', { extends: 'toString' }, { base }), /unknown profile in "extends"/);
+});
+
+test('resolveBoardProfiles follows extends chains through earlier profiles', () => {
+  const { profiles, errors } = resolveBoardProfiles({
+    fast: { extends: 'kani', baudRate: 115200 },
+    faster: { extends: 'fast', chunkDelay: 0 },
+    loop: { extends: 'later' },
+    later: { baudRate: 9600 }
+  });
+  assert.equal(profiles.fast.baudRate, 115200);
+  assert.equal(profiles.fast.sim, 'pico');
+  assert.equal(profiles.faster.baudRate, 115200);
+  assert.equal(profiles.faster.chunkSize, BOARD_PROFILES.kani.chunkSize);
+  assert.equal(profiles.faster.chunkDelay, 0);
+  assert.equal(profiles.faster.label, 'faster');
+  assert.equal('loop' in profiles, false);
+  assert.deepEqual(errors, ['Board profile "loop": unknown profile in "extends": later']);
+});
+
+test('resolveBoardProfiles lets a custom profile replace a built-in one', () => {
+  const { profiles, errors } = resolveBoardProfiles({ esp32: { extends: 'esp32', baudRate: 921600 } });
+  assert.deepEqual(errors, []);
+  assert.equal(profiles.esp32.baudRate, 921600);
+  assert.deepEqual(profiles.esp32.usb, BOARD_PROFILES.esp32.usb);
+  assert.equal(BOARD_PROFILES.esp32.baudRate, 115200);
+});
+
+test('normalizeProfile reads USB IDs written as hex strings', () => {
+  const p = normalizeProfile('mine', { usb: [{ vendorId: '2e8a', productId: '0x000A' }, { vendorId: 0x303a }] });
+  assert.deepEqual(p.usb, [{ vendorId: 0x2e8a, productId: 0x0a }, { vendorId: 0x303a }]);
+  assert.throws(() => normalizeProfile('mine', { usb: { vendorId: 1 } }), /"usb" must be an array/);
+  assert.throws(() => normalizeProfile('mine', { usb: [{ vendorId: 0x10000 }] }), /"usb\[0\]\.vendorId" must be a 16-bit value\./);
+  assert.throws(() => normalizeProfile('mine', { usb: [{ vendorId: 1, productId: 'pico' }] }), /"usb\[0\]\.productId" must be a 16-bit value\./);
+  assert.throws(() => normalizeProfile('mine', { usb: [{ vendorId: 1, serial: 'x' }] }), /unknown key "usb\[0\]\.serial"\./);
+});
+
+test('matchBoardProfiles finds the built-in boards by VID and PID', () => {
+  assert.deepEqual(matchBoardProfiles(BOARD_PROFILES, '2e8a', '000a'), ['kani']);
+  assert.deepEqual(matchBoardProfiles(BOARD_PROFILES, 0x1a86, 0x7523), ['esp32']);
+  assert.deepEqual(matchBoardProfiles(BOARD_PROFILES, '1a86', '1234'), []);
+  assert.deepEqual(matchBoardProfiles(BOARD_PROFILES, undefined, undefined), []);
+});
+
+test('matchBoardProfiles puts PID matches before VID-only matches', () => {
+  const { profiles } = resolveBoardProfiles({ s3: { extends: 'esp32', usb: [{ vendorId: 0x303a, productId: 0x1001 }] } });
+  assert.deepEqual(matchBoardProfiles(profiles, '303a', '1001'), ['s3', 'esp32']);
+  assert.deepEqual(matchBoardProfiles(profiles, '303a', '0002'), ['esp32']);
+});
+
+test('detectBoardProfile prefers the selected profile and gives up when unsure', () => {
+  const { profiles } = resolveBoardProfiles({ s3: { extends: 'esp32', usb: [{ vendorId: 0x303a, productId: 0x1001 }] } });
+  assert.equal(detectBoardProfile(profiles, '2e8a', '000a', 'rboard'), 'kani');
+  assert.equal(detectBoardProfile(profiles, '303a', '1001', 'esp32'), 'esp32');
+  assert.equal(detectBoardProfile(profiles, '303a', '1001', 'kani'), null);
+  assert.equal(detectBoardProfile(profiles, '0403', '6001', 'kani'), null);
+});
+
+test('usbFilters lists each USB rule once for requestPort()', () => {
+  const copy = normalizeProfile('copy', { usb: [{ vendorId: 0x2e8a }, { vendorId: 0x303a }] });
+  assert.deepEqual(usbFilters([BOARD_PROFILES.kani, BOARD_PROFILES.rboard, copy]), [
+    { usbVendorId: 0x2e8a },
+    { usbVendorId: 0x303a }
+  ]);
+  assert.deepEqual(usbFilters([BOARD_PROFILES.esp32]).slice(0, 1), [{ usbVendorId: 0x10c4, usbProductId: 0xea60 }]);
+});
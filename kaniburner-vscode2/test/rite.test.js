@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isRiteSupported, parseRite, riteTree, formatDisassembly, cSymbolFor, toCSource, checkRite } = require('../src/rite');
+
+// ヘッダ（20 バイト）と END セクションだけの RITE バイナリ
+const riteBinary = (version) => {
+  const bytes = new Uint8Array(28);
+  bytes.set(new TextEncoder().encode('RITE' + version));
+  new DataView(bytes.buffer).setUint32(8, bytes.length);
+  bytes.set(new TextEncoder().encode('MATZ0000END\0'), 12);
+  new DataView(bytes.buffer).setUint32(24, 8);
+  return bytes;
+};
+
+// ヘッダのあとに中身のないセクションを並べた RITE バイナリ
+const riteWithSections = (idents) => {
+  const bytes = new Uint8Array(20 + idents.length * 8);
+  const view = new DataView(bytes.buffer);
+  bytes.set(new TextEncoder().encode('RITE0300'));
+  view.setUint32(8, bytes.length);
+  bytes.set(new TextEncoder().encode('MATZ0000'), 12);
+  idents.forEach((ident, i) => {
+    bytes.set(new TextEncoder().encode(ident.padEnd(4, '\0')), 20 + i * 8);
+    view.setUint32(24 + i * 8, 8);
+  });
+  return bytes;
+};
+
+test('parseRite reads only the header of RITE versions other than 03xx', () => {
+  const rite = parseRite(riteBinary('0400'));
+  assert.equal(rite.header.version, '0400');
+  assert.deepEqual(rite.sections, []);
+  assert.equal(rite.irep, null);
+  assert.deepEqual(rite.errors, ['RITE version 0400 is not supported (only RITE03xx from mruby 3.x); showing the header only.']);
+  assert.deepEqual(riteTree(rite).map((n) => n.label), ['Header']);
+  assert.match(formatDisassembly(rite), /^; RITE0400 MATZ0000, 28 bytes\n; error: RITE version 0400 is not supported/);
+});
+
+test('parseRite reads the sections of RITE03xx', () => {
+  const rite = parseRite(riteBinary('0300'));
+  assert.deepEqual(rite.sections.map((s) => s.ident), ['END']);
+  assert.deepEqual(rite.errors, ['No IREP section.']);
+});
+
+test('isRiteSupported accepts RITE03xx only', () => {
+  assert.equal(isRiteSupported('0300'), true);
+  assert.equal(isRiteSupported('0301'), true);
+  assert.equal(isRiteSupported('0400'), false);
+  assert.equal(isRiteSupported('0200'), false);
+});
+
+test('cSymbolFor makes a C identifier from the file name', () => {
+  assert.equal(cSymbolFor('led-task.rb'), 'led_task_mrb');
+  assert.equal(cSymbolFor('src/main.mrb'), 'main_mrb');
+  assert.equal(cSymbolFor('C:\\work\\blink.rb'), 'blink_mrb');
+  assert.equal(cSymbolFor('1st.rb'), '_1st_mrb');
+  assert.equal(cSymbolFor('notes.txt'), 'notes_txt_mrb');
+});
+
+test('toCSource writes 16 bytes per line like mrbc -B', () => {
+  const bytes = Uint8Array.from({ length: 18 }, (_, i) => i * 15);
+  assert.equal(toCSource(bytes, 'main_mrb'), [
+    '#include <stdint.h>',
+    '#ifdef __cplusplus',
+    'extern const uint8_t main_mrb[];',
+    '#endif',
+    'const uint8_t',
+    'main_mrb[] = {',
+    '0x00,0x0f,0x1e,0x2d,0x3c,0x4b,0x5a,0x69,0x78,0x87,0x96,0xa5,0xb4,0xc3,0xd2,0xe1,',
+    '0xf0,0xff,',
+    '};',
+    ''
+  ].join('\n'));
+  assert.match(toCSource(bytes, 'main_mrb', { isStatic: true }), /\n#endif\nstatic\nconst uint8_t\nmain_mrb\[\] = \{\n/);
+});
+
+test('checkRite accepts a binary that starts with IREP and ends with END', () => {
+  assert.equal(checkRite(riteWithSections(['IREP', 'DBG', 'END'])), null);
+});
+
+test('checkRite explains why a file cannot be written', () => {
+  assert.equal(checkRite(new Uint8Array(10)), 'Too short for a RITE binary (10 bytes).');
+  const notRite = riteWithSections(['IREP', 'END']);
+  notRite.set(new TextEncoder().encode('ELF\0'));
+  assert.equal(checkRite(notRite), 'Not a RITE binary (ident "ELF\0").');
+  const badVersion = riteWithSections(['IREP', 'END']);
+  badVersion.set(new TextEncoder().encode('03x0'), 4);
+  assert.equal(checkRite(badVersion), 'Broken RITE version "03x0".');
+  const padded = new Uint8Array(40);
+  padded.set(riteWithSections(['IREP', 'END']));
+  assert.equal(checkRite(padded), 'Header says 36 bytes, but the file has 40 (truncated or padded).');
+  assert.equal(checkRite(riteWithSections(['LVAR', 'END'])), 'No IREP section.');
+  assert.equal(checkRite(riteWithSections(['IREP', 'DBG'])), 'No END section at the end of the file.');
+  const broken = riteWithSections(['IREP', 'END']);
+  new DataView(broken.buffer).setUint32(32, 100);
+  assert.equal(checkRite(broken), 'Section END at 0x001c has a broken size (100).');
+});
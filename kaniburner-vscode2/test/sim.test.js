@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SIM_DEVICE, SIM_BOARDS, simBoardFor, shimSource, SharedText, SimState } = require('../src/sim');
+
+test('simBoardFor picks the board named by the profile sim', () => {
+  assert.equal(simBoardFor(undefined), SIM_BOARDS.generic);
+  assert.equal(simBoardFor({ key: 'custom' }), SIM_BOARDS.generic);
+  assert.equal(simBoardFor({ sim: 'pico' }), SIM_BOARDS.pico);
+  assert.equal(simBoardFor({ sim: 'arduino' }), null);
+});
+
+test('shimSource fills in the ADC range, pull-ups and board methods', () => {
+  const shim = shimSource(SIM_BOARDS.rboard);
+  assert.match(shim, /^# Kaniburner: simulated peripherals \(RBoard\)\n/);
+  assert.match(shim, /\n  VREF = 3\.300\n  ADC_MAX = 1023\n/);
+  assert.ok(shim.includes(`@out = File.open("${SIM_DEVICE}", "w")`));
+  assert.ok(shim.includes('@levels = { "SW1" => 1 }'));
+  assert.ok(shim.endsWith(SIM_BOARDS.rboard.ruby + '\n'));
+  assert.ok(shimSource(SIM_BOARDS.generic).includes('@levels = {}'));
+  assert.ok(shimSource(SIM_BOARDS.generic).includes('ADC_MAX = 4095'));
+});
+
+test('SharedText passes the latest text through the shared buffer', () => {
+  const host = new SharedText();
+  const worker = new SharedText(host.buffer);
+  assert.equal(worker.read(), '');
+  host.write('gpio 25 1\nadc 26 1.65\n');
+  assert.equal(worker.read(), 'gpio 25 1\nadc 26 1.65\n');
+  host.write('i2c 72 0a ff\n');
+  assert.equal(worker.read(), 'i2c 72 0a ff\n');
+});
+
+test('SharedText drops what does not fit', () => {
+  const text = new SharedText(new SharedArrayBuffer(8 + 4));
+  text.write('gpio 1 0\n');
+  assert.equal(text.read(), 'gpio');
+});
+
+test('SimState shows the board LEDs and switches before anything runs', () => {
+  const state = new SimState(SIM_BOARDS.rboard);
+  assert.deepEqual(state.pins.LED1, { mode: 'out', level: 0 });
+  assert.deepEqual(state.pins.SW1, { mode: 'in_pullup', level: null });
+  assert.equal(state.inputsText(), 'gpio SW1 1\n');
+});
+
+test('SimState applies the lines written by the shim', () => {
+  let changes = 0;
+  const inputs = [];
+  const state = new SimState(SIM_BOARDS.generic, { onChange: () => changes++, onInput: (text) => inputs.push(text) });
+  changes = 0;
+  assert.equal(state.apply('mode 5 out'), true);
+  assert.equal(state.apply('gpio 5 1'), true);
+  assert.equal(state.apply('mode 6 in_pullup'), true);
+  assert.equal(state.apply('pwm 7 1000 150'), true);
+  assert.equal(state.apply('adc 26'), true);
+  assert.equal(state.apply('i2c 72 w 01 02'), true);
+  assert.equal(state.apply('i2c 72 r 2'), true);
+  assert.equal(state.apply('hello'), false);
+  assert.equal(changes, 7);
+  assert.deepEqual(state.pins['5'], { mode: 'out', level: 1 });
+  assert.deepEqual(state.pwm['7'], { frequency: 1000, duty: 100 });
+  assert.deepEqual(state.adc, ['26']);
+  assert.deepEqual(state.i2c['72'], { written: '01 02', reads: 1 });
+  assert.equal(inputs[inputs.length - 1], 'gpio 6 1\nadc 26 0\ni2c 72 \n');
+});
+
+test('SimState.reset clears the outputs and keeps the inputs', () => {
+  const state = new SimState(SIM_BOARDS.pico);
+  state.apply('gpio 25 1');
+  state.apply('adc 26');
+  state.setInput('adc', '26', 2.5);
+  state.reset();
+  assert.deepEqual(state.pins, { 25: { mode: 'out', level: 0 } });
+  assert.deepEqual(state.adc, []);
+  assert.equal(state.inputsText(), 'adc 26 2.5\n');
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SerialComm, MrbwriteProtocol, normalizeProfile, calculateCrc8 } = require('../src/mrbwrite');
+const { MrbwriteSimulator } = require('../tools/simulator');
+
+const encoder = new TextEncoder();
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const PROFILE = normalizeProfile('test', { timeouts: { response: 100, write: 200, commandMode: 1000 } });
+
+const createLogger = () => {
+  const logger = { infos: [], errors: [] };
+  logger.info = (msg) => logger.infos.push(msg);
+  logger.error = (msg) => logger.errors.push(msg);
+  return logger;
+};
+
+// シミュレータにつないだ SerialComm / MrbwriteProtocol を作る
+async function connect(options) {
+  const sim = new MrbwriteSimulator(options);
+  const transport = sim.createTransport();
+  const logger = createLogger();
+  let protocol;
+  const serial = new SerialComm({
+    onLineReceived: (line, partial) => protocol.handleLineReceived(line, partial),
+    onDisconnect: () => protocol.handleDisconnect()
+  });
+  protocol = new MrbwriteProtocol(serial, logger, { profile: PROFILE });
+  await serial.connect(transport);
+  return { sim, transport, logger, serial, protocol };
+}
+
+// ensureCommandMode() は 1 秒ごとに試すので，改行を送ってバナーを待つ
+async function enterCommandMode({ serial, protocol }) {
+  await serial.sendText('\r\n');
+  for (let i = 0; i < 50 && !protocol.commandMode; i++) await sleep(10);
+  assert.equal(protocol.commandMode, true);
+}
+
+const rite = (size) => {
+  const bin = new Uint8Array(size);
+  bin.set(encoder.encode('RITE0300'));
+  for (let i = 8; i < size; i++) bin[i] = (i * 7) & 0xff;
+  return bin;
+};
+
+test('the simulator prints its banner and enters command mode', async () => {
+  const board = await connect();
+  assert.equal(board.sim.state, 'boot');
+  assert.equal(await board.protocol.ensureCommandMode(), true);
+  assert.equal(board.sim.state, 'command');
+});
+
+test('flashPlan writes every slot into the simulator', async () => {
+  const board = await connect();
+  await enterCommandMode(board);
+  const slots = [rite(40), rite(24)];
+  assert.equal(await board.protocol.flashPlan(slots, [], { verify: true, chunkSize: 16, chunkDelay: 1 }), true);
+  assert.deepEqual(board.sim.slots.map((s) => [...s]), slots.map((s) => [...s]));
+  assert.equal(await board.protocol.sendCommand('showprog'), '+OK');
+});
+
+test('skipIfUnchanged leaves the simulator untouched when the CRC matches', async () => {
+  const board = await connect();
+  await enterCommandMode(board);
+  const slots = [rite(32)];
+  await board.protocol.flashPlan(slots);
+  const commands = [];
+  board.sim.on('command', (line) => commands.push(line));
+  assert.equal(await board.protocol.flashPlan(slots, [], { skipIfUnchanged: true }), true);
+  assert.deepEqual(commands, ['verify']);
+});
+
+test('verify uses the CRC polynomial of the simulated board', async () => {
+  const board = await connect({ crcPoly: 0x07 });
+  await enterCommandMode(board);
+  const bin = rite(16);
+  await board.protocol.flashPlan([bin]);
+  assert.equal(await board.protocol.readBoardCrc(), calculateCrc8(bin, 0x07));
+  assert.equal(await board.protocol.verifyBytecode(bin), false);
+  assert.equal(await board.protocol.verifyBytecode(bin, 0x07), true);
+});
+
+test('the firmware version comes from the version command', async () => {
+  const board = await connect({ version: 'mruby/c v3.3 RITE0300 MRBW1.2' });
+  await enterCommandMode(board);
+  const fw = await board.protocol.readFirmwareVersion();
+  assert.equal(fw.mrubyc, '3.3');
+  assert.equal(fw.rite, '0300');
+});
+
+test('execute starts the program and leaves command mode', async () => {
+  const board = await connect();
+  await enterCommandMode(board);
+  assert.equal(await board.protocol.executeProgram(), true);
+  await sleep(10);
+  assert.equal(board.sim.state, 'running');
+  assert.equal(board.protocol.commandMode, false);
+});
+
+test('break resets the simulator and command mode is entered again', async () => {
+  const board = await connect();
+  await enterCommandMode(board);
+  await board.protocol.executeProgram();
+  const states = [];
+  board.sim.on('state', (state) => states.push(state));
+  assert.equal(await board.protocol.breakAndEnterCommandMode(), true);
+  assert.deepEqual(states, ['boot', 'command']);
+});
+
+test('error replies make the write fail', async () => {
+  const board = await connect({ errors: { write: '-ERR Out of memory.' } });
+  await enterCommandMode(board);
+  assert.equal(await board.protocol.flashPlan([rite(16)]), false);
+  assert.equal(board.logger.errors[0], 'write command failed (slot 0): -ERR Out of memory.');
+  assert.deepEqual(board.sim.slots, []);
+});
+
+test('writes beyond the capacity are refused', async () => {
+  const board = await connect({ capacity: 48 });
+  await enterCommandMode(board);
+  assert.equal(await board.protocol.flashPlan([rite(32), rite(32)]), false);
+  assert.equal(board.logger.errors[0], 'write command failed (slot 1): -ERR Out of memory.');
+});
+
+test('replies slower than the timeout are treated as no response', async () => {
+  const board = await connect();
+  await enterCommandMode(board);
+  board.sim.delay = PROFILE.timeouts.response * 2;
+  assert.equal(await board.protocol.sendCommand('version'), null);
+  board.sim.delay = PROFILE.timeouts.response / 4;
+  await sleep(PROFILE.timeouts.response * 2);
+  assert.match(await board.protocol.sendCommand('version'), /^\+OK mruby\/c/);
+});
+
+test('dropped bytes leave the host without a banner', async () => {
+  const board = await connect({ dropRate: 1 });
+  assert.equal(await board.protocol.ensureCommandMode(), false);
+  assert.equal(board.sim.state, 'command');
+  assert.match(board.logger.errors[0], /^Command mode transition timed out/);
+});
+
+test('a dropped byte breaks the +DONE reply', async (t) => {
+  const board = await connect();
+  await enterCommandMode(board);
+  await board.protocol.readFirmwareVersion();
+  // "+OK\r\n" (clear) と "+OK Write bytecode.\r\n" (write) の次，+DONE の先頭の 1 バイトだけ落とす
+  let n = 0;
+  board.sim.dropRate = 0.5;
+  t.mock.method(Math, 'random', () => (n++ === 26 ? 0 : 1));
+  assert.equal(await board.protocol.flashPlan([rite(16)]), false);
+  assert.equal(board.logger.errors[0], 'Slot 0 response timeout or unexpected: null');
+  assert.equal(board.sim.slots.length, 1);
+});
+
+test('unplugging the transport disconnects the host', async () => {
+  const board = await connect();
+  await enterCommandMode(board);
+  board.transport.unplug();
+  assert.equal(board.serial.connected, false);
+  assert.equal(board.protocol.commandMode, false);
+});
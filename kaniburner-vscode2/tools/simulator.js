@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+// mrbwrite 対応ボードのシミュレータ．
+// 実機なしで SerialComm / MrbwriteProtocol を動かすためのもの．
+//
+//   プロセス内: const sim = new MrbwriteSimulator(); await serial.connect(sim.createTransport());
+//   擬似端末:   socat -d -d pty,raw,echo=0,link=/tmp/kani-board pty,raw,echo=0,link=/tmp/kani-host
+//               node tools/simulator.js /tmp/kani-board   (拡張からは /tmp/kani-host に接続)
+const { EventEmitter } = require('node:events');
+const { calculateCrc8 } = require('../src/serial');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const COMMANDS = ['version', 'clear', 'write', 'showprog', 'verify', 'execute', 'reset', 'help'];
+
+class MrbwriteSimulator extends EventEmitter {
+  // delay:    応答ごとの遅延 (ms)
+  // dropRate: ボードが送信するバイトを落とす確率 (0〜1)
+  // errors:   コマンド名 → 応答の置き換え（例: { write: '-ERR Out of memory.' }）
+  constructor({
+    banner = 'mruby/c simulator',
+    version = 'mruby/c v3.3 RITE0300 MRBW1.2',
+    crcPoly = 0x31,
+    capacity = 0x10000,
+    delay = 0,
+    dropRate = 0,
+    errors = {}
+  } = {}) {
+    super();
+    this.banner = banner;
+    this.version = version;
+    this.crcPoly = crcPoly;
+    this.capacity = capacity;
+    this.delay = delay;
+    this.dropRate = dropRate;
+    this.errors = errors;
+    this.slots = [];
+    this._outQueue = Promise.resolve();
+    this.reset();
+  }
+
+  // 電源投入直後の状態に戻す．書き込み済みのスロットは残る．
+  reset() {
+    this.state = 'boot';
+    this._line = '';
+    this._skipLF = false;
+    this._pending = null;
+    this.emit('state', this.state);
+  }
+
+  // break 信号．実機と同じくリセットされる．
+  sendBreak() {
+    this.reset();
+  }
+
+  // ホストから受信したバイト列を処理する
+  receive(data) {
+    const bytes = Uint8Array.from(data);
+    for (let i = 0; i < bytes.length; i++) {
+      if (this._pending) {
+        const n = Math.min(this._pending.size - this._pending.received, bytes.length - i);
+        this._pending.buf.set(bytes.subarray(i, i + n), this._pending.received);
+        this._pending.received += n;
+        i += n - 1;
+        if (this._pending.received === this._pending.size) this._finishWrite();
+        continue;
+      }
+      this._receiveChar(bytes[i]);
+    }
+  }
+
+  // 行末は LF で判定する（CR は無視）
+  _receiveChar(c) {
+    const skipLF = this._skipLF;
+    this._skipLF = false;
+    if (this.state === 'boot') {
+      if (c !== 0x0d && c !== 0x0a) return;
+      this.state = 'command';
+      this._skipLF = c === 0x0d;
+      this.emit('state', this.state);
+      this._reply(`+OK ${this.banner}`);
+      return;
+    }
+    if (this.state !== 'command' || c === 0x0d) return;
+    if (c !== 0x0a) { this._line += String.fromCharCode(c); return; }
+    if (skipLF) return;
+    const line = this._line.trim();
+    this._line = '';
+    this._handleCommand(line);
+  }
+
+  _handleCommand(line) {
+    if (!line) { this._reply(`+OK ${this.banner}`); return; }
+    const [cmd, arg] = line.split(/\s+/);
+    this.emit('command', line);
+    if (Object.prototype.hasOwnProperty.call(this.errors, cmd)) {
+      this._reply(this.errors[cmd]);
+      return;
+    }
+    switch (cmd) {
+      case 'version':
+        this._reply(`+OK ${this.version}`);
+        break;
+      case 'help':
+        this._reply('+OK', ...COMMANDS.map((c) => `  ${c}`));
+        break;
+      case 'clear':
+        this.slots = [];
+        this._reply('+OK');
+        break;
+      case 'write': {
+        const size = Number(arg);
+        const used = this.slots.reduce((n, s) => n + s.length, 0);
+        if (!Number.isInteger(size) || size <= 0) {
+          this._reply('-ERR Illegal size.');
+        } else if (used + size > this.capacity) {
+          this._reply('-ERR Out of memory.');
+        } else {
+          this._pending = { size, received: 0, buf: new Uint8Array(size) };
+          this._reply('+OK Write bytecode.');
+        }
+        break;
+      }
+      case 'showprog':
+        this._reply(...this.slots.map((s, i) => `  slot ${i}: ${s.length} bytes`), '+OK');
+        break;
+      case 'verify': {
+        const crc = calculateCrc8(Buffer.concat(this.slots), this.crcPoly);
+        this._reply(`+OK ${crc.toString(16).padStart(2, '0')}`);
+        break;
+      }
+      case 'execute':
+        this._reply('+OK Execute mruby/c.');
+        this.state = 'running';
+        this.emit('state', this.state);
+        break;
+      case 'reset':
+        this._reply('+OK');
+        this.reset();
+        break;
+      default:
+        this._reply('-ERR Illegal command.');
+    }
+  }
+
+  _finishWrite() {
+    this.slots.push(Buffer.from(this._pending.buf));
+    this._pending = null;
+    this._reply('+DONE');
+  }
+
+  _reply(...lines) {
+    this._send(lines.map((l) => `${l}\r\n`).join(''));
+  }
+
+  // 応答順を保ったまま遅延・バイト落ちを加えて送信する
+  _send(text) {
+    this._outQueue = this._outQueue.then(async () => {
+      if (this.delay > 0) await sleep(this.delay);
+      let bytes = Buffer.from(text, 'utf8');
+      if (this.dropRate > 0) bytes = bytes.filter(() => Math.random() >= this.dropRate);
+      if (bytes.length > 0) this.emit('data', Buffer.from(bytes));
+    });
+  }
+
+  // SerialComm.connect() に渡せるトランスポートを作る
+  createTransport() {
+    return new SimulatorTransport(this);
+  }
+}
+
+// シミュレータとプロセス内でつながるトランスポート．unplug() でケーブル抜けを再現できる．
+class SimulatorTransport {
+  constructor(sim) {
+    this.sim = sim;
+    this._onData = null;
+    this._onClose = null;
+  }
+
+  open(onData, onClose) {
+    this._onData = onData;
+    this._onClose = onClose;
+    this.sim.on('data', onData);
+    return Promise.resolve();
+  }
+
+  write(data) {
+    if (!this._onData) return Promise.reject(new Error('Not connected'));
+    return new Promise((resolve) => setImmediate(() => {
+      this.sim.receive(data);
+      resolve();
+    }));
+  }
+
+  sendBreak() {
+    this.sim.sendBreak();
+    return Promise.resolve();
+  }
+
+  close() {
+    if (this._onData) this.sim.off('data', this._onData);
+    this._onData = null;
+    return Promise.resolve();
+  }
+
+  unplug() {
+    const onClose = this._onClose;
+    this.close();
+    if (onClose) onClose();
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { errors: {} };
+  let path = null;
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--delay') opts.delay = Number(argv[++i]);
+    else if (a === '--drop-rate') opts.dropRate = Number(argv[++i]);
+    else if (a === '--firmware-version') opts.version = argv[++i];
+    else if (a === '--banner') opts.banner = argv[++i];
+    else if (a === '--error') {
+      const [cmd, ...reply] = argv[++i].split('=');
+      opts.errors[cmd] = reply.join('=');
+    } else if (!a.startsWith('--')) path = a;
+    else throw new Error(`Unknown option: ${a}`);
+  }
+  return { path, opts };
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  if (!args.path) {
+    console.error('Usage: node tools/simulator.js <pty-path> [--delay ms] [--drop-rate 0..1]'
+      + ' [--firmware-version text] [--banner text] [--error cmd=reply]...');
+    process.exit(2);
+  }
+  const { SerialPort } = require('serialport');
+  const sim = new MrbwriteSimulator(args.opts);
+  const port = new SerialPort({ path: args.path, baudRate: 19200 }, (err) => {
+    if (err) {
+      console.error(`Failed to open ${args.path}: ${err.message}`);
+      process.exit(1);
+    }
+    console.log(`Simulating mrbwrite board on ${args.path}`);
+  });
+  port.on('data', (buf) => sim.receive(buf));
+  sim.on('data', (buf) => port.write(buf));
+  sim.on('command', (line) => console.log(`> ${line}`));
+  sim.on('state', (state) => console.log(`[${state}]`));
+}
+
+if (require.main === module) main();
+
+module.exports = { MrbwriteSimulator, SimulatorTransport };